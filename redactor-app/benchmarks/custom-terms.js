@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Compares the one-RegExp-per-term way of matching custom text with the
+ * Aho-Corasick term matcher on a generated corpus of names
+ *
+ * Usage: node benchmarks/custom-terms.js [--terms 20000] [--docs 5] [--size 20000]
+ */
+
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { createTermMatcher } = require('../services/termMatcher');
+const { identifySensitiveText } = require('../services/redaction');
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Edsger', 'Barbara', 'Donald', 'Frances', 'Ken', 'Margaret', 'Dennis',
+    'Radia', 'Tim', 'Sophie', 'Linus', 'Hedy', 'John', 'Karen', 'Niklaus', 'Shafi', 'Leslie'];
+const WORDS = ['the', 'report', 'customer', 'account', 'was', 'updated', 'by', 'and', 'reviewed', 'with', 'notes',
+    'for', 'invoice', 'meeting', 'about', 'renewal', 'team', 'support', 'ticket', 'closed'];
+
+/**
+ * Small seeded generator so every run measures the same corpus
+ * @param {number} seed - Starting seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    // mulberry32, which stays in 32-bit integer arithmetic
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates customer names and HTML documents that mention some of them
+ * @param {Object} sizes - Number of terms, number of documents and document length
+ * @returns {Object} Terms and documents
+ */
+function generateCorpus({ terms: termCount, docs: docCount, size }) {
+    const random = createRandom(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const surname = () => {
+        const letters = 'abcdefghijklmnopqrstuvwxyz';
+        let name = letters[Math.floor(random() * 26)].toUpperCase();
+        const length = 4 + Math.floor(random() * 6);
+        for (let i = 1; i < length; i++) name += letters[Math.floor(random() * 26)];
+        return name;
+    };
+
+    const terms = Array.from({ length: termCount }, () => `${pick(FIRST_NAMES)} ${surname()}`);
+
+    const docs = Array.from({ length: docCount }, () => {
+        let body = '';
+        while (body.length < size) {
+            const sentence = Array.from({ length: 12 }, () => pick(WORDS));
+            // Roughly one sentence in five names a customer
+            if (random() < 0.2) {
+                sentence.splice(Math.floor(random() * sentence.length), 0, pick(terms));
+            }
+            body += `<p>${sentence.join(' ')}.</p>\n`;
+        }
+        return `<!DOCTYPE html>\n<html><body>\n${body}</body></html>\n`;
+    });
+
+    return { terms, docs };
+}
+
+/**
+ * Escapes a term so a RegExp matches it literally
+ * @param {string} term - Exact text
+ * @returns {string} Pattern source
+ */
+function escapeTerm(term) {
+    return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds every term occurrence with one RegExp per term, as custom text used to be matched
+ * @param {string} text - Text to search
+ * @param {RegExp[]} patterns - One global pattern per term
+ * @returns {string[]} Occurrences as "offset:term"
+ */
+function matchWithRegExps(text, patterns) {
+    const found = [];
+    patterns.forEach(pattern => {
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            found.push(`${match.index}:${match[0]}`);
+        }
+    });
+    return found;
+}
+
+/**
+ * Finds every term occurrence with the term matcher
+ * @param {string} text - Text to search
+ * @param {Object} matcher - Result of createTermMatcher
+ * @returns {string[]} Occurrences as "offset:term"
+ */
+function matchWithAutomaton(text, matcher) {
+    const found = [];
+    matcher.findAll(text, (offset, termIndex) => found.push(`${offset}:${matcher.terms[termIndex]}`));
+    return found;
+}
+
+/**
+ * Times a function
+ * @param {Function} fn - Work to time
+ * @returns {Object} Milliseconds taken and the function's result
+ */
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { ms: performance.now() - start, result };
+}
+
+/**
+ * Runs the redaction pipeline over every document and lists what it found
+ * @param {string[]} docs - Documents
+ * @param {Function} identify - Runs identifySensitiveText on one document
+ * @returns {string[]} Matches of all documents as "document:offset:length"
+ */
+function runPipeline(docs, identify) {
+    return docs.flatMap((doc, i) => identify(doc).matches.map(match => `${i}:${match.index}:${match.length}`));
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            terms: { type: 'string', default: '20000' },
+            docs: { type: 'string', default: '5' },
+            size: { type: 'string', default: '20000' }
+        }
+    });
+    const sizes = { terms: Number(values.terms), docs: Number(values.docs), size: Number(values.size) };
+    const { terms, docs } = generateCorpus(sizes);
+    const distinct = [...new Set(terms)];
+    const corpusBytes = docs.reduce((total, doc) => total + doc.length, 0);
+    let identical = true;
+
+    console.log(`Corpus: ${distinct.length} terms, ${docs.length} documents, ${(corpusBytes / 1024).toFixed(0)} KB\n`);
+
+    const row = (label, ms) => console.log(`${label.padEnd(44)}${ms.toFixed(1).padStart(10)} ms`);
+
+    // The engines on their own, over whole documents
+    const regexBuild = time(() => distinct.map(term => new RegExp(escapeTerm(term), 'g')));
+    const automatonBuild = time(() => createTermMatcher(distinct));
+    const regexScan = time(() => docs.map(doc => matchWithRegExps(doc, regexBuild.result)));
+    const automatonScan = time(() => docs.map(doc => matchWithAutomaton(doc, automatonBuild.result)));
+    identical = identical && regexScan.result.every((found, i) => (
+        found.sort().join('\n') === automatonScan.result[i].sort().join('\n')
+    ));
+
+    row('Build, one RegExp per term', regexBuild.ms);
+    row('Build, Aho-Corasick automaton', automatonBuild.ms);
+    row('Scan whole documents, one RegExp per term', regexScan.ms);
+    row('Scan whole documents, automaton', automatonScan.ms);
+
+    // The full pipeline, which scans each range of a document separately: the
+    // same terms sent as escaped regex patterns take the one-RegExp-per-term path
+    const escaped = distinct.map(escapeTerm);
+    const speedups = [];
+    ['source', 'dom'].forEach(mode => {
+        const options = { mode, detectors: [] };
+        const perTerm = time(() => runPipeline(docs, doc => identifySensitiveText(doc, escaped, null, options)));
+        const automaton = time(() => runPipeline(docs, doc => identifySensitiveText(doc, null, distinct, options)));
+        identical = identical && perTerm.result.join('\n') === automaton.result.join('\n');
+
+        console.log('');
+        row(`Pipeline (${mode} mode), one RegExp per term`, perTerm.ms);
+        row(`Pipeline (${mode} mode), automaton`, automaton.ms);
+        speedups.push(`${mode} ${(perTerm.ms / automaton.ms).toFixed(1)}x`);
+    });
+
+    const occurrences = automatonScan.result.reduce((total, found) => total + found.length, 0);
+    console.log(`\nOccurrences found: ${occurrences} (${identical ? 'identical' : 'DIFFERENT'} between engines)`);
+    console.log(`Pipeline speedup: ${speedups.join(', ')}`);
+
+    if (!identical) {
+        process.exitCode = 1;
+    }
+}
+
+main();
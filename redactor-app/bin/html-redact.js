@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { processHTMLFilesForRedaction, processHTMLFilesForReport } = require('../services/fileProcessor');
+const { REDACTION_MODES } = require('../services/redaction');
+const {
+    LOCALE_PACKS, listDetectors, resolveDetectors, resolveLocales, DEFAULT_MIN_CONFIDENCE
+} = require('../services/detectors');
+const { REPLACEMENT_STRATEGIES, validateReplacements } = require('../services/replacement');
+const { ELEMENT_ACTIONS, validateElementRules } = require('../services/elementRules');
+const { validateAllowlist, mergeAllowlists } = require('../services/allowlist');
+const { SCRUB_CATEGORIES, validateScrub } = require('../services/metadataScrub');
+const { listFormats, resolveFormats } = require('../services/formats');
+const {
+    OVERWRITE_POLICIES, DEFAULT_OVERWRITE_POLICY, DEFAULT_OUTPUT_NAME, getConfiguredSandbox, getOutputFolder
+} = require('../services/sandbox');
+const { version } = require('../package.json');
+
+/**
+ * Exit codes: sensitive content found in --check mode or left in redacted
+ * files, and usage or processing errors
+ */
+const EXIT_FOUND = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: html-redact [options] <input>
+
+Redacts sensitive content from every supported file under <input>.
+
+Options:
+  -i, --input <dir>             Folder to scan (or pass it as the first argument)
+  -o, --output <dir>            Where redacted files go (default: next to <input>, see --output-name)
+      --output-name <template>  Output folder name; {name}, {date}, {time} (default: ${DEFAULT_OUTPUT_NAME})
+      --overwrite <policy>      ${OVERWRITE_POLICIES.join(', ')} when the output folder exists (default: ${DEFAULT_OVERWRITE_POLICY})
+      --dry-run                 List the files that would be written without writing them
+  -p, --pattern <regex>         Custom regex pattern, repeatable
+  -t, --custom-text-file <file> File with exact text to redact, one per line, repeatable
+      --normalize               Also match across inline tags, entities and whitespace; custom text
+                                and patterns then ignore case and diacritics too
+  -d, --detectors <names>       Comma-separated detectors to run (default: those of the locale packs)
+  -l, --locales <packs>         Locale packs to take default detectors from (default: ${LOCALE_PACKS.filter(pack => pack.enabledByDefault).map(pack => pack.name).join(',')})
+                                ${LOCALE_PACKS.map(pack => pack.name).join(', ')}
+      --min-confidence <n>      Skip detector matches scoring below n (0-1, default ${DEFAULT_MIN_CONFIDENCE})
+      --mode <mode>             ${REDACTION_MODES.join(' or ')} for HTML files (default: source)
+      --attributes <names>      Attributes scanned in dom mode, comma-separated
+  -f, --formats <names>         Formats to process, comma-separated (default: all)
+                                ${listFormats().map(format => format.name).join(', ')}
+  -r, --replacement <strategy>  ${REPLACEMENT_STRATEGIES.join(', ')} (default: redact)
+  -s, --selector <css>          Redact elements matching a CSS selector, repeatable
+      --element-action <action> ${ELEMENT_ACTIONS.join(', ')} for --selector elements (default: text)
+      --allow <value>           Never redact this exact value, repeatable
+      --allowlist <file>        JSON or YAML file with values, patterns and domains to leave alone
+      --scrub <categories>      Hidden metadata to strip from HTML outputs, comma-separated
+                                ${SCRUB_CATEGORIES.join(', ')}
+      --force                   Redact every file again, even ones unchanged since the last run
+      --delete-removed          Delete outputs whose source files were removed
+      --check                   Scan without writing; exit ${EXIT_FOUND} if sensitive content is found
+      --show-values             Include matched values in --check and verification output
+      --json                    Print machine-readable JSON instead of text
+      --list-detectors          Print the available detectors and exit
+  -v, --verbose                 Show processing logs
+  -h, --help                    Show this help
+      --version                 Show the version
+
+Every redacted file is scanned again with all detectors; the exit code is ${EXIT_FOUND}
+when sensitive content is left in one.
+Elements marked with a data-redact attribute are always redacted; its value may name an action.
+Pseudonym and fake replacements read their key from REDACTOR_PSEUDONYM_KEY.`;
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed option values and positionals
+ */
+function parseCommandLine(argv) {
+    return parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            input: { type: 'string', short: 'i' },
+            output: { type: 'string', short: 'o' },
+            'output-name': { type: 'string' },
+            overwrite: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            pattern: { type: 'string', short: 'p', multiple: true },
+            'custom-text-file': { type: 'string', short: 't', multiple: true },
+            normalize: { type: 'boolean' },
+            detectors: { type: 'string', short: 'd' },
+            locales: { type: 'string', short: 'l' },
+            'min-confidence': { type: 'string' },
+            mode: { type: 'string' },
+            attributes: { type: 'string' },
+            formats: { type: 'string', short: 'f' },
+            replacement: { type: 'string', short: 'r' },
+            selector: { type: 'string', short: 's', multiple: true },
+            'element-action': { type: 'string' },
+            allow: { type: 'string', multiple: true },
+            allowlist: { type: 'string' },
+            scrub: { type: 'string' },
+            force: { type: 'boolean' },
+            'delete-removed': { type: 'boolean' },
+            check: { type: 'boolean' },
+            'show-values': { type: 'boolean' },
+            json: { type: 'boolean' },
+            'list-detectors': { type: 'boolean' },
+            verbose: { type: 'boolean', short: 'v' },
+            help: { type: 'boolean', short: 'h' },
+            version: { type: 'boolean' }
+        }
+    });
+}
+
+/**
+ * Reads custom text entries from one or more files
+ * @param {string[]} files - Paths to files with one entry per line
+ * @returns {Promise<string[]|null>} Entries, or null when no files were given
+ */
+async function readCustomTextFiles(files) {
+    if (!files || files.length === 0) return null;
+
+    const entries = [];
+    for (const file of files) {
+        const content = await fs.readFile(file, 'utf8');
+        entries.push(...content.split(/\r?\n/).map(line => line.trim()).filter(Boolean));
+    }
+    return entries;
+}
+
+/**
+ * Reads the allowlist file and --allow values into one allowlist
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object|null>} Allowlist, or null when none was given
+ */
+async function readAllowlist(values) {
+    let fromFile = null;
+    if (values.allowlist) {
+        const content = await fs.readFile(values.allowlist, 'utf8');
+        fromFile = path.extname(values.allowlist) === '.json' ? JSON.parse(content) : YAML.parse(content);
+
+        const error = validateAllowlist(fromFile);
+        if (error) {
+            throw new Error(`${values.allowlist}: ${error}`);
+        }
+    }
+
+    return mergeAllowlists(fromFile, values.allow ? { values: values.allow } : null);
+}
+
+/**
+ * Turns parsed flags into redaction options, validating them like the server does
+ * @param {Object} values - Parsed option values
+ * @returns {Object} Redaction options
+ */
+function buildOptions(values) {
+    const mode = values.mode || 'source';
+    if (!REDACTION_MODES.includes(mode)) {
+        throw new Error(`Unknown mode "${mode}". Expected one of: ${REDACTION_MODES.join(', ')}`);
+    }
+
+    if (values.detectors) {
+        const { unknown } = resolveDetectors(values.detectors);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown detectors: ${unknown.join(', ')}`);
+        }
+    }
+
+    if (values.locales) {
+        const { unknown } = resolveLocales(values.locales);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown locale packs: ${unknown.join(', ')}`);
+        }
+    }
+
+    if (values.formats) {
+        const { unknown } = resolveFormats(values.formats);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown formats: ${unknown.join(', ')}`);
+        }
+    }
+
+    const minConfidence = values['min-confidence'] === undefined
+        ? DEFAULT_MIN_CONFIDENCE
+        : Number(values['min-confidence']);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        throw new Error('Minimum confidence must be a number between 0 and 1');
+    }
+
+    const replacements = values.replacement ? { default: values.replacement } : null;
+    const pseudonymKey = process.env.REDACTOR_PSEUDONYM_KEY || null;
+    const replacementError = validateReplacements(replacements, pseudonymKey);
+    if (replacementError) {
+        throw new Error(replacementError);
+    }
+
+    const elementRules = values.selector
+        ? values.selector.map(selector => ({ selector, action: values['element-action'] }))
+        : null;
+    const elementRuleError = validateElementRules(elementRules);
+    if (elementRuleError) {
+        throw new Error(elementRuleError);
+    }
+
+    const scrub = values.scrub ? values.scrub.split(',').map(category => category.trim()).filter(Boolean) : null;
+    const scrubError = validateScrub(scrub);
+    if (scrubError) {
+        throw new Error(scrubError);
+    }
+
+    return {
+        mode,
+        attributes: values.attributes || null,
+        formats: values.formats || null,
+        detectors: values.detectors || null,
+        locales: values.locales || null,
+        minConfidence,
+        replacements,
+        pseudonymKey,
+        elementRules,
+        scrub,
+        normalize: Boolean(values.normalize)
+    };
+}
+
+/**
+ * Prints the findings of a --check run
+ * @param {Object} report - Result of processHTMLFilesForReport
+ * @param {Object} values - Parsed option values
+ */
+function printCheckResult(report, values) {
+    const showValues = values['show-values'];
+
+    if (values.json) {
+        const files = {};
+        Object.entries(report.files).forEach(([file, fileReport]) => {
+            files[file] = {
+                ...fileReport,
+                // Values stay out of CI logs unless asked for
+                matches: fileReport.matches.map(({ text, context, ...match }) => (
+                    showValues ? { ...match, text, context } : match
+                ))
+            };
+        });
+        process.stdout.write(`${JSON.stringify({ ...report, files }, null, 2)}\n`);
+        return;
+    }
+
+    Object.entries(report.files).forEach(([file, fileReport]) => {
+        fileReport.matches.forEach(match => {
+            const value = showValues ? `  ${match.text}` : '';
+            const encoding = match.encoding ? ` [${match.encoding}]` : '';
+            process.stdout.write(`${file}:${match.line}:${match.column}  ${match.detector} (${Math.round(match.confidence * 100)}%)${encoding}${value}\n`);
+        });
+    });
+
+    const totals = Object.entries(report.totals).map(([detector, count]) => `${detector}: ${count}`).join(', ');
+    const allowed = report.allowedCount > 0 ? `, ${report.allowedCount} allowed` : '';
+    process.stdout.write(report.matchCount > 0
+        ? `\n${report.matchCount} sensitive matches in ${report.fileCount} files scanned (${totals}${allowed})\n`
+        : `No sensitive content found in ${report.fileCount} files${allowed ? ` (${report.allowedCount} allowed)` : ''}\n`);
+    if (report.categories.secret) {
+        // Redacting a page does not revoke a credential that was already published
+        process.stdout.write(`${report.categories.secret} of them are secrets; rotate those credentials\n`);
+    }
+}
+
+/**
+ * Prints what verification found in redacted files, one line per finding
+ * @param {Object} verification - Verification summary of the run
+ * @param {boolean} showValues - Whether to print the values found
+ */
+function printVerificationFailures(verification, showValues) {
+    verification.failed.forEach(file => {
+        const result = verification.files[file];
+        if (!result) {
+            process.stdout.write(`unverified ${file}: unchanged since a run whose verification failed\n`);
+            return;
+        }
+        result.findings.forEach(finding => {
+            const value = showValues ? `  ${finding.text}` : '';
+            process.stdout.write(`unverified ${file}:${finding.line}:${finding.column}  ${finding.kind} ${finding.detector}${value}\n`);
+        });
+    });
+}
+
+/**
+ * Prints the hidden metadata scrubbed from each file, one line per removal
+ * @param {Object} scrubbed - Removals keyed by relative path
+ */
+function printScrubbed(scrubbed) {
+    Object.entries(scrubbed).forEach(([file, removed]) => {
+        removed.forEach(removal => {
+            const target = removal.element ? `  <${removal.element}>${removal.attribute ? ` ${removal.attribute}` : ''}` : '';
+            process.stdout.write(`scrubbed  ${file}:${removal.line}:${removal.column}  ${removal.category}${target}\n`);
+        });
+    });
+}
+
+/**
+ * Prints the outcome of a redaction run
+ * @param {Object} result - Result of processHTMLFilesForRedaction
+ * @param {Object} values - Parsed option values
+ */
+function printRedactionResult(result, values) {
+    if (values.json) {
+        const files = {};
+        Object.entries(result.verification.files).forEach(([file, verification]) => {
+            files[file] = {
+                ...verification,
+                // Values stay out of CI logs unless asked for
+                findings: verification.findings.map(({ text, ...finding }) => (
+                    values['show-values'] ? { ...finding, text } : finding
+                ))
+            };
+        });
+        process.stdout.write(`${JSON.stringify({ ...result, verification: { ...result.verification, files } }, null, 2)}\n`);
+        return;
+    }
+
+    if (result.dryRun) {
+        result.planned.forEach(write => process.stdout.write(`${`would ${write.action}`.padEnd(16)}${write.output}\n`));
+        printScrubbed(result.scrubbed);
+        printVerificationFailures(result.verification, values['show-values']);
+        process.stdout.write(`\nDry run: ${result.planned.length} planned changes in ${result.outputFolder}, nothing written\n`);
+        return;
+    }
+
+    result.added.forEach(file => process.stdout.write(`added     ${file}\n`));
+    result.changed.forEach(file => process.stdout.write(`changed   ${file}\n`));
+    result.deleted.forEach(file => process.stdout.write(`deleted   ${file}\n`));
+    Object.entries(result.errors || {}).forEach(([file, error]) => process.stdout.write(`failed    ${file}: ${error}\n`));
+    printScrubbed(result.scrubbed);
+    printVerificationFailures(result.verification, values['show-values']);
+    const skipped = result.skipped.length > 0 ? `, skipped ${result.skipped.length} unchanged` : '';
+    process.stdout.write(`\nProcessed ${result.fileCount} files into ${result.outputFolder}${skipped}\n`);
+}
+
+/**
+ * Runs the command line interface
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (values.version) {
+        process.stdout.write(`${version}\n`);
+        return 0;
+    }
+    if (values['list-detectors']) {
+        listDetectors().forEach(detector => {
+            const state = detector.enabledByDefault ? 'default' : 'optional';
+            process.stdout.write(`${detector.name.padEnd(22)} ${detector.locale.padEnd(14)} ${detector.category.padEnd(14)} `
+                + `${state.padEnd(9)} ${detector.label}\n`);
+        });
+        return 0;
+    }
+
+    // The processing services log progress to stdout, which would corrupt JSON output
+    if (!values.verbose) {
+        console.log = () => {};
+    }
+
+    const input = values.input || positionals[0];
+    if (!input) {
+        process.stderr.write(`An input folder is required\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        const inputFolder = path.resolve(input);
+        const stats = await fs.stat(inputFolder).catch(() => null);
+        if (!stats || !stats.isDirectory()) {
+            throw new Error(`Not a directory: ${inputFolder}`);
+        }
+
+        // Folders are only restricted when roots are configured; the user can read them anyway
+        const options = {
+            ...buildOptions(values),
+            allowlist: await readAllowlist(values),
+            sandbox: getConfiguredSandbox()
+        };
+        const patterns = values.pattern || null;
+        const customText = await readCustomTextFiles(values['custom-text-file']);
+
+        if (values.check) {
+            const report = await processHTMLFilesForReport(inputFolder, patterns, customText, options);
+            if (!report.success) {
+                throw new Error(report.error);
+            }
+            printCheckResult(report, values);
+            return report.matchCount > 0 ? EXIT_FOUND : 0;
+        }
+
+        if (values.overwrite && !OVERWRITE_POLICIES.includes(values.overwrite)) {
+            throw new Error(`--overwrite must be one of: ${OVERWRITE_POLICIES.join(', ')}`);
+        }
+
+        const output = values.output
+            ? { outputFolder: path.resolve(values.output) }
+            : getOutputFolder(inputFolder, values['output-name']);
+        if (output.error) {
+            throw new Error(output.error);
+        }
+        const result = await processHTMLFilesForRedaction(inputFolder, output.outputFolder, patterns, customText, {
+            ...options,
+            force: Boolean(values.force),
+            deleteRemoved: Boolean(values['delete-removed']),
+            overwrite: values.overwrite,
+            dryRun: Boolean(values['dry-run'])
+        });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        printRedactionResult(result, values);
+        if (result.errors) {
+            return EXIT_ERROR;
+        }
+        return result.verification.status === 'failed' ? EXIT_FOUND : 0;
+    } catch (error) {
+        process.stderr.write(`html-redact: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
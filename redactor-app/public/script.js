@@ -10,14 +10,68 @@ document.addEventListener('DOMContentLoaded', function() {
     
     const folderPathInput = document.getElementById('folderPath');
     const patternsInput = document.getElementById('patterns');
+    const normalizeTextInput = document.getElementById('normalizeText');
+    const elementSelectorsInput = document.getElementById('elementSelectors');
+    const elementActionSelect = document.getElementById('elementAction');
+    const scrubList = document.getElementById('scrubList');
+    const allowlistInput = document.getElementById('allowlist');
+    const scanModeSelect = document.getElementById('scanMode');
+    const scanAttributesInput = document.getElementById('scanAttributes');
+    const scanAttributesGroup = document.getElementById('scanAttributesGroup');
+    const detectorList = document.getElementById('detectorList');
+    const minConfidenceInput = document.getElementById('minConfidence');
+    const minConfidenceValue = document.getElementById('minConfidenceValue');
+    const replacementSelect = document.getElementById('replacementStrategy');
+    const pseudonymKeyInput = document.getElementById('pseudonymKey');
+    const pseudonymKeyGroup = document.getElementById('pseudonymKeyGroup');
+    const vaultEnabledInput = document.getElementById('vaultEnabled');
+    const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+    const vaultPassphraseGroup = document.getElementById('vaultPassphraseGroup');
+    const forceRedactionInput = document.getElementById('forceRedaction');
+    const deleteRemovedInput = document.getElementById('deleteRemoved');
+    const dryRunInput = document.getElementById('dryRun');
+    const outputNameInput = document.getElementById('outputName');
+    const overwritePolicySelect = document.getElementById('overwritePolicy');
+    const profileSelect = document.getElementById('profileSelect');
+    const profileSummary = document.getElementById('profileSummary');
+    const saveProfileBtn = document.getElementById('saveProfileBtn');
     const previewBtn = document.getElementById('previewBtn');
     const redactBtn = document.getElementById('redactBtn');
     const loadingIndicator = document.getElementById('loadingIndicator');
     const errorMessage = document.getElementById('errorMessage');
     const previewResults = document.getElementById('previewResults');
-    const previewContent = document.getElementById('previewContent');
+    const reviewOnlyMatchesInput = document.getElementById('reviewOnlyMatches');
+    const reviewTotals = document.getElementById('reviewTotals');
+    const reviewFileTree = document.getElementById('reviewFileTree');
+    const reviewFileName = document.getElementById('reviewFileName');
+    const reviewSummary = document.getElementById('reviewSummary');
+    const reviewModeButtons = document.querySelectorAll('[data-review-mode]');
+    const prevMatchBtn = document.getElementById('prevMatchBtn');
+    const nextMatchBtn = document.getElementById('nextMatchBtn');
+    const matchPosition = document.getElementById('matchPosition');
+    const originalPane = document.getElementById('originalPane');
+    const redactedPane = document.getElementById('redactedPane');
+    const reviewMatches = document.getElementById('reviewMatches');
     const redactionResults = document.getElementById('redactionResults');
     const redactionContent = document.getElementById('redactionContent');
+    const jobProgress = document.getElementById('jobProgress');
+    const jobProgressBar = document.getElementById('jobProgressBar');
+    const jobProgressText = document.getElementById('jobProgressText');
+    const cancelJobBtn = document.getElementById('cancelJobBtn');
+    const watchToggleBtn = document.getElementById('watchToggleBtn');
+    const watchStatus = document.getElementById('watchStatus');
+    const watchEvents = document.getElementById('watchEvents');
+
+    // Key under which the running job is remembered, so a reload can pick it up again
+    const ACTIVE_JOB_KEY = 'redactor.activeJob';
+    // Key under which the running watcher is remembered, for the same reason
+    const ACTIVE_WATCHER_KEY = 'redactor.activeWatcher';
+    // How often the watcher's event log is fetched
+    const WATCH_POLL_MS = 2000;
+    // Put before documents rendered in the review view: nothing may load but this tool's stylesheet
+    const RENDERED_PREAMBLE = '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; '
+        + 'style-src \'self\' \'unsafe-inline\'; img-src data:">'
+        + '<link rel="stylesheet" href="/styles.css">';
 
     if (!form || !folderPathInput || !previewBtn) {
         console.error('Required DOM elements not found:', {
@@ -25,75 +79,1194 @@ document.addEventListener('DOMContentLoaded', function() {
             folderPathInput: !!folderPathInput,
             previewBtn: !!previewBtn
         });
-        return;
+        return;
+    }
+
+    // State
+    let currentPreviewData = null;
+    // Review decisions: file path -> Map of match ID -> approved
+    let reviewState = {};
+    // File shown in the review view, how it is shown and the match navigated to
+    const reviewView = { file: null, mode: 'source', matchIndex: -1 };
+    // Profile chosen in the picker, as loaded from the server
+    let selectedProfile = null;
+    let availableProfiles = [];
+    // Registered detectors, with their category and locale pack
+    let availableDetectors = [];
+    // Category of each registered detector, such as 'contact' or 'secret'
+    let detectorCategories = {};
+    // Workspace holding the folder or zip uploaded from this browser
+    let uploadedWorkspace = null;
+    // Background job being followed, if any
+    let activeJobId = null;
+    // Folder watcher started from this browser, and the timer polling it
+    let activeWatcherId = null;
+    let watchPollTimer = null;
+
+    /**
+     * Shows an error message
+     * @param {string} message - Error message to display
+     */
+    function showError(message) {
+        errorMessage.querySelector('span').textContent = message;
+        errorMessage.classList.remove('hidden');
+        errorMessage.classList.add('alert-animation');
+        setTimeout(() => {
+            errorMessage.classList.remove('alert-animation');
+        }, 300);
+    }
+
+    /**
+     * Hides the error message
+     */
+    function hideError() {
+        errorMessage.classList.add('hidden');
+    }
+
+    /**
+     * Shows the loading indicator
+     */
+    function showLoading() {
+        loadingIndicator.classList.remove('hidden');
+        previewBtn.disabled = true;
+        redactBtn.disabled = true;
+    }
+
+    /**
+     * Hides the loading indicator
+     */
+    function hideLoading() {
+        loadingIndicator.classList.add('hidden');
+        jobProgress.classList.add('hidden');
+        previewBtn.disabled = false;
+        redactBtn.disabled = !currentPreviewData;
+    }
+
+    /**
+     * Shows a job's progress under the loading indicator
+     * @param {Object} job - Job as sent by the server
+     */
+    function showJobProgress(job) {
+        const { done, total, currentFile, matchCount } = job.progress;
+        const percent = total ? Math.round((done / total) * 100) : 0;
+
+        jobProgress.classList.remove('hidden');
+        jobProgressBar.style.width = `${percent}%`;
+        cancelJobBtn.disabled = job.status !== 'running';
+
+        if (job.status === 'cancelling') {
+            jobProgressText.textContent = `Cancelling after ${done} of ${total} files...`;
+        } else if (total === null) {
+            jobProgressText.textContent = 'Finding files...';
+        } else {
+            jobProgressText.textContent = `${done} of ${total} files, ${matchCount} matches`
+                + (currentFile && done < total ? ` (${currentFile})` : '');
+        }
+    }
+
+    /**
+     * Follows a job's progress stream until the job finishes
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} The finished job, with its result
+     */
+    function followJob(jobId) {
+        activeJobId = jobId;
+
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(`/jobs/${jobId}/events`);
+
+            events.addEventListener('progress', (e) => showJobProgress(JSON.parse(e.data)));
+
+            events.addEventListener('done', async () => {
+                events.close();
+                try {
+                    const response = await fetch(`/jobs/${jobId}`);
+                    const data = await response.json();
+                    if (!data.success) {
+                        throw new Error(data.error || 'Failed to load the job result');
+                    }
+                    resolve(data.job);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            // The browser reconnects by itself unless the job is gone, such as after a server restart
+            events.addEventListener('error', () => {
+                if (events.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost track of the job. It may have expired or the server restarted'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Runs a preview, redaction or report as a background job and waits for it
+     * @param {string} type - Job type
+     * @param {Object} body - Request body, as for the matching endpoint
+     * @returns {Promise<Object>} Result of the run
+     */
+    async function runJob(type, body) {
+        const response = await fetch('/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ type, ...body }),
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || `Failed to start the ${type} job`);
+        }
+
+        localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({
+            id: data.job.id,
+            type,
+            workspace: uploadedWorkspace,
+            folder: folderPathInput.value
+        }));
+
+        try {
+            showJobProgress(data.job);
+            return getJobResult(await followJob(data.job.id));
+        } finally {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            activeJobId = null;
+        }
+    }
+
+    /**
+     * Gets the result of a finished job
+     * @param {Object} job - Finished job
+     * @returns {Object} Result of the run
+     */
+    function getJobResult(job) {
+        if (job.status !== 'completed') {
+            throw new Error(job.error || `Job ${job.status}`);
+        }
+        return job.result;
+    }
+
+    /**
+     * Picks up a job that was running when the page was last closed or reloaded
+     */
+    async function resumeActiveJob() {
+        const saved = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || 'null');
+        if (!saved) return;
+
+        try {
+            const response = await fetch(`/jobs/${saved.id}`);
+            if (!response.ok) return;
+
+            uploadedWorkspace = saved.workspace;
+            folderPathInput.value = saved.folder;
+            showLoading();
+
+            const data = getJobResult(await followJob(saved.id));
+            if (saved.type === 'preview') {
+                displayPreviewResults(data);
+            } else if (saved.type === 'redact') {
+                displayRedactionResults(data);
+            }
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            activeJobId = null;
+            hideLoading();
+        }
+    }
+
+    /**
+     * Shows a watcher's status and its most recent events, newest first
+     * @param {Object} watcher - Watcher as sent by the server
+     */
+    function showWatcher(watcher) {
+        const { redacted, unchanged, deleted, failed, unverified } = watcher.counts;
+        const watching = watcher.status !== 'stopped';
+
+        watchToggleBtn.querySelector('i').className = `fas ${watching ? 'fa-stop' : 'fa-play'} mr-2`;
+        watchToggleBtn.querySelector('span').textContent = watching ? 'Stop Watching' : 'Start Watching';
+
+        watchStatus.textContent = `${watching ? 'Watching' : 'Stopped watching'} ${watcher.inputFolder}`
+            + ` with profile ${watcher.profile.name}: ${redacted} redacted, ${unchanged} unchanged,`
+            + ` ${deleted} deleted, ${failed} failed`
+            + (unverified > 0 ? `, ${unverified} failed verification` : '')
+            + (watcher.pending > 0 ? `, ${watcher.pending} waiting` : '');
+        watchStatus.classList.remove('hidden');
+
+        watchEvents.innerHTML = '';
+        (watcher.events || []).slice(-50).reverse().forEach(event => {
+            const item = document.createElement('li');
+            item.className = `px-3 py-1 ${['failed', 'error', 'unverified'].includes(event.type) ? 'text-red-700' : 'text-gray-700'}`;
+            item.textContent = `${new Date(event.time).toLocaleTimeString()} ${event.type}`
+                + (event.file ? ` ${event.file}` : '')
+                + (event.message ? `: ${event.message}` : '');
+            watchEvents.appendChild(item);
+        });
+        watchEvents.classList.toggle('hidden', watchEvents.children.length === 0);
+    }
+
+    /**
+     * Fetches the watcher's state and keeps polling while it runs
+     */
+    async function pollWatcher() {
+        watchPollTimer = null;
+        if (!activeWatcherId) return;
+
+        try {
+            const response = await fetch(`/watchers/${activeWatcherId}`);
+            const data = await response.json();
+            if (!data.success) {
+                // Gone after a server restart
+                localStorage.removeItem(ACTIVE_WATCHER_KEY);
+                activeWatcherId = null;
+                showError(data.error || 'Lost track of the watcher');
+                watchToggleBtn.querySelector('span').textContent = 'Start Watching';
+                watchToggleBtn.querySelector('i').className = 'fas fa-play mr-2';
+                return;
+            }
+
+            showWatcher(data.watcher);
+            if (data.watcher.status === 'stopped') {
+                localStorage.removeItem(ACTIVE_WATCHER_KEY);
+                activeWatcherId = null;
+                return;
+            }
+        } catch (error) {
+            // The server may be briefly unreachable; the next poll tries again
+        }
+
+        watchPollTimer = setTimeout(pollWatcher, WATCH_POLL_MS);
+    }
+
+    /**
+     * Starts watching the folder in the folder field with the selected profile,
+     * or stops the running watcher
+     */
+    async function toggleWatching() {
+        hideError();
+        watchToggleBtn.disabled = true;
+
+        try {
+            if (activeWatcherId) {
+                const response = await fetch(`/watchers/${activeWatcherId}`, { method: 'DELETE' });
+                const data = await response.json();
+                clearTimeout(watchPollTimer);
+                localStorage.removeItem(ACTIVE_WATCHER_KEY);
+                activeWatcherId = null;
+                if (data.success) {
+                    showWatcher(data.watcher);
+                }
+                return;
+            }
+
+            // Uploads are a one-off copy, so only a folder on the server can be watched
+            if (uploadedWorkspace) {
+                throw new Error('Watching needs a folder path on the server, not an upload');
+            }
+            if (!folderPathInput.value.trim()) {
+                throw new Error('Please enter the folder to watch');
+            }
+            if (!profileSelect.value) {
+                throw new Error('Please select the profile to redact watched files with');
+            }
+
+            const response = await fetch('/watchers', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    folder: folderPathInput.value.trim(),
+                    profile: profileSelect.value,
+                    deleteRemoved: deleteRemovedInput.checked,
+                    overwrite: overwritePolicySelect.value,
+                    outputName: outputNameInput.value.trim() || null
+                }),
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to start watching');
+            }
+
+            activeWatcherId = data.watcher.id;
+            localStorage.setItem(ACTIVE_WATCHER_KEY, activeWatcherId);
+            showWatcher(data.watcher);
+            watchPollTimer = setTimeout(pollWatcher, WATCH_POLL_MS);
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            watchToggleBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Reads the scan mode settings from the form
+     * @returns {Object} Mode and attribute list for the request body
+     */
+    function getScanOptions() {
+        const mode = scanModeSelect.value;
+        const detectorBoxes = detectorList.querySelectorAll('input[name="detector"]');
+        const localeBoxes = detectorList.querySelectorAll('input[name="locale"]');
+        const replacements = { default: replacementSelect.value };
+        detectorList.querySelectorAll('select[data-detector]').forEach(select => {
+            if (select.value) {
+                // Keep settings such as the mask length when the profile's strategy is unchanged
+                const profileSetting = selectedProfile && selectedProfile.replacements
+                    && selectedProfile.replacements[select.dataset.detector];
+                replacements[select.dataset.detector] = profileSetting && profileSetting.strategy === select.value
+                    ? profileSetting
+                    : select.value;
+            }
+        });
+
+        const selectors = elementSelectorsInput.value.split('\n').map(s => s.trim()).filter(Boolean);
+
+        return {
+            mode,
+            attributes: mode === 'dom' ? scanAttributesInput.value.trim() : null,
+            // Before the detector list has loaded, let the server pick its defaults
+            detectors: detectorBoxes.length > 0
+                ? [...detectorBoxes].filter(box => box.checked).map(box => box.value)
+                : null,
+            locales: localeBoxes.length > 0
+                ? [...localeBoxes].filter(box => box.checked).map(box => box.value)
+                : null,
+            minConfidence: Number(minConfidenceInput.value),
+            replacements,
+            pseudonymKey: pseudonymKeyInput.value || null,
+            allowlist: getAllowlist(),
+            elementRules: selectors.length > 0
+                ? selectors.map(selector => ({ selector, action: elementActionSelect.value }))
+                : null,
+            scrub: [...scrubList.querySelectorAll('input:checked')].map(box => box.value),
+            normalize: normalizeTextInput.checked,
+            profile: profileSelect.value || null
+        };
+    }
+
+    /**
+     * Why an allowed match was left alone, as shown in the preview
+     */
+    const ALLOWED_REASONS = {
+        'value': 'allowlisted value',
+        'pattern': 'allowlist pattern',
+        'domain': 'allowlisted domain',
+        'ignore-comment': 'inside redact:ignore comments',
+        'ignore-attribute': 'inside data-redact="ignore"'
+    };
+
+    /**
+     * Reads the allowlist field: @domains, /regexes/ and exact values, one per line
+     * @returns {Object|null} Allowlist for the API, or null when the field is empty
+     */
+    function getAllowlist() {
+        const entries = allowlistInput.value.split('\n').map(entry => entry.trim()).filter(Boolean);
+        if (entries.length === 0) return null;
+
+        return {
+            domains: entries.filter(entry => entry.startsWith('@')).map(entry => entry.slice(1)),
+            patterns: entries.filter(entry => /^\/.+\/[a-z]*$/.test(entry)),
+            values: entries.filter(entry => !entry.startsWith('@') && !/^\/.+\/[a-z]*$/.test(entry))
+        };
+    }
+
+    /**
+     * Loads the saved profiles into the profile picker
+     */
+    async function loadProfiles() {
+        try {
+            const response = await fetch('/profiles');
+            const data = await response.json();
+            availableProfiles = data.profiles || [];
+
+            const current = profileSelect.value;
+            profileSelect.innerHTML = '<option value="">No profile</option>';
+            availableProfiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = `${profile.name} (v${profile.version})`;
+                profileSelect.appendChild(option);
+            });
+            profileSelect.value = availableProfiles.some(profile => profile.name === current) ? current : '';
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+        }
+    }
+
+    /**
+     * Fills the form with the settings of the selected profile
+     */
+    async function applySelectedProfile() {
+        const name = profileSelect.value;
+        selectedProfile = null;
+
+        if (!name) {
+            profileSummary.textContent = 'Profiles keep rules, detectors and replacement settings between sessions';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/profiles/${encodeURIComponent(name)}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            selectedProfile = data.profile;
+        } catch (error) {
+            showError(`Failed to load profile: ${error.message}`);
+            return;
+        }
+
+        const profile = selectedProfile;
+        if (profile.mode) {
+            scanModeSelect.value = profile.mode;
+            scanAttributesGroup.classList.toggle('hidden', profile.mode !== 'dom');
+        }
+        if (profile.attributes) {
+            scanAttributesInput.value = profile.attributes.join(', ');
+        }
+        if (profile.minConfidence !== undefined) {
+            minConfidenceInput.value = profile.minConfidence;
+            minConfidenceValue.textContent = `${Math.round(profile.minConfidence * 100)}%`;
+        }
+        if (profile.locales) {
+            detectorList.querySelectorAll('input[name="locale"]').forEach(box => {
+                box.checked = profile.locales.includes(box.value);
+            });
+        }
+        if (profile.detectors || profile.locales) {
+            // Without a detector list, the profile runs the default detectors of its packs
+            const selected = profile.detectors || availableDetectors
+                .filter(detector => detector.enabledByDefault && profile.locales.includes(detector.locale))
+                .map(detector => detector.name);
+            detectorList.querySelectorAll('input[name="detector"]').forEach(box => {
+                box.checked = selected.includes(box.value);
+            });
+        }
+        scrubList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+            box.checked = (profile.scrub || []).includes(box.value);
+        });
+        normalizeTextInput.checked = profile.normalize === true;
+
+        const replacements = profile.replacements || {};
+        const strategyOf = setting => (typeof setting === 'string' ? setting : setting && setting.strategy) || '';
+        replacementSelect.value = strategyOf(replacements.default) || 'redact';
+        detectorList.querySelectorAll('select[data-detector]').forEach(select => {
+            select.value = strategyOf(replacements[select.dataset.detector]);
+        });
+        updatePseudonymKeyVisibility();
+
+        const ruleCount = (profile.rules || []).length;
+        const textCount = (profile.customText || []).length;
+        const elementCount = (profile.elementRules || []).length;
+        profileSummary.textContent = `Version ${profile.version}: adds ${ruleCount} rules, ${elementCount} element rules `
+            + `and ${textCount} custom text entries`
+            + (profile.description ? `. ${profile.description}` : '');
+    }
+
+    /**
+     * Saves the current form settings as a profile, updating it if the name exists
+     */
+    async function saveCurrentAsProfile() {
+        hideError();
+
+        const name = window.prompt('Profile name', selectedProfile ? selectedProfile.name : '');
+        if (!name) return;
+
+        const {
+            mode, attributes, detectors, locales, minConfidence, replacements, elementRules, allowlist, scrub, normalize
+        } = getScanOptions();
+        const base = selectedProfile || {};
+        const typedPatterns = patternsInput.value.split('\n').map(p => p.trim()).filter(Boolean);
+        const typedText = document.getElementById('customText').value.split('\n').map(t => t.trim()).filter(Boolean);
+        const existing = availableProfiles.find(profile => profile.name === name);
+
+        const settings = {
+            description: base.description || '',
+            rules: [
+                ...(base.rules || []),
+                ...typedPatterns.map((pattern, index) => ({ name: `rule-${(base.rules || []).length + index + 1}`, pattern }))
+            ],
+            customText: [...(base.customText || []), ...typedText],
+            elementRules: [...(base.elementRules || []), ...(elementRules || [])],
+            allowlist: ['values', 'patterns', 'domains'].reduce((merged, field) => ({
+                ...merged,
+                [field]: [...new Set([...((base.allowlist || {})[field] || []), ...((allowlist || {})[field] || [])])]
+            }), {}),
+            mode,
+            attributes: attributes ? attributes.split(',').map(a => a.trim()).filter(Boolean) : null,
+            detectors,
+            locales,
+            minConfidence,
+            replacements,
+            scrub,
+            normalize,
+            include: base.include || [],
+            exclude: base.exclude || []
+        };
+
+        try {
+            const response = await fetch(existing ? `/profiles/${encodeURIComponent(name)}` : '/profiles', {
+                method: existing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(existing ? { ...settings, version: existing.version } : { name, ...settings }),
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to save profile');
+            }
+
+            // The typed entries now live in the profile
+            patternsInput.value = '';
+            document.getElementById('customText').value = '';
+            elementSelectorsInput.value = '';
+            allowlistInput.value = '';
+            await loadProfiles();
+            profileSelect.value = name;
+            await applySelectedProfile();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Shows the pseudonym key field when any keyed strategy is selected
+     */
+    function updatePseudonymKeyVisibility() {
+        const selects = [replacementSelect, ...detectorList.querySelectorAll('select[data-detector]')];
+        const keyed = selects.some(select => ['pseudonym', 'fake'].includes(select.value));
+        pseudonymKeyGroup.classList.toggle('hidden', !keyed);
+    }
+
+    /**
+     * Adds a detector's checkbox and replacement picker to the detector list
+     * @param {Object} detector - Detector from /detectors
+     * @param {Object} pack - Locale pack the detector belongs to
+     * @param {string[]} strategies - Replacement strategy names
+     */
+    function appendDetector(detector, pack, strategies) {
+        const label = document.createElement('label');
+        label.className = 'flex items-center text-sm text-gray-700';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'detector';
+        checkbox.value = detector.name;
+        checkbox.checked = pack.enabledByDefault && detector.enabledByDefault;
+        checkbox.className = 'mr-2';
+
+        const text = document.createElement('span');
+        text.className = 'flex-1';
+        text.textContent = detector.label;
+
+        // Per-detector replacement, falling back to the global choice
+        const strategy = document.createElement('select');
+        strategy.dataset.detector = detector.name;
+        strategy.className = 'ml-2 text-xs border border-gray-300 rounded p-1';
+        ['', ...strategies].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || 'default';
+            strategy.appendChild(option);
+        });
+        strategy.addEventListener('change', updatePseudonymKeyVisibility);
+
+        label.append(checkbox, text, strategy);
+        detectorList.appendChild(label);
+    }
+
+    /**
+     * Loads the registered detectors into the detector picker
+     */
+    async function loadDetectors() {
+        try {
+            const response = await fetch('/detectors');
+            const data = await response.json();
+
+            detectorList.innerHTML = '';
+            availableDetectors = data.detectors;
+            detectorCategories = {};
+            data.detectors.forEach(detector => {
+                detectorCategories[detector.name] = detector.category;
+            });
+
+            data.locales.forEach(pack => {
+                const packDetectors = data.detectors.filter(detector => detector.locale === pack.name);
+                if (packDetectors.length === 0) return;
+
+                // Turning a pack on checks its default detectors, turning it off clears them all
+                const heading = document.createElement('label');
+                heading.className = 'sm:col-span-2 mt-1 flex items-center text-xs font-medium uppercase tracking-wide text-gray-500';
+                const packBox = document.createElement('input');
+                packBox.type = 'checkbox';
+                packBox.name = 'locale';
+                packBox.value = pack.name;
+                packBox.checked = pack.enabledByDefault;
+                packBox.className = 'mr-2';
+                packBox.addEventListener('change', () => {
+                    packDetectors.forEach(detector => {
+                        const box = detectorList.querySelector(`input[name="detector"][value="${detector.name}"]`);
+                        box.checked = packBox.checked && detector.enabledByDefault;
+                    });
+                });
+                heading.append(packBox, pack.label);
+                detectorList.appendChild(heading);
+
+                packDetectors.forEach(detector => appendDetector(detector, pack, data.replacementStrategies));
+            });
+        } catch (error) {
+            console.error('Failed to load detectors:', error);
+        }
+    }
+
+    /**
+     * Updates the approval of one match and every element that shows it
+     * @param {string} filePath - Path to the file the match belongs to
+     * @param {string} matchId - Match identifier
+     * @param {boolean} approved - Whether the match should be redacted
+     */
+    function setMatchApproval(filePath, matchId, approved) {
+        const fileState = reviewState[filePath];
+        if (!fileState || !fileState.has(matchId)) return;
+
+        fileState.set(matchId, approved);
+        updateFileTreeEntry(filePath);
+        if (filePath !== reviewView.file) return;
+
+        [originalPane, redactedPane].forEach(pane => {
+            findMatchElements(pane, matchId).forEach(element => element.classList.toggle('redact-rejected', !approved));
+        });
+
+        const checkbox = reviewMatches.querySelector(`input[data-match-id="${matchId}"]`);
+        if (checkbox) {
+            checkbox.checked = approved;
+        }
+
+        updateReviewSummary();
+    }
+
+    /**
+     * Rejects every match of a value across all previewed files
+     * @param {string} value - Matched text to skip
+     */
+    function skipAllOccurrences(value) {
+        Object.entries(currentPreviewData.matches || {}).forEach(([filePath, matches]) => {
+            matches
+                .filter(match => match.text === value)
+                .forEach(match => setMatchApproval(filePath, match.id, false));
+        });
+    }
+
+    /**
+     * Refreshes the approved count shown for the file under review
+     */
+    function updateReviewSummary() {
+        const fileState = reviewState[reviewView.file];
+        const approvedCount = [...fileState.values()].filter(Boolean).length;
+        const allowedCount = getFileMatches(reviewView.file, 'allowed').length;
+        reviewSummary.textContent = `${approvedCount} of ${fileState.size} matches will be redacted`
+            + (allowedCount > 0 ? `, ${allowedCount} allowed` : '');
+    }
+
+    /**
+     * Creates the list of matches with approve/reject controls
+     * @param {string} filePath - Path to the file
+     * @param {Object[]} matches - Matches found in the file
+     * @returns {HTMLElement} The match list element
+     */
+    function createMatchList(filePath, matches) {
+        const list = document.createElement('ul');
+        list.className = 'match-list';
+
+        matches.forEach((match, index) => {
+            const item = document.createElement('li');
+            item.className = 'match-list-item';
+
+            const label = document.createElement('label');
+            label.className = 'flex items-center flex-1 min-w-0';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.matchId = match.id;
+            checkbox.className = 'mr-2';
+            checkbox.addEventListener('change', () => setMatchApproval(filePath, match.id, checkbox.checked));
+
+            const detector = document.createElement('span');
+            detector.className = 'match-detector';
+            detector.dataset.category = match.category;
+            const name = match.attribute ? `${match.detector} @${match.attribute}` : match.detector;
+            // Hits found in decoded text say which encoding hid them
+            detector.textContent = match.encoding ? `${name} (${match.encoding})` : name;
+            detector.title = `Confidence ${Math.round(match.confidence * 100)}%`;
+
+            const text = document.createElement('span');
+            text.className = 'match-text';
+            text.textContent = match.text;
+
+            const replacement = document.createElement('span');
+            replacement.className = 'match-replacement';
+            // Element rules rewrite markup, so they show what happens to the element instead
+            replacement.textContent = match.action ? `→ ${match.action}` : `→ ${match.replacement}`;
+
+            label.append(checkbox, detector, text, replacement);
+
+            const showBtn = document.createElement('button');
+            showBtn.type = 'button';
+            showBtn.className = 'match-skip-btn';
+            showBtn.textContent = 'Show';
+            showBtn.addEventListener('click', () => {
+                reviewView.matchIndex = index;
+                highlightCurrentMatch();
+            });
+
+            const skipBtn = document.createElement('button');
+            skipBtn.type = 'button';
+            skipBtn.className = 'match-skip-btn';
+            skipBtn.textContent = 'Skip all occurrences';
+            skipBtn.addEventListener('click', () => skipAllOccurrences(match.text));
+
+            item.append(label, showBtn, skipBtn);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Creates the list of matches that were found but will not be redacted
+     * @param {Object[]} allowed - Allowed matches with the reason in allowedBy
+     * @returns {HTMLElement} List element
+     */
+    function createAllowedList(allowed) {
+        const list = document.createElement('ul');
+        list.className = 'match-list match-list-allowed';
+
+        allowed.forEach(match => {
+            const item = document.createElement('li');
+            item.className = 'match-list-item';
+
+            const detector = document.createElement('span');
+            detector.className = 'match-detector';
+            detector.textContent = match.detector;
+
+            const text = document.createElement('span');
+            text.className = 'match-text';
+            text.textContent = match.text;
+
+            const reason = document.createElement('span');
+            reason.className = 'match-replacement';
+            reason.textContent = `allowed: ${ALLOWED_REASONS[match.allowedBy] || match.allowedBy}`;
+
+            item.append(detector, text, reason);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Lists the matches of a previewed file
+     * @param {string} filePath - Path to the file
+     * @param {string} kind - 'matches' for matches to redact, 'allowed' for allowed ones
+     * @returns {Object[]} Matches in the order they appear in the file
+     */
+    function getFileMatches(filePath, kind = 'matches') {
+        return (currentPreviewData[kind] && currentPreviewData[kind][filePath]) || [];
+    }
+
+    /**
+     * Counts matches per detector
+     * @param {Object[]} matches - Matches
+     * @returns {Object} Counts keyed by detector name
+     */
+    function countByDetector(matches) {
+        const counts = {};
+        matches.forEach(match => {
+            counts[match.detector] = (counts[match.detector] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Creates a badge for each detector with its count
+     * @param {Object} counts - Counts keyed by detector name
+     * @returns {HTMLElement} Element holding the badges
+     */
+    function createDetectorBadges(counts) {
+        const badges = document.createElement('div');
+        badges.className = 'review-detectors';
+        Object.entries(counts).forEach(([detector, count]) => {
+            const badge = document.createElement('span');
+            badge.className = 'match-detector';
+            badge.dataset.category = detectorCategories[detector] || 'custom';
+            badge.textContent = `${detector} ${count}`;
+            badges.appendChild(badge);
+        });
+        return badges;
+    }
+
+    /**
+     * Lists the previewed files shown in the tree, in path order
+     * @returns {string[]} File paths, only those with matches when the filter is on
+     */
+    function getReviewFiles() {
+        return Object.keys(currentPreviewData.results)
+            .sort()
+            .filter(filePath => !reviewOnlyMatchesInput.checked || getFileMatches(filePath).length > 0);
+    }
+
+    /**
+     * Shows the number of files with matches and the matches per detector across all files
+     */
+    function renderReviewTotals() {
+        const files = Object.keys(currentPreviewData.results);
+        const allMatches = files.flatMap(filePath => getFileMatches(filePath));
+        const withMatches = files.filter(filePath => getFileMatches(filePath).length > 0).length;
+
+        const secretCount = allMatches.filter(match => match.category === 'secret').length;
+
+        const summary = document.createElement('div');
+        summary.textContent = `${allMatches.length} matches in ${withMatches} of ${files.length} files`
+            + (secretCount > 0 ? `, ${secretCount} of them secrets` : '');
+        reviewTotals.replaceChildren(summary, createDetectorBadges(countByDetector(allMatches)));
+    }
+
+    /**
+     * Builds the file tree, with a row for each folder and each file's match counts
+     */
+    function renderFileTree() {
+        reviewFileTree.innerHTML = '';
+        let previousFolders = [];
+
+        getReviewFiles().forEach(filePath => {
+            const parts = filePath.split(/[\\/]/);
+            const folders = parts.slice(0, -1);
+
+            // Folders shared with the file before are already listed
+            let common = 0;
+            while (common < folders.length && folders[common] === previousFolders[common]) common++;
+            folders.slice(common).forEach((folder, offset) => {
+                const row = document.createElement('li');
+                row.className = 'review-tree-folder';
+                row.style.paddingLeft = `${(common + offset) * 0.75}rem`;
+                row.innerHTML = '<i class="fas fa-folder text-gray-400 mr-1"></i>';
+                row.append(folder);
+                reviewFileTree.appendChild(row);
+            });
+            previousFolders = folders;
+
+            const row = document.createElement('li');
+            row.className = 'review-tree-file';
+            row.dataset.filePath = filePath;
+            row.style.paddingLeft = `${folders.length * 0.75}rem`;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'review-tree-button';
+            button.innerHTML = '<span class="review-tree-name"></span><span class="review-tree-count"></span>';
+            button.querySelector('.review-tree-name').textContent = parts[parts.length - 1];
+            button.title = filePath;
+            button.addEventListener('click', () => selectReviewFile(filePath));
+
+            row.append(button, createDetectorBadges(countByDetector(getFileMatches(filePath))));
+            reviewFileTree.appendChild(row);
+            updateFileTreeEntry(filePath);
+        });
+
+        if (reviewFileTree.children.length === 0) {
+            const row = document.createElement('li');
+            row.className = 'text-sm text-gray-500';
+            row.textContent = 'No files with matches';
+            reviewFileTree.appendChild(row);
+        }
+    }
+
+    /**
+     * Refreshes a file's row in the tree: how many of its matches will be redacted
+     * and whether it is the file under review
+     * @param {string} filePath - Path to the file
+     */
+    function updateFileTreeEntry(filePath) {
+        const row = reviewFileTree.querySelector(`[data-file-path="${CSS.escape(filePath)}"]`);
+        if (!row) return;
+
+        const fileState = reviewState[filePath];
+        const approvedCount = [...fileState.values()].filter(Boolean).length;
+        row.querySelector('.review-tree-count').textContent = fileState.size > 0 ? `${approvedCount}/${fileState.size}` : '0';
+        row.classList.toggle('active', filePath === reviewView.file);
+    }
+
+    /**
+     * Gets the document a review pane shows: its rendered frame, or the pane itself for source
+     * @param {HTMLElement} pane - Original or redacted pane
+     * @returns {Document|HTMLElement|null} Root to search for marks, null while a frame loads
+     */
+    function getPaneRoot(pane) {
+        const frame = pane.querySelector('iframe');
+        return frame ? frame.contentDocument : pane;
+    }
+
+    /**
+     * Finds the elements showing a match in a review pane
+     * @param {HTMLElement} pane - Original or redacted pane
+     * @param {string} matchId - Match identifier
+     * @returns {Element[]} Marks and flagged elements for the match
+     */
+    function findMatchElements(pane, matchId) {
+        const root = getPaneRoot(pane);
+        if (!root) return [];
+        return [...root.querySelectorAll(
+            `[data-match-id="${matchId}"], [data-redact-match="${matchId}"], [data-match-ids~="${matchId}"]`
+        )];
+    }
+
+    /**
+     * Marks the matches a reviewer rejected in a pane
+     * @param {HTMLElement} pane - Original or redacted pane
+     */
+    function applyReviewStyles(pane) {
+        reviewState[reviewView.file].forEach((approved, matchId) => {
+            findMatchElements(pane, matchId).forEach(element => element.classList.toggle('redact-rejected', !approved));
+        });
     }
 
-    // State
-    let currentPreviewData = null;
+    /**
+     * Shows text as escaped source with marks over some of its ranges. The text
+     * only ever becomes text nodes, so nothing in it is parsed as markup
+     * @param {HTMLElement} pane - Pane to fill
+     * @param {string} text - File content
+     * @param {Object[]} marks - Non-overlapping ranges, sorted, with class, title and data attributes
+     */
+    function showSourcePane(pane, text, marks) {
+        const source = document.createElement('pre');
+        source.className = 'review-source';
+        let lastEnd = 0;
+
+        marks.forEach(mark => {
+            if (mark.start < lastEnd) return;
+            const element = document.createElement('mark');
+            element.className = mark.className;
+            element.title = mark.title;
+            Object.assign(element.dataset, mark.data);
+            element.textContent = text.slice(mark.start, mark.end);
+            source.append(text.slice(lastEnd, mark.start), element);
+            lastEnd = mark.end;
+        });
+        source.append(text.slice(lastEnd));
+
+        pane.replaceChildren(source);
+    }
 
     /**
-     * Shows an error message
-     * @param {string} message - Error message to display
+     * Shows an HTML document in a sandboxed frame. Without allow-scripts nothing
+     * in the document runs; allow-same-origin only lets this page find the marks.
+     * The content security policy keeps the document from loading anything
+     * except this tool's stylesheet, so a scanned page cannot call out
+     * @param {HTMLElement} pane - Pane to fill
+     * @param {string} html - Document with marks
      */
-    function showError(message) {
-        errorMessage.querySelector('span').textContent = message;
-        errorMessage.classList.remove('hidden');
-        errorMessage.classList.add('alert-animation');
-        setTimeout(() => {
-            errorMessage.classList.remove('alert-animation');
-        }, 300);
+    function showRenderedPane(pane, html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'review-frame';
+        frame.setAttribute('sandbox', 'allow-same-origin');
+        frame.addEventListener('load', () => {
+            frame.contentDocument.addEventListener('click', handleMarkClick);
+            applyReviewStyles(pane);
+            highlightCurrentMatch();
+        });
+        frame.srcdoc = RENDERED_PREAMBLE + html;
+        pane.replaceChildren(frame);
     }
 
     /**
-     * Hides the error message
+     * Shows the file under review in both panes, as source or rendered
      */
-    function hideError() {
-        errorMessage.classList.add('hidden');
+    function renderPanes() {
+        const filePath = reviewView.file;
+        const redacted = currentPreviewData.redacted[filePath];
+        // Only HTML can be rendered; other formats always show their source
+        const rendered = reviewView.mode === 'rendered' && Boolean(redacted.preview);
+
+        reviewModeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.reviewMode === (rendered ? 'rendered' : 'source'));
+            button.disabled = button.dataset.reviewMode === 'rendered' && !redacted.preview;
+        });
+
+        if (rendered) {
+            showRenderedPane(originalPane, currentPreviewData.results[filePath]);
+            showRenderedPane(redactedPane, redacted.preview);
+            return;
+        }
+
+        const originalMarks = [
+            ...getFileMatches(filePath).map(match => ({
+                start: match.index,
+                end: match.index + match.length,
+                className: 'redact-highlight',
+                title: `${match.detector} → ${match.action || match.replacement}`,
+                data: { matchId: match.id, category: match.category }
+            })),
+            ...getFileMatches(filePath, 'allowed').map(match => ({
+                start: match.index,
+                end: match.index + match.length,
+                className: 'redact-highlight redact-allowed',
+                title: `Allowed (${ALLOWED_REASONS[match.allowedBy] || match.allowedBy})`,
+                data: {}
+            }))
+        ].sort((a, b) => a.start - b.start);
+
+        const replacementMarks = redacted.replacements.map(replacement => ({
+            start: replacement.start,
+            end: replacement.start + replacement.length,
+            className: 'redact-highlight redact-replacement',
+            title: 'Replacement',
+            data: { matchIds: replacement.ids.join(' ') }
+        }));
+
+        showSourcePane(originalPane, currentPreviewData.sources[filePath], originalMarks);
+        showSourcePane(redactedPane, redacted.content, replacementMarks);
+        [originalPane, redactedPane].forEach(applyReviewStyles);
+        highlightCurrentMatch();
     }
 
     /**
-     * Shows the loading indicator
+     * Scrolls a pane so an element is in the middle of it
+     * @param {HTMLElement} pane - Original or redacted pane
+     * @param {Element} element - Element to show
      */
-    function showLoading() {
-        loadingIndicator.classList.remove('hidden');
-        previewBtn.disabled = true;
-        redactBtn.disabled = true;
+    function scrollPaneTo(pane, element) {
+        const frame = pane.querySelector('iframe');
+        if (frame) {
+            const view = frame.contentWindow;
+            view.scrollTo(0, element.getBoundingClientRect().top + view.scrollY - view.innerHeight / 2);
+            return;
+        }
+        pane.scrollTop += element.getBoundingClientRect().top - pane.getBoundingClientRect().top - pane.clientHeight / 2;
     }
 
     /**
-     * Hides the loading indicator
+     * Highlights the current match in both panes and scrolls them to it
      */
-    function hideLoading() {
-        loadingIndicator.classList.add('hidden');
-        previewBtn.disabled = false;
-        redactBtn.disabled = !currentPreviewData;
+    function highlightCurrentMatch() {
+        const matches = getFileMatches(reviewView.file);
+        const current = matches[reviewView.matchIndex];
+
+        matchPosition.textContent = matches.length === 0
+            ? 'No matches'
+            : `${current ? reviewView.matchIndex + 1 : '–'} of ${matches.length}`;
+
+        [originalPane, redactedPane].forEach(pane => {
+            const root = getPaneRoot(pane);
+            if (!root) return;
+            root.querySelectorAll('.redact-current').forEach(element => element.classList.remove('redact-current'));
+            if (!current) return;
+
+            const elements = findMatchElements(pane, current.id);
+            elements.forEach(element => element.classList.add('redact-current'));
+            if (elements.length > 0) {
+                scrollPaneTo(pane, elements[0]);
+            }
+        });
+
+        reviewMatches.querySelectorAll('.match-list-item').forEach((item, index) => {
+            item.classList.toggle('current', index === reviewView.matchIndex);
+        });
+    }
+
+    /**
+     * Moves to the next or previous match, continuing in the next file with
+     * matches past the end of the current one
+     * @param {number} step - 1 for the next match, -1 for the previous one
+     */
+    function goToMatch(step) {
+        const matches = getFileMatches(reviewView.file);
+        const index = reviewView.matchIndex === -1 && step < 0 ? matches.length - 1 : reviewView.matchIndex + step;
+
+        if (index >= 0 && index < matches.length) {
+            reviewView.matchIndex = index;
+            highlightCurrentMatch();
+            return;
+        }
+
+        const files = getReviewFiles();
+        const position = files.indexOf(reviewView.file);
+        for (let i = 1; i <= files.length; i++) {
+            const filePath = files[(position + step * i + files.length * i) % files.length];
+            const fileMatches = getFileMatches(filePath);
+            if (fileMatches.length > 0) {
+                selectReviewFile(filePath, step > 0 ? 0 : fileMatches.length - 1);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Toggles the match under a clicked highlight, in a source pane or a rendered frame
+     * @param {Event} e - Click event
+     */
+    function handleMarkClick(e) {
+        const mark = e.target.closest('[data-match-id], [data-redact-match], [data-match-ids]');
+        if (!mark) return;
+        // Links in rendered documents are not followed
+        e.preventDefault();
+
+        const fileState = reviewState[reviewView.file];
+        (mark.dataset.matchId || mark.dataset.redactMatch || mark.dataset.matchIds)
+            .split(' ')
+            .filter(matchId => fileState.has(matchId))
+            .forEach(matchId => setMatchApproval(reviewView.file, matchId, !fileState.get(matchId)));
     }
 
     /**
-     * Creates a file preview card element
+     * Shows a file in the review view
      * @param {string} filePath - Path to the file
-     * @param {string} content - HTML content with highlighted sensitive data
-     * @returns {HTMLElement} The preview card element
+     * @param {number} matchIndex - Match to show first, -1 for none
      */
-    function createFilePreviewCard(filePath, content) {
-        const card = document.createElement('div');
-        card.className = 'file-preview';
+    function selectReviewFile(filePath, matchIndex = -1) {
+        const previous = reviewView.file;
+        reviewView.file = filePath;
+        reviewView.matchIndex = matchIndex;
+        if (previous) updateFileTreeEntry(previous);
+        updateFileTreeEntry(filePath);
 
-        const header = document.createElement('div');
-        header.className = 'file-preview-header';
-        header.innerHTML = `
-            <i class="fas fa-file-code text-blue-500 mr-2"></i>
-            <span class="font-medium text-gray-700">${filePath}</span>
-        `;
+        reviewFileName.textContent = filePath;
+        reviewMatches.innerHTML = '';
+        const matches = getFileMatches(filePath);
+        const allowed = getFileMatches(filePath, 'allowed');
+        if (matches.length > 0) {
+            reviewMatches.appendChild(createMatchList(filePath, matches));
+        }
+        if (allowed.length > 0) {
+            reviewMatches.appendChild(createAllowedList(allowed));
+        }
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'file-preview-content';
-        contentDiv.innerHTML = content;
+        renderPanes();
+        updateReviewSummary();
+    }
 
-        card.appendChild(header);
-        card.appendChild(contentDiv);
+    /**
+     * Shows the first file of the tree, or empties the view when the tree is empty
+     */
+    function selectFirstReviewFile() {
+        const [first] = getReviewFiles();
+        if (first) {
+            selectReviewFile(first);
+            return;
+        }
 
-        return card;
+        reviewView.file = null;
+        reviewFileName.textContent = '';
+        reviewSummary.textContent = '';
+        matchPosition.textContent = '';
+        originalPane.replaceChildren();
+        redactedPane.replaceChildren();
+        reviewMatches.innerHTML = '';
     }
 
     /**
@@ -101,14 +1274,18 @@ document.addEventListener('DOMContentLoaded', function() {
      * @param {Object} data - Preview results data
      */
     function displayPreviewResults(data) {
-        previewContent.innerHTML = '';
         currentPreviewData = data;
+        reviewState = {};
+        reviewView.file = null;
 
-        Object.entries(data.results).forEach(([filePath, content]) => {
-            const card = createFilePreviewCard(filePath, content);
-            previewContent.appendChild(card);
+        Object.keys(data.results).forEach(filePath => {
+            reviewState[filePath] = new Map(getFileMatches(filePath).map(match => [match.id, true]));
         });
 
+        renderReviewTotals();
+        renderFileTree();
+        selectFirstReviewFile();
+
         previewResults.classList.remove('hidden');
         redactionResults.classList.add('hidden');
         redactBtn.disabled = false;
@@ -117,26 +1294,276 @@ document.addEventListener('DOMContentLoaded', function() {
         previewResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
+    /**
+     * Collects the review decisions to send with a redaction request
+     * @returns {Object} Decisions keyed by file path
+     */
+    function buildReviewDecisions() {
+        const decisions = {};
+
+        Object.entries(reviewState).forEach(([filePath, fileState]) => {
+            decisions[filePath] = {
+                hash: currentPreviewData.hashes[filePath],
+                approved: [...fileState.entries()]
+                    .filter(([, approved]) => approved)
+                    .map(([matchId]) => matchId)
+            };
+        });
+
+        return decisions;
+    }
+
+    /**
+     * Lists the verification status of each redacted file, with what was
+     * found in the files that failed
+     * @param {HTMLElement} list - List to fill
+     * @param {Object} verification - Verification summary of the run
+     */
+    function showVerification(list, verification) {
+        const labels = {
+            residual: 'redacted elsewhere but still present',
+            missed: 'not caught by any rule',
+            fragment: 'piece of a redacted value'
+        };
+
+        Object.entries(verification.files).forEach(([file, result]) => {
+            const item = document.createElement('li');
+            const status = document.createElement('span');
+            status.className = `font-medium ${result.status === 'failed' ? 'text-red-700' : 'text-green-700'}`;
+            status.textContent = result.status === 'failed' ? 'FAIL' : 'PASS';
+            item.append(status, ` ${file}`);
+
+            if (result.findings.length > 0) {
+                const findings = document.createElement('ul');
+                findings.className = 'ml-6 text-gray-700 font-mono';
+                result.findings.forEach(finding => {
+                    const entry = document.createElement('li');
+                    entry.textContent = `line ${finding.line}, column ${finding.column}: ${finding.detector} `
+                        + `"${finding.text}" (${labels[finding.kind]})`;
+                    findings.appendChild(entry);
+                });
+                item.appendChild(findings);
+            }
+            list.appendChild(item);
+        });
+
+        // Unchanged files keep the status of the run that wrote them
+        verification.failed.filter(file => !verification.files[file]).forEach(file => {
+            const item = document.createElement('li');
+            item.className = 'text-red-700';
+            item.textContent = `FAIL ${file} (unchanged since a run whose verification failed)`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Lists the hidden metadata scrubbed from each file, by category and then one line per removal
+     * @param {HTMLElement} list - List to fill
+     * @param {Object} scrubbed - Removals keyed by relative path
+     */
+    function showScrubbed(list, scrubbed) {
+        Object.entries(scrubbed).forEach(([file, removed]) => {
+            const counts = {};
+            removed.forEach(item => {
+                counts[item.category] = (counts[item.category] || 0) + 1;
+            });
+
+            const item = document.createElement('li');
+            item.textContent = `Scrubbed ${file}: `
+                + Object.entries(counts).map(([category, count]) => `${count} ${category}`).join(', ');
+
+            const details = document.createElement('ul');
+            details.className = 'ml-6 text-gray-700 font-mono';
+            removed.forEach(removal => {
+                const entry = document.createElement('li');
+                const target = removal.category === 'comments'
+                    ? 'comment'
+                    : `<${removal.element}>${removal.attribute ? ` ${removal.attribute}` : ''}`;
+                entry.textContent = `line ${removal.line}, column ${removal.column}: ${target}`;
+                details.appendChild(entry);
+            });
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Lays out a results panel: an icon beside a column of messages
+     * @param {string} iconClass - Font Awesome classes of the icon
+     * @returns {HTMLElement} Column to add the messages to
+     */
+    function createResultsPanel(iconClass) {
+        const panel = document.createElement('div');
+        panel.className = 'flex items-start';
+        const icon = document.createElement('i');
+        icon.className = `fas ${iconClass} mr-2 mt-1`;
+        const body = document.createElement('div');
+        panel.append(icon, body);
+        redactionContent.replaceChildren(panel);
+        return body;
+    }
+
+    /**
+     * Adds a line of text to a results panel
+     * @param {HTMLElement} body - Column from createResultsPanel
+     * @param {string} className - Classes of the paragraph
+     * @param {string} text - Text to show
+     */
+    function appendResultLine(body, className, text) {
+        const line = document.createElement('p');
+        line.className = className;
+        line.textContent = text;
+        body.appendChild(line);
+    }
+
+    /**
+     * Adds a download link to a results panel
+     * @param {HTMLElement} body - Column from createResultsPanel
+     * @param {string} href - Download URL
+     * @param {string} iconClass - Font Awesome classes of the link's icon
+     * @param {string} text - Link text
+     * @param {string} margin - Margin class above the link
+     */
+    function appendDownloadLink(body, href, iconClass, text, margin) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.className = `inline-flex items-center ${margin} text-blue-600 hover:text-blue-800`;
+        const icon = document.createElement('i');
+        icon.className = `fas ${iconClass} mr-2`;
+        link.append(icon, text);
+        body.appendChild(link);
+    }
+
+    /**
+     * Adds an empty list to a results panel
+     * @param {HTMLElement} body - Column from createResultsPanel
+     * @param {string} className - Classes of the list
+     * @returns {HTMLElement} The list
+     */
+    function appendResultList(body, className) {
+        const list = document.createElement('ul');
+        list.className = className;
+        body.appendChild(list);
+        return list;
+    }
+
+    /**
+     * Displays the files a dry run would have written or deleted
+     * @param {Object} data - Dry run results data
+     */
+    function displayPlannedWrites(data) {
+        const verbs = { create: 'Create', overwrite: 'Overwrite', delete: 'Delete' };
+
+        const body = createResultsPanel('fa-clipboard-list text-blue-500');
+        appendResultLine(body, 'font-medium', 'Dry run: nothing was written');
+        appendResultLine(body, 'mt-2',
+            `${data.planned.length} planned changes in ${data.outputFolder}, ${data.skipped.length} files unchanged since the last run.`);
+        const list = appendResultList(body, 'mt-2 space-y-1 text-sm font-mono');
+        showVerification(appendResultList(body, 'mt-3 space-y-2 text-sm'), data.verification);
+        showScrubbed(appendResultList(body, 'mt-3 space-y-2 text-sm'), data.scrubbed);
+        data.planned.forEach(write => {
+            const item = document.createElement('li');
+            item.textContent = `${verbs[write.action]} ${write.output}${write.vault ? ' and its vault' : ''}`;
+            list.appendChild(item);
+        });
+
+        redactionResults.classList.remove('hidden');
+        redactionResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
     /**
      * Displays redaction results
      * @param {Object} data - Redaction results data
      */
     function displayRedactionResults(data) {
-        redactionContent.innerHTML = `
-            <div class="flex items-start">
-                <i class="fas fa-check-circle text-green-500 mr-2 mt-1"></i>
-                <div>
-                    <p class="font-medium">Redaction completed successfully!</p>
-                    <p class="mt-2">Processed ${data.fileCount} files.</p>
-                    <p class="mt-1">Redacted files are available in: ${data.outputFolder}</p>
-                </div>
-            </div>
-        `;
+        if (data.dryRun) {
+            displayPlannedWrites(data);
+            return;
+        }
+
+        const verificationFailed = data.verification.status === 'failed';
+
+        const body = createResultsPanel(verificationFailed ? 'fa-exclamation-triangle text-red-500' : 'fa-check-circle text-green-500');
+        appendResultLine(body, 'font-medium', verificationFailed
+            ? `Redaction completed, but verification found sensitive content left in ${data.verification.failed.length} files`
+            : 'Redaction completed successfully!');
+        appendResultLine(body, 'mt-2', `Processed ${data.fileCount} files: ${data.added.length} added, ${data.changed.length} changed.`);
+        if (data.skipped.length > 0) {
+            appendResultLine(body, 'mt-1', `Skipped ${data.skipped.length} files unchanged since the last run.`);
+        }
+        if (data.deleted.length > 0) {
+            appendResultLine(body, 'mt-1', `Deleted the redacted copies of ${data.deleted.length} removed files.`);
+        }
+        if (data.downloadUrl) {
+            appendDownloadLink(body, data.downloadUrl, 'fa-file-archive', 'Download redacted files (.zip)', 'mt-2');
+        } else {
+            appendResultLine(body, 'mt-1', `Redacted files are available in: ${data.outputFolder}`);
+        }
+        if (data.profile) {
+            appendResultLine(body, 'mt-1', `Used profile ${data.profile.name}, version ${data.profile.version}.`);
+        }
+        if (data.vaults) {
+            appendResultLine(body, 'mt-1', `Wrote ${data.vaults.length} encrypted vault files alongside them.`);
+            if (data.downloadUrl) {
+                appendDownloadLink(body, `${data.downloadUrl}?vaults=true`, 'fa-key', 'Download with vault files (.zip)', 'mt-1');
+            }
+        }
+        showVerification(appendResultList(body, 'mt-3 space-y-2 text-sm'), data.verification);
+        showScrubbed(appendResultList(body, 'mt-3 space-y-2 text-sm'), data.scrubbed);
 
         redactionResults.classList.remove('hidden');
         redactionResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
+    /**
+     * Names the folder to process: the uploaded workspace when there is one,
+     * otherwise the path in the folder field
+     * @returns {Object} Request body fields for the folder
+     */
+    function getFolderTarget() {
+        return uploadedWorkspace
+            ? { workspace: uploadedWorkspace.id }
+            : { folder: folderPathInput.value.trim() };
+    }
+
+    /**
+     * Uploads picked files into a new server workspace
+     * @param {File[]} files - Files from the folder or zip picker
+     */
+    async function uploadFiles(files) {
+        hideError();
+
+        const formData = new FormData();
+        // Folder picks carry each file's path inside the folder
+        files.forEach(file => formData.append('files', file, file.webkitRelativePath || file.name));
+
+        try {
+            showLoading();
+            const response = await fetch('/upload', {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to upload files');
+            }
+
+            uploadedWorkspace = { id: data.workspace, folder: data.folder };
+            folderPathInput.value = data.folder;
+            currentPreviewData = null;
+            previewResults.classList.add('hidden');
+            redactionResults.classList.add('hidden');
+        } catch (error) {
+            uploadedWorkspace = null;
+            folderPathInput.value = '';
+            showError(error.message);
+        } finally {
+            hideLoading();
+            redactBtn.disabled = !currentPreviewData;
+        }
+    }
+
     /**
      * Handles the preview button click
      * @param {Event} e - Click event
@@ -160,34 +1587,22 @@ document.addEventListener('DOMContentLoaded', function() {
         // Get custom patterns and text
         const patterns = patternsInput.value.trim();
         const customText = document.getElementById('customText').value.trim();
-        console.log('Submitting preview request:', { folderPath, patterns, customText });
+        // Custom text terms are sensitive values themselves, so only their number is logged
+        const customTextCount = customText ? customText.split('\n').filter(term => term.trim()).length : 0;
+        console.log('Submitting preview request:', { folderPath, patterns, customTextCount });
 
         try {
             showLoading();
-            console.log('Making fetch request to /preview');
-            const response = await fetch('/preview', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    folder: folderPath,
-                    patterns: patterns || null,
-                    customText: customText || null
-                }),
+            console.log('Starting preview job');
+            const data = await runJob('preview', {
+                ...getFolderTarget(),
+                patterns: patterns || null,
+                customText: customText || null,
+                ...getScanOptions()
             });
-
-            console.log('Preview response status:', response.status);
-            const data = await response.json();
-            console.log('Preview response data:', data);
-
-            if (!response.ok) {
-                throw new Error(data.error || `HTTP error! status: ${response.status}`);
-            }
-
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to process preview');
-            }
+            // Counts only: the result carries file contents and matched values
+            const matchCount = Object.values(data.matches || {}).reduce((total, list) => total + list.length, 0);
+            console.log(`Preview result: ${data.fileCount} files, ${matchCount} matches, ${Object.keys(data.errors || {}).length} errors`);
 
             if (data.fileCount === 0) {
                 throw new Error('No HTML files found in the specified directory');
@@ -217,34 +1632,81 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
+        const patterns = patternsInput.value.trim();
+        const customText = document.getElementById('customText').value.trim();
+
+        try {
+            showLoading();
+            const data = await runJob('redact', {
+                ...getFolderTarget(),
+                patterns: patterns || null,
+                customText: customText || null,
+                ...getScanOptions(),
+                decisions: buildReviewDecisions(),
+                vaultPassphrase: vaultEnabledInput.checked ? vaultPassphraseInput.value : null,
+                force: forceRedactionInput.checked,
+                deleteRemoved: deleteRemovedInput.checked,
+                dryRun: dryRunInput.checked,
+                overwrite: overwritePolicySelect.value,
+                outputName: outputNameInput.value.trim() || null
+            });
+
+            displayRedactionResults(data);
+        } catch (error) {
+            showError(error.message);
+            redactionResults.classList.add('hidden');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Downloads the findings report for the current folder
+     * @param {string} format - Export format, 'csv' or 'json'
+     */
+    async function handleExport(format) {
+        hideError();
+
         const folderPath = folderPathInput.value.trim();
         const patterns = patternsInput.value.trim();
         const customText = document.getElementById('customText').value.trim();
 
+        if (!folderPath) {
+            showError('Please enter a folder path');
+            return;
+        }
+
         try {
             showLoading();
-            const response = await fetch('/redact', {
+            const response = await fetch(`/report?format=${format}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    folder: folderPath,
+                    ...getFolderTarget(),
                     patterns: patterns || null,
-                    customText: customText || null
+                    customText: customText || null,
+                    ...getScanOptions()
                 }),
             });
 
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to process redaction');
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
             }
 
-            displayRedactionResults(data);
+            // Save the attachment under the name the server suggested
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const nameMatch = disposition.match(/filename="?([^"]+)"?/);
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = nameMatch ? nameMatch[1] : `findings.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
         } catch (error) {
             showError(error.message);
-            redactionResults.classList.add('hidden');
         } finally {
             hideLoading();
         }
@@ -253,6 +1715,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize folder picker
     const folderPicker = document.getElementById('folderPicker');
     const localFolderBtn = document.getElementById('localFolderBtn');
+    const zipPicker = document.getElementById('zipPicker');
+    const zipUploadBtn = document.getElementById('zipUploadBtn');
     const googleDriveBtn = document.getElementById('googleDriveBtn');
 
     // Event Listeners
@@ -260,19 +1724,89 @@ document.addEventListener('DOMContentLoaded', function() {
     
     previewBtn.addEventListener('click', handlePreview);
     redactBtn.addEventListener('click', handleRedact);
+    document.getElementById('exportCsvBtn').addEventListener('click', () => handleExport('csv'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => handleExport('json'));
 
     // Local folder picker
     localFolderBtn.addEventListener('click', () => {
         folderPicker.click();
     });
 
+    // Picked files live on the user's machine, so they are uploaded to a workspace
     folderPicker.addEventListener('change', (e) => {
         if (e.target.files.length > 0) {
-            const folder = e.target.files[0];
-            folderPathInput.value = folder.path || folder.webkitRelativePath.split('/')[0];
+            uploadFiles([...e.target.files]);
+        }
+        e.target.value = '';
+    });
+
+    zipUploadBtn.addEventListener('click', () => {
+        zipPicker.click();
+    });
+
+    zipPicker.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadFiles([e.target.files[0]]);
+        }
+        e.target.value = '';
+    });
+
+    minConfidenceInput.addEventListener('input', () => {
+        minConfidenceValue.textContent = `${Math.round(minConfidenceInput.value * 100)}%`;
+    });
+
+    replacementSelect.addEventListener('change', updatePseudonymKeyVisibility);
+
+    vaultEnabledInput.addEventListener('change', () => {
+        vaultPassphraseGroup.classList.toggle('hidden', !vaultEnabledInput.checked);
+    });
+
+    profileSelect.addEventListener('change', applySelectedProfile);
+    saveProfileBtn.addEventListener('click', saveCurrentAsProfile);
+
+    // Profiles fill in detector settings, so the detector list must exist first
+    loadDetectors().then(loadProfiles);
+
+    cancelJobBtn.addEventListener('click', async () => {
+        if (!activeJobId) return;
+        cancelJobBtn.disabled = true;
+        await fetch(`/jobs/${activeJobId}`, { method: 'DELETE' });
+    });
+
+    resumeActiveJob();
+
+    watchToggleBtn.addEventListener('click', toggleWatching);
+
+    // A watcher keeps running on the server when the page is closed
+    activeWatcherId = localStorage.getItem(ACTIVE_WATCHER_KEY);
+    pollWatcher();
+
+    // Review view
+    reviewOnlyMatchesInput.addEventListener('change', () => {
+        if (!currentPreviewData) return;
+        renderFileTree();
+        if (!getReviewFiles().includes(reviewView.file)) {
+            selectFirstReviewFile();
         }
     });
 
+    reviewModeButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            reviewView.mode = button.dataset.reviewMode;
+            if (reviewView.file) renderPanes();
+        });
+    });
+
+    prevMatchBtn.addEventListener('click', () => reviewView.file && goToMatch(-1));
+    nextMatchBtn.addEventListener('click', () => reviewView.file && goToMatch(1));
+    originalPane.addEventListener('click', handleMarkClick);
+    redactedPane.addEventListener('click', handleMarkClick);
+
+    // Attribute list only applies to DOM-aware scanning
+    scanModeSelect.addEventListener('change', () => {
+        scanAttributesGroup.classList.toggle('hidden', scanModeSelect.value !== 'dom');
+    });
+
     // Google Drive integration
     googleDriveBtn.addEventListener('click', async () => {
         // This would typically integrate with Google Drive API
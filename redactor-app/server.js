@@ -1,6 +1,31 @@
 const express = require('express');
+const multer = require('multer');
 const path = require('path');
-const { processHTMLFilesForPreview, processHTMLFilesForRedaction } = require('./services/fileProcessor');
+const fs = require('fs').promises;
+const { processHTMLFilesForPreview, processHTMLFilesForRedaction, processHTMLFilesForReport } = require('./services/fileProcessor');
+const { reportToCsv } = require('./services/report');
+const {
+    listDetectors, resolveDetectors, resolveLocales, LOCALE_PACKS, DEFAULT_MIN_CONFIDENCE
+} = require('./services/detectors');
+const { REPLACEMENT_STRATEGIES, validateReplacements, getReplacementWarnings } = require('./services/replacement');
+const { VAULT_EXTENSION, MIN_PASSPHRASE_LENGTH, restoreRedactedFile } = require('./services/vault');
+const { REDACTION_MODES, splitPatternList } = require('./services/redaction');
+const { listProfiles, loadProfile, saveProfile, deleteProfile } = require('./services/profiles');
+const { ELEMENT_ACTIONS, validateElementRules } = require('./services/elementRules');
+const { validateScrub } = require('./services/metadataScrub');
+const { validateAllowlist, mergeAllowlists } = require('./services/allowlist');
+const { resolveFormats } = require('./services/formats');
+const {
+    WORKSPACES_DIR, UPLOADS_DIR, UPLOAD_LIMITS, MAX_UPLOAD_BYTES, createWorkspace, getWorkspace, startWorkspaceCleanup,
+    createOutputArchive
+} = require('./services/workspaces');
+const { JOB_TYPES, startJob, getJob, cancelJob, subscribeToJob } = require('./services/jobs');
+const { createWorkerPool } = require('./services/workerPool');
+const { startWatcher, getWatcher, listWatchers, stopWatcher } = require('./services/watcher');
+const { recordAuditEntry, queryAuditLog, verifyAuditLog } = require('./services/audit');
+const {
+    OVERWRITE_POLICIES, getConfiguredSandbox, checkPathAllowed, assertSafeOutputPath, getOutputFolder, resolveOverwrite
+} = require('./services/sandbox');
 
 const app = express();
 const PORT = 8000;
@@ -9,47 +34,603 @@ const PORT = 8000;
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Uploads are streamed to temporary files and copied into their workspace,
+// so a large upload never sits in memory. preservePath keeps the folder
+// structure browsers send in file names
+const upload = multer({ dest: UPLOADS_DIR, limits: UPLOAD_LIMITS, preservePath: true });
+
+// Workers for background jobs; request handlers keep processing in this thread
+const workerPool = createWorkerPool();
+
+// Folders requests may read and write. Without configured roots that is the
+// folder the server runs in; uploads are always allowed
+const configuredSandbox = getConfiguredSandbox([process.cwd()]);
+const sandbox = {
+    inputRoots: [...configuredSandbox.inputRoots, WORKSPACES_DIR],
+    outputRoots: [...configuredSandbox.outputRoots, WORKSPACES_DIR]
+};
+
+/**
+ * Builds redaction options from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Redaction options, or an error message
+ */
+function getRedactionOptions(body) {
+    const {
+        mode, attributes, detectors, locales, minConfidence, replacements, elementRules, allowlist, formats, include,
+        exclude, scrub, normalize
+    } = body;
+    // Keyed pseudonyms stay stable across runs when the project key is set in the environment
+    const pseudonymKey = body.pseudonymKey || process.env.REDACTOR_PSEUDONYM_KEY || null;
+
+    if (mode && !REDACTION_MODES.includes(mode)) {
+        return { error: `Unknown mode "${mode}". Expected one of: ${REDACTION_MODES.join(', ')}` };
+    }
+
+    if (detectors !== undefined && detectors !== null) {
+        const { unknown } = resolveDetectors(detectors);
+        if (unknown.length > 0) {
+            return { error: `Unknown detectors: ${unknown.join(', ')}` };
+        }
+    }
+
+    if (locales !== undefined && locales !== null) {
+        const { unknown } = resolveLocales(locales);
+        if (unknown.length > 0) {
+            return { error: `Unknown locale packs: ${unknown.join(', ')}` };
+        }
+    }
+
+    if (formats !== undefined && formats !== null) {
+        const { unknown } = resolveFormats(formats);
+        if (unknown.length > 0) {
+            return { error: `Unknown formats: ${unknown.join(', ')}` };
+        }
+    }
+
+    const confidence = minConfidence === undefined || minConfidence === null
+        ? DEFAULT_MIN_CONFIDENCE
+        : Number(minConfidence);
+    if (Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+        return { error: 'Minimum confidence must be a number between 0 and 1' };
+    }
+
+    const replacementError = validateReplacements(replacements, pseudonymKey);
+    if (replacementError) {
+        return { error: replacementError };
+    }
+    getReplacementWarnings(replacements).forEach(warning => console.warn(warning));
+
+    const elementRuleError = validateElementRules(elementRules);
+    if (elementRuleError) {
+        return { error: elementRuleError };
+    }
+
+    const allowlistError = validateAllowlist(allowlist);
+    if (allowlistError) {
+        return { error: allowlistError };
+    }
+
+    const scrubError = validateScrub(scrub);
+    if (scrubError) {
+        return { error: scrubError };
+    }
+
+    if (normalize !== undefined && normalize !== null && typeof normalize !== 'boolean') {
+        return { error: 'Normalize must be true or false' };
+    }
+
+    const globs = [include, exclude].map(list => typeof list === 'string' ? splitPatternList(list) : list);
+    if (globs.some(list => list && (!Array.isArray(list) || list.some(glob => typeof glob !== 'string')))) {
+        return { error: 'Include and exclude must be lists of glob patterns' };
+    }
+
+    return {
+        options: {
+            mode: mode || 'source',
+            attributes: attributes || null,
+            detectors: detectors ?? null,
+            locales: locales ?? null,
+            minConfidence: confidence,
+            replacements: replacements || null,
+            pseudonymKey,
+            elementRules: elementRules || null,
+            allowlist: allowlist || null,
+            formats: formats ?? null,
+            include: globs[0] || null,
+            exclude: globs[1] || null,
+            scrub: scrub && scrub.length > 0 ? scrub : null,
+            normalize: normalize === true
+        }
+    };
+}
+
+/**
+ * Normalizes a list sent either as an array or as text
+ * @param {string|string[]|null} value - List value from a request body
+ * @param {Function} split - Splits text into items
+ * @returns {Array} List items
+ */
+function toList(value, split) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : split(value);
+}
+
+/**
+ * Resolves the patterns, custom text and options for a run, starting from
+ * the named profile when one is given. Rules and custom text from the
+ * request are added to the profile's; other request fields override it.
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Run settings, or an error message with an HTTP status
+ */
+async function getRequestSettings(body) {
+    let profile = null;
+
+    if (body.profile) {
+        profile = await loadProfile(body.profile);
+        if (!profile) {
+            return { error: `Profile "${body.profile}" not found`, status: 404 };
+        }
+    }
+
+    const settings = { ...(profile || {}) };
+    Object.entries(body).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            settings[key] = value;
+        }
+    });
+
+    const { options, error } = getRedactionOptions(settings);
+    if (error) {
+        return { error, status: 400 };
+    }
+
+    const patterns = [
+        ...((profile && profile.rules) || []),
+        ...toList(body.patterns, splitPatternList)
+    ];
+    const elementRules = [...((profile && profile.elementRules) || []), ...(body.elementRules || [])];
+    if (elementRules.length > 0) {
+        options.elementRules = elementRules;
+    }
+
+    // Request entries extend the profile's allowlist rather than replacing it
+    options.allowlist = mergeAllowlists(profile && profile.allowlist, body.allowlist);
+
+    const customText = [
+        ...((profile && profile.customText) || []),
+        ...toList(body.customText, text => text.split('\n').map(t => t.trim()).filter(Boolean))
+    ];
+
+    if (profile) {
+        options.profile = { name: profile.name, version: profile.version };
+    }
+
+    return {
+        patterns: patterns.length > 0 ? patterns : null,
+        customText: customText.length > 0 ? customText : null,
+        options
+    };
+}
+
+/**
+ * Resolves a folder from a request body and checks that it is a directory the server may read
+ * @param {string} folder - Folder path, absolute or relative to the server cwd
+ * @returns {Promise<Object>} Absolute folder path, or an error message with an HTTP status
+ */
+async function resolveInputFolder(folder) {
+    // Ensure the folder path is absolute
+    const folderPath = path.isAbsolute(folder) ? folder : path.resolve(process.cwd(), folder);
+
+    // Checked first, so requests cannot probe which folders exist outside the roots
+    const accessError = await checkPathAllowed(folderPath, sandbox.inputRoots, 'Folder');
+    if (accessError) {
+        return { error: accessError, status: 403 };
+    }
+
+    // Verify it's a directory
+    try {
+        const stats = await fs.stat(folderPath);
+        if (!stats.isDirectory()) {
+            return { error: 'Path must be a directory', status: 400 };
+        }
+    } catch (error) {
+        return { error: 'Directory not found', status: 400 };
+    }
+
+    return { folderPath };
+}
+
+/**
+ * Resolves the input folder of a request, which is either an uploaded
+ * workspace or a folder on the server
+ * @param {Object} body - Request body with a workspace ID or a folder path
+ * @returns {Promise<Object>} Absolute folder path and the workspace, if any,
+ *   or an error message with an HTTP status
+ */
+async function resolveRequestFolder(body) {
+    if (body.workspace) {
+        const workspace = await getWorkspace(body.workspace);
+        if (!workspace) {
+            return { error: 'Workspace not found or expired. Upload the files again', status: 404 };
+        }
+        return { folderPath: workspace.inputFolder, workspace };
+    }
+
+    const { folderPath, error, status } = await resolveInputFolder(body.folder);
+    return error ? { error, status } : { folderPath, workspace: null };
+}
+
+/**
+ * Identifies who sent a request, for the audit log. The user is the one an
+ * authenticating reverse proxy names in the X-Remote-User header
+ * @param {Object} req - Express request
+ * @returns {Object} IP address, user and user agent
+ */
+function getClientIdentity(req) {
+    return {
+        ip: req.ip,
+        user: req.get('X-Remote-User') || null,
+        userAgent: req.get('User-Agent') || null
+    };
+}
+
+/**
+ * Checks a preview, redaction or report request and prepares its run
+ * @param {string} type - 'preview', 'redact' or 'report'
+ * @param {Object} body - Request body
+ * @param {Object} client - Who sent the request, from getClientIdentity
+ * @returns {Promise<Object>} The run, which takes optional execution settings
+ *   (see processHTMLFilesForPreview), with the resolved input folder; or an
+ *   error message with an HTTP status
+ */
+async function prepareFolderRun(type, body, client) {
+    const { decisions, vaultPassphrase } = body;
+
+    if (!body.folder && !body.workspace) {
+        return { error: 'Folder path is required', status: 400 };
+    }
+
+    const { patterns, customText, options, error: settingsError, status } = await getRequestSettings(body);
+    if (settingsError) {
+        return { error: settingsError, status };
+    }
+
+    if (type === 'redact') {
+        if (decisions !== undefined && decisions !== null) {
+            if (typeof decisions !== 'object' || Array.isArray(decisions)) {
+                return { error: 'Decisions must be an object keyed by file path', status: 400 };
+            }
+            options.decisions = decisions;
+        }
+
+        if (vaultPassphrase) {
+            if (typeof vaultPassphrase !== 'string' || vaultPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+                return { error: `Vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, status: 400 };
+            }
+            options.vaultPassphrase = vaultPassphrase;
+        }
+
+        // Unchanged files are skipped unless the run is forced
+        options.force = Boolean(body.force);
+        options.deleteRemoved = Boolean(body.deleteRemoved);
+        options.dryRun = Boolean(body.dryRun);
+
+        if (body.overwrite && !OVERWRITE_POLICIES.includes(body.overwrite)) {
+            return { error: `Overwrite policy must be one of: ${OVERWRITE_POLICIES.join(', ')}`, status: 400 };
+        }
+        options.overwrite = body.overwrite || undefined;
+    }
+    options.sandbox = sandbox;
+
+    const { folderPath, workspace, error: folderError, status: folderStatus } = await resolveRequestFolder(body);
+    if (folderError) {
+        return { error: folderError, status: folderStatus };
+    }
+
+    let outputFolder = null;
+    if (type === 'redact' && workspace) {
+        // A workspace has one output folder, which its download zips up, so each
+        // redaction replaces what the one before it wrote
+        outputFolder = workspace.outputFolder;
+        options.overwrite = 'replace';
+    } else if (type === 'redact') {
+        const output = getOutputFolder(folderPath, body.outputName, { profile: options.profile && options.profile.name });
+        if (output.error) {
+            return { error: output.error, status: 400 };
+        }
+        outputFolder = output.outputFolder;
+
+        const accessError = await checkPathAllowed(outputFolder, sandbox.outputRoots, 'Output folder');
+        if (accessError) {
+            return { error: accessError, status: 403 };
+        }
+    }
+    const processFolder = {
+        preview: execution => processHTMLFilesForPreview(folderPath, patterns, customText, options, execution),
+        report: execution => processHTMLFilesForReport(folderPath, patterns, customText, options, execution),
+        redact: execution => processHTMLFilesForRedaction(folderPath, outputFolder, patterns, customText, options, execution)
+    }[type];
+
+    return {
+        folderPath,
+        run: async execution => {
+            const result = await processFolder(execution);
+
+            // Every run is audited, including failed and cancelled ones
+            await recordAuditEntry({
+                action: type,
+                client,
+                inputFolder: folderPath,
+                // The overwrite policy may have picked a versioned folder
+                outputFolder: result.outputFolder || outputFolder,
+                workspace: workspace ? workspace.id : null,
+                patterns,
+                customText,
+                options,
+                result
+            });
+
+            // Uploaded files are fetched back as a zip rather than from the server's disk
+            return workspace && type === 'redact' && result.success && !result.dryRun
+                ? { ...result, downloadUrl: `/download/${workspace.id}` }
+                : result;
+        }
+    };
+}
+
 // Serve the main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Preview endpoint
-app.post('/preview', async (req, res) => {
+// List the registered detectors for the detector picker
+app.get('/detectors', (req, res) => {
+    res.json({
+        success: true,
+        minConfidence: DEFAULT_MIN_CONFIDENCE,
+        replacementStrategies: REPLACEMENT_STRATEGIES,
+        elementActions: ELEMENT_ACTIONS,
+        locales: LOCALE_PACKS,
+        detectors: listDetectors().map(({ name, label, category, locale, enabledByDefault }) => ({
+            name,
+            label,
+            category,
+            locale,
+            enabledByDefault
+        }))
+    });
+});
+
+// Saved redaction profiles
+app.get('/profiles', async (req, res) => {
     try {
-        const { folder, patterns, customText } = req.body;
-        
-        if (!folder) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            profiles: await listProfiles()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.get('/profiles/:name', async (req, res) => {
+    try {
+        const profile = await loadProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({
                 success: false,
-                error: 'Folder path is required'
+                error: `Profile "${req.params.name}" not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            profile
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.post('/profiles', async (req, res) => {
+    try {
+        const { name, format, ...settings } = req.body;
+        const { profile, error, status } = await saveProfile(name, settings, { create: true, format });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            profile
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.put('/profiles/:name', async (req, res) => {
+    try {
+        // The version sent back is the one the client edited, guarding against lost updates
+        const { name, version, format, ...settings } = req.body;
+        const { profile, error, status } = await saveProfile(req.params.name, settings, {
+            expectedVersion: version ?? null,
+            format
+        });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        res.json({
+            success: true,
+            profile
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.delete('/profiles/:name', async (req, res) => {
+    try {
+        if (!await deleteProfile(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                error: `Profile "${req.params.name}" not found`
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+// Upload endpoint: stores a picked folder or a zip in a new workspace.
+// Later requests name the workspace instead of a folder path
+app.post('/upload', (req, res) => {
+    const tooLarge = `Upload failed: the request is larger than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`;
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+        return res.status(413).json({
+            success: false,
+            error: tooLarge
+        });
+    }
+
+    // Bodies sent without a length are counted as they arrive
+    let receivedBytes = 0;
+    req.on('data', chunk => {
+        receivedBytes += chunk.length;
+        if (receivedBytes > MAX_UPLOAD_BYTES) {
+            req.unpipe();
+            req.destroy(new Error(tooLarge));
+        }
+    });
+
+    upload.array('files')(req, res, async uploadError => {
+        // Temporary files are only needed until the workspace holds a copy
+        const removeTemporaryFiles = () => Promise.all((req.files || []).map(file => fs.rm(file.path, { force: true })));
+
+        if (uploadError) {
+            await removeTemporaryFiles();
+            if (res.headersSent || req.destroyed) return;
+            return res.status(uploadError instanceof multer.MulterError ? 400 : 500).json({
+                success: false,
+                error: `Upload failed: ${uploadError.message}`
             });
         }
 
-        // Ensure the folder path is absolute
-        const folderPath = path.isAbsolute(folder) ? folder : path.resolve(process.cwd(), folder);
-        
-        // Verify it's a directory
         try {
-            const stats = await require('fs').promises.stat(folderPath);
-            if (!stats.isDirectory()) {
+            // Browsers send UTF-8 file names, which multer reads as latin1
+            const uploads = (req.files || []).map(file => ({
+                name: Buffer.from(file.originalname, 'latin1').toString('utf8'),
+                size: file.size,
+                path: file.path
+            }));
+
+            const { workspace, fileCount, skipped, error } = await createWorkspace(uploads);
+            if (error) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Path must be a directory'
+                    error
                 });
             }
+
+            res.json({
+                success: true,
+                workspace: workspace.id,
+                folder: workspace.folder,
+                fileCount,
+                skipped
+            });
         } catch (error) {
-            return res.status(400).json({
+            console.error('Upload error:', error);
+            res.status(500).json({
                 success: false,
-                error: 'Directory not found'
+                error: `Server error: ${error.message}`
+            });
+        } finally {
+            await removeTemporaryFiles();
+        }
+    });
+});
+
+// Download endpoint: streams a workspace's redacted files as a zip, with
+// their vaults only when ?vaults=true asks for them
+app.get('/download/:workspace', async (req, res) => {
+    try {
+        const workspace = await getWorkspace(req.params.workspace);
+        if (!workspace) {
+            return res.status(404).json({
+                success: false,
+                error: 'Workspace not found or expired'
+            });
+        }
+
+        const output = await createOutputArchive(workspace, { includeVaults: req.query.vaults === 'true' });
+        if (!output) {
+            return res.status(404).json({
+                success: false,
+                error: 'Nothing has been redacted in this workspace yet'
+            });
+        }
+
+        res.attachment(output.fileName);
+        output.archive.on('error', error => {
+            console.error('Download error:', error);
+            res.destroy(error);
+        });
+        output.archive.pipe(res);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+// Preview endpoint
+app.post('/preview', async (req, res) => {
+    try {
+        const { run, folderPath, error: runError, status } = await prepareFolderRun('preview', req.body, getClientIdentity(req));
+        if (runError) {
+            return res.status(status).json({
+                success: false,
+                error: runError
             });
         }
 
         console.log('Processing folder:', folderPath);
-        console.log('Custom text to redact:', customText);
-        
-        const result = await processHTMLFilesForPreview(folderPath, patterns, customText);
-        console.log('Preview result:', result);
+
+        const result = await run();
+        if (result.success) {
+            // Counts only: the result carries file contents and matched values
+            const matchCount = Object.values(result.matches).reduce((total, list) => total + list.length, 0);
+            console.log(`Preview result: ${result.fileCount} files, ${matchCount} matches, ${Object.keys(result.errors || {}).length} errors`);
+        }
 
         if (!result.success) {
             console.log('Preview failed:', result.error);
@@ -72,24 +653,30 @@ app.post('/preview', async (req, res) => {
 // Redaction endpoint
 app.post('/redact', async (req, res) => {
     try {
-        const { folder, patterns, customText } = req.body;
-        
-        if (!folder) {
-            return res.status(400).json({
+        const { run, error: runError, status } = await prepareFolderRun('redact', req.body, getClientIdentity(req));
+        if (runError) {
+            return res.status(status).json({
                 success: false,
-                error: 'Folder path is required'
+                error: runError
             });
         }
 
-        const folderPath = path.resolve(process.cwd(), folder);
-        const outputFolder = path.join(path.dirname(folderPath), `${path.basename(folderPath)}_redacted`);
-        
-        const result = await processHTMLFilesForRedaction(
-            folderPath,
-            outputFolder,
-            patterns,
-            customText
-        );
+        const result = await run();
+
+        if (result.staleFiles) {
+            return res.status(409).json({
+                success: false,
+                error: result.error,
+                staleFiles: result.staleFiles
+            });
+        }
+
+        if (result.outputExists) {
+            return res.status(409).json({
+                success: false,
+                error: result.error
+            });
+        }
 
         if (!result.success) {
             return res.status(500).json({
@@ -107,6 +694,420 @@ app.post('/redact', async (req, res) => {
     }
 });
 
+// Match report endpoint, returned as JSON or exported with ?format=json|csv
+app.post('/report', async (req, res) => {
+    try {
+        const format = req.query.format || req.body.format;
+
+        if (format && !['json', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown report format "${format}". Expected json or csv`
+            });
+        }
+
+        const { run, folderPath, error: runError, status } = await prepareFolderRun('report', req.body, getClientIdentity(req));
+        if (runError) {
+            return res.status(status).json({
+                success: false,
+                error: runError
+            });
+        }
+
+        const result = await run();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        if (!format) {
+            return res.json(result);
+        }
+
+        const fileName = `${path.basename(folderPath)}-findings.${format}`;
+        res.attachment(fileName);
+
+        if (format === 'csv') {
+            res.type('text/csv').send(reportToCsv(result));
+        } else {
+            res.type('application/json').send(JSON.stringify(result, null, 2));
+        }
+    } catch (error) {
+        console.error('Server error:', error);
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+// Job endpoints: run a preview, redaction or report in the background on the worker pool
+app.post('/jobs', async (req, res) => {
+    try {
+        const { type } = req.body;
+
+        if (!JOB_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown job type "${type}". Expected one of: ${JOB_TYPES.join(', ')}`
+            });
+        }
+
+        const { run, error: runError, status } = await prepareFolderRun(type, req.body, getClientIdentity(req));
+        if (runError) {
+            return res.status(status).json({
+                success: false,
+                error: runError
+            });
+        }
+
+        const job = startJob(type, (signal, onProgress) => run({
+            runTask: workerPool.run,
+            concurrency: workerPool.size,
+            signal,
+            onProgress
+        }));
+
+        res.status(202).json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id, { includeResult: true });
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        job
+    });
+});
+
+// Progress stream for a job as server-sent events: 'progress' while it runs, then one 'done'
+app.get('/jobs/:id/events', (req, res) => {
+    if (!getJob(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Comments keep proxies from closing a quiet stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = null;
+    const stop = () => {
+        clearInterval(keepAlive);
+        if (unsubscribe) unsubscribe();
+    };
+
+    unsubscribe = subscribeToJob(req.params.id, (event, job) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(job)}\n\n`);
+        if (event === 'done') {
+            stop();
+            res.end();
+        }
+    });
+    req.on('close', stop);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        job
+    });
+});
+
+// Watch endpoints: redact files into the output folder as they appear in a watched folder
+app.post('/watchers', async (req, res) => {
+    try {
+        const { folder, profile } = req.body;
+
+        if (!folder || !profile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Folder path and profile are required'
+            });
+        }
+
+        const { folderPath, error: folderError, status: folderStatus } = await resolveInputFolder(folder);
+        if (folderError) {
+            return res.status(folderStatus).json({
+                success: false,
+                error: folderError
+            });
+        }
+
+        if (req.body.overwrite && !OVERWRITE_POLICIES.includes(req.body.overwrite)) {
+            return res.status(400).json({
+                success: false,
+                error: `Overwrite policy must be one of: ${OVERWRITE_POLICIES.join(', ')}`
+            });
+        }
+
+        // Only the profile decides what is redacted, so every file is handled the same way
+        const { patterns, customText, options, error: settingsError, status } = await getRequestSettings({ profile });
+        if (settingsError) {
+            return res.status(status).json({
+                success: false,
+                error: settingsError
+            });
+        }
+        options.deleteRemoved = Boolean(req.body.deleteRemoved);
+        options.sandbox = sandbox;
+
+        const output = getOutputFolder(folderPath, req.body.outputName, { profile });
+        const accessError = output.outputFolder && await checkPathAllowed(output.outputFolder, sandbox.outputRoots, 'Output folder');
+        if (output.error || accessError) {
+            return res.status(output.error ? 400 : 403).json({
+                success: false,
+                error: output.error || accessError
+            });
+        }
+
+        // The policy decides the output folder once; the watcher then keeps writing into it
+        const { outputFolder, error: overwriteError } = await resolveOverwrite(output.outputFolder, req.body.overwrite);
+        if (overwriteError) {
+            return res.status(409).json({
+                success: false,
+                error: overwriteError
+            });
+        }
+        // The first sync writes into that folder, emptying it first only under 'replace'
+        options.overwrite = req.body.overwrite === 'replace' ? 'replace' : 'fail';
+
+        const client = getClientIdentity(req);
+        const watcher = startWatcher(folderPath, outputFolder, patterns, customText, options, {
+            runTask: workerPool.run,
+            concurrency: workerPool.size
+        }, {
+            // Each batch is audited as a run of whoever started the watcher
+            onRun: result => recordAuditEntry({
+                action: 'watch',
+                client,
+                inputFolder: folderPath,
+                outputFolder,
+                patterns,
+                customText,
+                options,
+                result
+            })
+        });
+        if (watcher.error) {
+            return res.status(watcher.status).json({
+                success: false,
+                error: watcher.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            watcher
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.get('/watchers', (req, res) => {
+    res.json({
+        success: true,
+        watchers: listWatchers()
+    });
+});
+
+app.get('/watchers/:id', (req, res) => {
+    const watcher = getWatcher(req.params.id, { includeEvents: true });
+    if (!watcher) {
+        return res.status(404).json({
+            success: false,
+            error: 'Watcher not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        watcher
+    });
+});
+
+app.delete('/watchers/:id', async (req, res) => {
+    try {
+        const watcher = await stopWatcher(req.params.id);
+        if (!watcher) {
+            return res.status(404).json({
+                success: false,
+                error: 'Watcher not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            watcher
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+// Audit endpoints: the hash-chained record of every run, and a check that it is intact
+app.get('/audit', async (req, res) => {
+    try {
+        const { action, status, user, folder, since, until, limit, offset } = req.query;
+
+        if ([since, until].some(date => date && Number.isNaN(Date.parse(date)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'since and until must be ISO dates'
+            });
+        }
+
+        const { total, entries } = await queryAuditLog({ action, status, user, folder, since, until, limit, offset });
+        res.json({
+            success: true,
+            total,
+            entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+app.get('/audit/verify', async (req, res) => {
+    try {
+        const verification = await verifyAuditLog();
+        res.json({
+            success: true,
+            ...verification
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
+// Restore endpoint: rebuilds an original file from its redacted copy and vault
+app.post('/restore', async (req, res) => {
+    try {
+        const { file, vault, passphrase, tokens, output } = req.body;
+
+        if (!file || !passphrase) {
+            return res.status(400).json({
+                success: false,
+                error: 'Redacted file path and vault passphrase are required'
+            });
+        }
+
+        if (tokens !== undefined && tokens !== null && !Array.isArray(tokens)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Tokens must be an array of token IDs'
+            });
+        }
+
+        const resolve = target => path.isAbsolute(target) ? target : path.resolve(process.cwd(), target);
+
+        // Redacted files and vaults live in output folders, and restored files go next to them
+        for (const target of [file, vault, output].filter(Boolean)) {
+            const accessError = await checkPathAllowed(resolve(target), sandbox.outputRoots, 'Path');
+            if (accessError) {
+                return res.status(403).json({
+                    success: false,
+                    error: accessError
+                });
+            }
+        }
+
+        // Restored files stay in the output folder of their vault, so a request
+        // cannot write them over the app or anything else under the output roots
+        const vaultPath = vault ? resolve(vault) : `${resolve(file)}${VAULT_EXTENSION}`;
+        if (output) {
+            try {
+                await assertSafeOutputPath(resolve(output), path.dirname(vaultPath));
+            } catch (error) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Restored files must be written to the folder of their vault, ${path.dirname(vaultPath)}`
+                });
+            }
+        }
+
+        const result = await restoreRedactedFile(resolve(file), passphrase, {
+            vaultPath,
+            tokens: tokens || null,
+            outputPath: output ? resolve(output) : null
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                error: `File not found: ${error.path}`
+            });
+        }
+        if (error.code === 'EEXIST') {
+            return res.status(409).json({
+                success: false,
+                error: `${error.path} already exists; restore to a new file name`
+            });
+        }
+        if (error.message === 'Invalid passphrase or corrupted vault') {
+            return res.status(403).json({
+                success: false,
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: `Server error: ${error.message}`
+        });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -119,4 +1120,5 @@ app.use((err, req, res, next) => {
 // Start the server
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+    startWorkspaceCleanup();
 });
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { selectAll } = require('css-select');
+const { parseHTMLDocument } = require('./htmlDocument');
+const { MARKUP_ATTRIBUTE, IGNORE_VALUE } = require('./elementRules');
+
+/**
+ * Comments that start and end a region no match is redacted in
+ */
+const IGNORE_START_MARKER = 'redact:ignore-start';
+const IGNORE_END_MARKER = 'redact:ignore-end';
+
+/**
+ * Lists an allowlist may hold
+ */
+const ALLOWLIST_FIELDS = ['values', 'patterns', 'domains'];
+
+/**
+ * Compiles an allowlist regex so it has to match a whole value
+ * @param {string} source - Pattern source or /literal/flags string
+ * @returns {RegExp} Anchored regex
+ */
+function compileAllowPattern(source) {
+    const literal = source.match(/^\/([\s\S]+)\/([a-z]*)$/);
+    const body = literal ? literal[1] : source;
+    const flags = literal ? literal[2].replace(/[gy]/g, '') : '';
+    return new RegExp(`^(?:${body})$`, flags);
+}
+
+/**
+ * Checks an allowlist before any file is processed
+ * @param {Object|null} allowlist - Exact values, regex patterns and email domains to leave alone
+ * @returns {string|null} Error message, or null when the allowlist is usable
+ */
+function validateAllowlist(allowlist) {
+    if (allowlist === null || allowlist === undefined) return null;
+
+    if (typeof allowlist !== 'object' || Array.isArray(allowlist)) {
+        return 'Allowlist must be an object with values, patterns and domains';
+    }
+
+    const unknown = Object.keys(allowlist).filter(key => !ALLOWLIST_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return `Unknown allowlist fields: ${unknown.join(', ')}`;
+    }
+
+    for (const field of ALLOWLIST_FIELDS) {
+        const list = allowlist[field];
+        if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+            return `Allowlist ${field} must be a list of strings`;
+        }
+    }
+
+    for (const pattern of allowlist.patterns || []) {
+        try {
+            compileAllowPattern(pattern);
+        } catch (error) {
+            return `Allowlist pattern "${pattern}" is not a valid regex: ${error.message}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Combines allowlists, such as a profile's and a request's
+ * @param {...Object|null} allowlists - Allowlists to combine
+ * @returns {Object|null} Allowlist holding every entry, or null when none were given
+ */
+function mergeAllowlists(...allowlists) {
+    const given = allowlists.filter(Boolean);
+    if (given.length === 0) return null;
+
+    const merged = {};
+    ALLOWLIST_FIELDS.forEach(field => {
+        merged[field] = [...new Set(given.flatMap(allowlist => allowlist[field] || []))];
+    });
+    return merged;
+}
+
+/**
+ * Creates a function that tells whether a match is allowlisted
+ * @param {Object|null} allowlist - Exact values, regex patterns and email domains
+ * @returns {Function} Takes a match and returns the reason it is allowed, or null
+ */
+function createAllowChecker(allowlist = null) {
+    if (!allowlist) return () => null;
+
+    // Values compare case-insensitively, like the email addresses they usually are
+    const values = new Set((allowlist.values || []).map(value => value.trim().toLowerCase()));
+    const patterns = (allowlist.patterns || []).map(compileAllowPattern);
+    const domains = (allowlist.domains || []).map(domain => domain.trim().toLowerCase().replace(/^@/, ''));
+
+    return match => {
+        const text = match.text.trim();
+
+        if (values.has(text.toLowerCase())) {
+            return 'value';
+        }
+        if (patterns.some(pattern => pattern.test(text))) {
+            return 'pattern';
+        }
+
+        const email = text.match(/^[^@\s]+@([^@\s]+)$/);
+        if (email) {
+            const domain = email[1].toLowerCase().replace(/\.$/, '');
+            if (domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`))) {
+                return 'domain';
+            }
+        }
+
+        return null;
+    };
+}
+
+/**
+ * Finds the parts of a document its authors exempted from redaction, either
+ * between ignore comments or inside elements with data-redact="ignore"
+ * @param {string} content - The file content
+ * @param {Object} options - Region options
+ * @param {boolean} options.markup - Whether the content is HTML, where the attribute applies
+ * @returns {Object[]} Regions with start, end and the kind of marker
+ */
+function findIgnoredRegions(content, { markup = true } = {}) {
+    const regions = [];
+
+    // An unterminated start marker exempts the rest of the document
+    const markers = new RegExp(`<!--\\s*(${IGNORE_START_MARKER}|${IGNORE_END_MARKER})\\s*-->`, 'g');
+    let openAt = null;
+    let marker;
+    while ((marker = markers.exec(content)) !== null) {
+        if (marker[1] === IGNORE_START_MARKER && openAt === null) {
+            openAt = marker.index;
+        } else if (marker[1] === IGNORE_END_MARKER && openAt !== null) {
+            regions.push({ start: openAt, end: marker.index + marker[0].length, marker: 'comment' });
+            openAt = null;
+        }
+    }
+    if (openAt !== null) {
+        regions.push({ start: openAt, end: content.length, marker: 'comment' });
+    }
+
+    if (markup && content.includes(MARKUP_ATTRIBUTE)) {
+        const document = parseHTMLDocument(content);
+        selectAll(`[${MARKUP_ATTRIBUTE}="${IGNORE_VALUE}" i]`, document).forEach(node => {
+            const location = node.sourceCodeLocation;
+            if (location) {
+                regions.push({ start: location.startOffset, end: location.endOffset, marker: 'attribute' });
+            }
+        });
+    }
+
+    return regions;
+}
+
+/**
+ * Tells whether a match lies inside an ignored region
+ * @param {Object[]} regions - Result of findIgnoredRegions
+ * @param {Object} match - Match with index and length
+ * @returns {Object|undefined} The region holding the match
+ */
+function findIgnoredRegion(regions, match) {
+    return regions.find(region => match.index >= region.start && match.index + match.length <= region.end);
+}
+
+module.exports = {
+    IGNORE_START_MARKER,
+    IGNORE_END_MARKER,
+    validateAllowlist,
+    mergeAllowlists,
+    createAllowChecker,
+    findIgnoredRegions,
+    findIgnoredRegion
+};
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { hashRules, stableStringify } = require('./manifest');
+
+/**
+ * Audit log file, one JSON entry per line
+ */
+const AUDIT_LOG = process.env.REDACTOR_AUDIT_LOG || path.join(__dirname, '..', 'audit', 'audit.log');
+
+/**
+ * File holding the sequence number and hash of the newest entry, so entries
+ * cut from the end of the log are noticed too
+ */
+const AUDIT_HEAD = `${AUDIT_LOG}.head`;
+
+/**
+ * Optional secret for the entry hashes. Without it anyone who can edit the log
+ * can also recompute the chain; with it they also need the key
+ */
+const AUDIT_KEY = process.env.REDACTOR_AUDIT_KEY || null;
+
+/**
+ * Hash the first entry links back to
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Largest number of entries one query returns
+ */
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Sequence number and hash of the newest entry, read from disk on first use
+ */
+let chainHead = null;
+
+/**
+ * Appends run one after another, so entries are chained in the order they are written
+ */
+let appendQueue = Promise.resolve();
+
+/**
+ * Hashes an entry together with the hash of the entry before it
+ * @param {Object} entry - Entry without its own hash
+ * @returns {string} Hex digest
+ */
+function hashEntry(entry) {
+    const hash = AUDIT_KEY ? crypto.createHmac('sha256', AUDIT_KEY) : crypto.createHash('sha256');
+    return hash.update(stableStringify(entry)).digest('hex');
+}
+
+/**
+ * Describes the rules of a run without the values they look for. Custom text
+ * terms are the sensitive values themselves, so only their number is kept
+ * @param {string|Array|null} patterns - Regex patterns of the run
+ * @param {string[]|null} customText - Exact text of the run
+ * @param {Object} options - Redaction options of the run
+ * @returns {Object} Rule set with its hash
+ */
+function describeRules(patterns, customText, options) {
+    const { decisions, vaultPassphrase, force, deleteRemoved, overwrite, dryRun, ...redactionOptions } = options;
+    const { pseudonymKey, ...ruleOptions } = redactionOptions;
+
+    return {
+        // Same hash the output folder's manifest records, so outputs can be traced to runs
+        hash: hashRules(patterns, customText, redactionOptions),
+        profile: options.profile || null,
+        patterns: (patterns || []).map(pattern => (pattern instanceof RegExp ? pattern.toString() : pattern)),
+        customTextCount: (customText || []).length,
+        options: {
+            ...ruleOptions,
+            reviewedFiles: decisions ? Object.keys(decisions).length : null,
+            vault: Boolean(vaultPassphrase),
+            pseudonymKey: Boolean(pseudonymKey),
+            force: Boolean(force),
+            deleteRemoved: Boolean(deleteRemoved),
+            overwrite: overwrite || null,
+            dryRun: Boolean(dryRun)
+        }
+    };
+}
+
+/**
+ * Counts per file and per detector the matches a run found, from the result
+ * of a preview, redaction or report
+ * @param {Object} result - Result of the run
+ * @returns {Object} Counts keyed by relative path, totals per detector and the overall count
+ */
+function countMatches(result) {
+    const files = {};
+
+    if (result.matches) {
+        // Preview: the matches themselves, of which only the detectors are kept
+        Object.entries(result.matches).forEach(([relativePath, matches]) => {
+            const totals = {};
+            matches.forEach(match => {
+                totals[match.detector] = (totals[match.detector] || 0) + 1;
+            });
+            files[relativePath] = { count: matches.length, totals };
+        });
+    } else if (result.counts) {
+        Object.assign(files, result.counts);
+    } else if (result.files) {
+        Object.entries(result.files).forEach(([relativePath, fileReport]) => {
+            files[relativePath] = { count: fileReport.count, totals: fileReport.totals };
+        });
+    }
+
+    const totals = {};
+    let matchCount = 0;
+    Object.values(files).forEach(file => {
+        matchCount += file.count;
+        Object.entries(file.totals).forEach(([detector, count]) => {
+            totals[detector] = (totals[detector] || 0) + count;
+        });
+    });
+
+    return { files, totals, matchCount };
+}
+
+/**
+ * Counts per category the hidden metadata a redaction scrubbed
+ * @param {Object} scrubbed - Removals keyed by relative path
+ * @returns {Object} Counts keyed by category
+ */
+function countScrubbed(scrubbed) {
+    const totals = {};
+    Object.values(scrubbed).flat().forEach(removal => {
+        totals[removal.category] = (totals[removal.category] || 0) + 1;
+    });
+    return totals;
+}
+
+/**
+ * Finds the newest entry of the log, from the head file or else the log itself
+ * @returns {Promise<Object>} Its sequence number and hash
+ */
+async function readChainHead() {
+    try {
+        return JSON.parse(await fs.readFile(AUDIT_HEAD, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = await readEntries();
+    const last = entries[entries.length - 1];
+    return last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+}
+
+/**
+ * Reads every entry of the log
+ * @returns {Promise<Object[]>} Entries in the order they were written; lines
+ *   that are not valid JSON come back as objects with only the line number
+ */
+async function readEntries() {
+    let content;
+    try {
+        content = await fs.readFile(AUDIT_LOG, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return content.split('\n').filter(Boolean).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            return { invalidLine: index + 1 };
+        }
+    });
+}
+
+/**
+ * Records a preview, redaction or report run in the audit log. The entry
+ * holds counts and rules but never the matched values
+ * @param {Object} run - What happened
+ * @param {string} run.action - 'preview', 'redact', 'report' or 'watch'
+ * @param {Object} run.client - Who asked for the run: IP address, user and user agent
+ * @param {string} run.inputFolder - Folder that was processed
+ * @param {string|null} run.outputFolder - Folder redacted files were written to
+ * @param {string|null} run.workspace - Upload workspace ID, when the folder is one
+ * @param {string|Array|null} run.patterns - Regex patterns of the run
+ * @param {string[]|null} run.customText - Exact text of the run
+ * @param {Object} run.options - Redaction options of the run
+ * @param {Object} run.result - Result of the run
+ * @returns {Promise<Object>} The entry as written
+ */
+function recordAuditEntry(run) {
+    const { result } = run;
+    const { files, totals, matchCount } = countMatches(result);
+
+    const details = {
+        timestamp: new Date().toISOString(),
+        action: run.action,
+        client: run.client,
+        inputFolder: run.inputFolder,
+        outputFolder: run.outputFolder || null,
+        workspace: run.workspace || null,
+        rules: describeRules(run.patterns, run.customText, run.options),
+        status: result.cancelled ? 'cancelled' : (result.success ? 'completed' : 'failed'),
+        error: result.success ? null : result.error || null,
+        fileCount: result.fileCount || 0,
+        matchCount,
+        totals,
+        files,
+        changes: result.added
+            ? { added: result.added, changed: result.changed, skipped: result.skipped.length, deleted: result.deleted }
+            : null,
+        // Which outputs still held sensitive content, without what was found
+        verification: result.verification
+            ? { status: result.verification.status, failed: result.verification.failed }
+            : null,
+        scrubbed: result.scrubbed ? countScrubbed(result.scrubbed) : null,
+        errors: result.errors || null
+    };
+
+    const append = async () => {
+        if (!chainHead) {
+            chainHead = await readChainHead();
+        }
+
+        // Hashed as it will be read back, so verification sees exactly what was hashed
+        const entry = JSON.parse(JSON.stringify({ seq: chainHead.seq + 1, ...details, prevHash: chainHead.hash }));
+        entry.hash = hashEntry(entry);
+
+        await fs.mkdir(path.dirname(AUDIT_LOG), { recursive: true });
+        await fs.appendFile(AUDIT_LOG, `${JSON.stringify(entry)}\n`, 'utf8');
+        chainHead = { seq: entry.seq, hash: entry.hash };
+        await fs.writeFile(AUDIT_HEAD, JSON.stringify(chainHead), 'utf8');
+
+        return entry;
+    };
+
+    const appended = appendQueue.then(append);
+    // A failed append must not block the ones after it
+    appendQueue = appended.catch(() => {});
+    return appended;
+}
+
+/**
+ * Lists audit entries, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.action - Only runs of this action
+ * @param {string} filters.status - Only runs that ended with this status
+ * @param {string} filters.user - Only runs by this user
+ * @param {string} filters.folder - Only runs whose input or output folder contains this text
+ * @param {string} filters.since - Only runs at or after this ISO timestamp
+ * @param {string} filters.until - Only runs before this ISO timestamp
+ * @param {number} filters.limit - Largest number of entries to return
+ * @param {number} filters.offset - Number of matching entries to skip
+ * @returns {Promise<Object>} Matching entries and how many there are in total
+ */
+async function queryAuditLog(filters = {}) {
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+    const limit = Math.min(Number(filters.limit) || 100, MAX_QUERY_LIMIT);
+    const offset = Number(filters.offset) || 0;
+
+    const matching = (await readEntries())
+        .filter(entry => entry.seq !== undefined)
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => !filters.status || entry.status === filters.status)
+        .filter(entry => !filters.user || (entry.client && entry.client.user === filters.user))
+        .filter(entry => !filters.folder || [entry.inputFolder, entry.outputFolder]
+            .some(folder => folder && folder.includes(filters.folder)))
+        .filter(entry => since === null || Date.parse(entry.timestamp) >= since)
+        .filter(entry => until === null || Date.parse(entry.timestamp) < until)
+        .reverse();
+
+    return {
+        total: matching.length,
+        entries: matching.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Names a run of entries for verification problems
+ * @param {number} first - First sequence number
+ * @param {number} last - Last sequence number
+ * @returns {string} Description, with the verb that agrees with it
+ */
+function describeRange(first, last) {
+    return first === last ? `Entry ${first} is` : `Entries ${first} to ${last} are`;
+}
+
+/**
+ * Checks that no entry was edited, removed or reordered since it was written.
+ * Each entry's hash must match its content, link to the entry before it and
+ * follow its sequence number, and the newest entry must match the head file
+ * @returns {Promise<Object>} Whether the log is intact, the number of entries
+ *   checked and the problems found, each with the sequence number or line it concerns
+ */
+async function verifyAuditLog() {
+    const entries = await readEntries();
+    const problems = [];
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    entries.forEach(entry => {
+        if (entry.invalidLine) {
+            problems.push({ line: entry.invalidLine, problem: 'Line is not a valid entry' });
+            return;
+        }
+
+        const { hash, ...content } = entry;
+        if (entry.seq !== previous.seq + 1) {
+            problems.push({
+                seq: entry.seq,
+                problem: entry.seq > previous.seq + 1
+                    ? `${describeRange(previous.seq + 1, entry.seq - 1)} missing`
+                    : `Out of order after entry ${previous.seq}`
+            });
+        }
+        if (entry.prevHash !== previous.hash) {
+            problems.push({ seq: entry.seq, problem: 'Does not link to the entry before it' });
+        }
+        if (hashEntry(content) !== hash) {
+            problems.push({ seq: entry.seq, problem: 'Content does not match its hash' });
+        }
+        previous = { seq: entry.seq, hash };
+    });
+
+    let head = null;
+    try {
+        head = JSON.parse(await fs.readFile(AUDIT_HEAD, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (head && head.seq > previous.seq) {
+        problems.push({ seq: previous.seq + 1, problem: `${describeRange(previous.seq + 1, head.seq)} missing from the end` });
+    } else if (head && head.hash !== previous.hash) {
+        problems.push({ seq: head.seq, problem: 'Newest entry does not match the recorded head' });
+    } else if (!head && entries.length > 0) {
+        problems.push({ seq: previous.seq, problem: 'Head file is missing' });
+    }
+
+    return {
+        valid: problems.length === 0,
+        entryCount: entries.length,
+        problems
+    };
+}
+
+module.exports = {
+    recordAuditEntry,
+    queryAuditLog,
+    verifyAuditLog
+};
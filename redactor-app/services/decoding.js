@@ -0,0 +1,346 @@
+/**
+ * Encodings that detection looks through, in the order they are tried
+ */
+const ENCODINGS = ['html-entity', 'percent', 'json', 'base64'];
+
+/**
+ * Named character references decoded besides numeric ones; these cover the
+ * characters used to hide addresses and numbers
+ */
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    commat: '@',
+    period: '.',
+    lowbar: '_',
+    hyphen: '-',
+    dash: '-',
+    plus: '+',
+    colon: ':',
+    comma: ',',
+    num: '#',
+    lpar: '(',
+    rpar: ')',
+    sol: '/'
+};
+
+/**
+ * One HTML character reference, numeric or named
+ */
+const CHARACTER_REFERENCE = /&(#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/g;
+
+/**
+ * Characters escapeForRange already writes as references
+ */
+const MARKUP_CHARACTERS = new Set(['&', '<', '>', '"', '\'']);
+
+/**
+ * Range kinds holding HTML or XML markup, where character references apply
+ */
+const MARKUP_RANGE_KINDS = new Set(['source', 'text', 'attribute', 'markdown']);
+
+/**
+ * MIME types whose base64 payloads are text worth scanning
+ */
+const TEXT_MIME_TYPES = /^(text\/[\w.+-]+|application\/(json|xml|xhtml\+xml|javascript|ld\+json)|image\/svg\+xml)?$/i;
+
+/**
+ * Builds a view from decoded segments, remembering where every decoded
+ * character came from so hits can be mapped back to the original source
+ * @param {string} encoding - Encoding the view decodes
+ * @param {Object[]} segments - Decoded text with the source span it came from
+ *   and whether that span was encoded
+ * @returns {Object|null} View, or null when nothing in the segments was encoded
+ */
+function createMappedView(encoding, segments) {
+    if (!segments.some(segment => segment.encoded)) return null;
+
+    let text = '';
+    const starts = [];
+    const sources = [];
+
+    segments.forEach(segment => {
+        for (let i = 0; i < segment.text.length; i++) {
+            // Characters decoded from one sequence all point at that sequence
+            starts.push(segment.encoded ? segment.start : segment.start + i);
+            sources.push(segment.encoded ? segment.source : null);
+        }
+        text += segment.text;
+    });
+
+    const start = segments[0].start;
+    const end = segments[segments.length - 1].end;
+    const endOf = index => (index < starts.length ? starts[index] : end);
+
+    return {
+        encoding,
+        start,
+        end,
+        text,
+        mapRange: (from, to) => ({ start: starts[from], end: endOf(to) }),
+        touchesEncoded: (from, to) => sources.slice(from, to).some(Boolean),
+        // Encoded forms of the characters inside a hit, keyed by character
+        encodedForms: (from, to) => {
+            const forms = new Map();
+            for (let i = from; i < to; i++) {
+                if (sources[i]) forms.set(text[i], sources[i]);
+            }
+            return forms;
+        }
+    };
+}
+
+/**
+ * Splits text into plain and encoded segments using a pattern for encoded sequences
+ * @param {string} text - Raw text of the range
+ * @param {number} offset - Offset of the text in the document
+ * @param {RegExp} pattern - Global pattern for one encoded sequence
+ * @param {Function} decode - Turns a sequence match into its text, or null to keep it raw
+ * @returns {Object[]} Segments covering the whole text
+ */
+function splitEncoded(text, offset, pattern, decode) {
+    const segments = [];
+    let lastEnd = 0;
+    let match;
+
+    const pushPlain = (from, to) => {
+        if (to > from) {
+            segments.push({ text: text.slice(from, to), start: offset + from, end: offset + to, encoded: false });
+        }
+    };
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+        const decoded = decode(match);
+        if (decoded === null) continue;
+
+        pushPlain(lastEnd, match.index);
+        segments.push({
+            text: decoded,
+            start: offset + match.index,
+            end: offset + match.index + match[0].length,
+            encoded: true,
+            source: match[0]
+        });
+        lastEnd = match.index + match[0].length;
+    }
+    pushPlain(lastEnd, text.length);
+
+    return segments;
+}
+
+/**
+ * Decodes one HTML character reference
+ * @param {Array} match - Match of the reference pattern
+ * @returns {string|null} The character, or null for unknown names and invalid code points
+ */
+function decodeEntity(match) {
+    const body = match[1];
+
+    if (body[0] === '#') {
+        const codePoint = body[1] === 'x' || body[1] === 'X'
+            ? parseInt(body.slice(2), 16)
+            : parseInt(body.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : null;
+    }
+
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body.toLowerCase())
+        ? NAMED_ENTITIES[body.toLowerCase()]
+        : null;
+}
+
+/**
+ * Splits markup text into plain text and decoded character references
+ * @param {string} text - Raw text
+ * @param {number} offset - Offset of the text in the document
+ * @returns {Object[]} Segments covering the whole text, see splitEncoded
+ */
+function splitCharacterReferences(text, offset) {
+    return splitEncoded(text, offset, CHARACTER_REFERENCE, decodeEntity);
+}
+
+/**
+ * Decodes one run of percent-encoded bytes as UTF-8
+ * @param {Array} match - Match of the percent-encoding pattern
+ * @returns {string|null} Decoded text, or null when the bytes are not valid UTF-8
+ */
+function decodePercent(match) {
+    try {
+        return decodeURIComponent(match[0]);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decodes one JSON string escape sequence
+ * @param {Array} match - Match of the escape pattern
+ * @returns {string|null} The character it stands for
+ */
+function decodeJsonEscape(match) {
+    const escapes = { 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t' };
+    const sequence = match[0];
+
+    if (sequence[1] === 'u') {
+        return String.fromCharCode(parseInt(sequence.slice(2), 16));
+    }
+    return escapes[sequence[1]] || sequence[1];
+}
+
+/**
+ * Builds the view of percent-encoded text, decoding one UTF-8 character at a
+ * time so each decoded character maps back to its own bytes
+ * @param {string} text - Raw text of the range
+ * @param {number} offset - Offset of the text in the document
+ * @returns {Object|null} View, or null when the text has no percent-encoding
+ */
+function createPercentView(text, offset) {
+    // A UTF-8 character is one ASCII byte or a lead byte with its continuation bytes
+    const sequence = /%[0-7][0-9a-f]|%(?:[cd][0-9a-f])(?:%[89ab][0-9a-f])|%e[0-9a-f](?:%[89ab][0-9a-f]){2}|%f[0-7](?:%[89ab][0-9a-f]){3}/gi;
+    return createMappedView('percent', splitEncoded(text, offset, sequence, decodePercent));
+}
+
+/**
+ * Finds base64 data URIs with text payloads and decodes each into its own view.
+ * Base64 cannot be rewritten piece by piece, so hits in a payload share the
+ * view and the whole payload is re-encoded when any of them is redacted
+ * @param {string} text - Raw text of the range
+ * @param {number} offset - Offset of the text in the document
+ * @returns {Object[]} Views over the decoded payloads
+ */
+function createBase64Views(text, offset) {
+    const dataUri = /data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[^;,]*)*);base64,([A-Za-z0-9+/]+={0,2})/gi;
+    const views = [];
+    let match;
+
+    while ((match = dataUri.exec(text)) !== null) {
+        if (!TEXT_MIME_TYPES.test(match[1] || '')) continue;
+
+        const bytes = Buffer.from(match[3], 'base64');
+        const decoded = bytes.toString('utf8');
+        // Binary payloads that only claim to be text do not decode cleanly
+        if (decoded.includes('\uFFFD')) continue;
+
+        const start = offset + match.index + match[0].length - match[3].length;
+        const end = start + match[3].length;
+
+        // Byte offset of each decoded character, to find the base64 quads holding it
+        const byteOffsets = [];
+        let byteOffset = 0;
+        for (const char of decoded) {
+            for (let i = 0; i < char.length; i++) byteOffsets.push(byteOffset);
+            byteOffset += Buffer.byteLength(char);
+        }
+        byteOffsets.push(byteOffset);
+
+        views.push({
+            encoding: 'base64',
+            start,
+            end,
+            text: decoded,
+            grouped: true,
+            mapRange: (from, to) => ({
+                start: start + Math.floor(byteOffsets[from] / 3) * 4,
+                end: Math.min(end, start + Math.ceil(byteOffsets[to] / 3) * 4)
+            }),
+            touchesEncoded: () => true,
+            encodePayload: payload => Buffer.from(payload, 'utf8').toString('base64')
+        });
+    }
+
+    return views;
+}
+
+/**
+ * Finds the encoded views of a scan range that detection should also look at
+ * @param {string} content - The file content
+ * @param {Object} range - Scan range from the format handler
+ * @param {Object} format - Format handler of the file
+ * @returns {Object[]} Views with their encoding, decoded text and offset mapping
+ */
+function createDecodedViews(content, range, format) {
+    const text = content.slice(range.start, range.end);
+    const views = [];
+
+    if (range.kind === 'json-string' || range.kind === 'script-json') {
+        views.push(createMappedView('json', splitEncoded(
+            text,
+            range.start,
+            /\\(u[0-9a-fA-F]{4}|["\\/bfnrt])/g,
+            decodeJsonEscape
+        )));
+    } else if (format.markup && range.kind === 'source') {
+        // Source mode scans whole documents, so JSON script bodies are found here
+        const script = /(<script\b[^>]*\btype\s*=\s*["']?application\/(?:ld\+)?json["']?[^>]*>)([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = script.exec(text)) !== null) {
+            views.push(createMappedView('json', splitEncoded(
+                match[2],
+                range.start + match.index + match[1].length,
+                /\\(u[0-9a-fA-F]{4}|["\\/bfnrt])/g,
+                decodeJsonEscape
+            )));
+        }
+    }
+
+    if ((format.markup || ['svg', 'xml', 'markdown'].includes(format.name)) && MARKUP_RANGE_KINDS.has(range.kind)) {
+        views.push(createMappedView('html-entity', splitCharacterReferences(text, range.start)));
+    }
+
+    views.push(createPercentView(text, range.start));
+    views.push(...createBase64Views(text, range.start));
+
+    return views.filter(Boolean);
+}
+
+/**
+ * Writes a replacement the way the hit it replaces was encoded
+ * @param {Object} view - View the hit was found in
+ * @param {string} replacement - Replacement text
+ * @param {Object} hit - Hit with its start and end in the view's decoded text
+ * @param {Function} escape - Escapes text for the range the hit is in
+ * @returns {string} Text to write in place of the hit's original source
+ */
+function encodeReplacement(view, replacement, hit, escape) {
+    const forms = view.encodedForms(hit.start, hit.end);
+
+    switch (view.encoding) {
+        case 'html-entity': {
+            // Characters the author hid behind references stay hidden the same way
+            let result = escape(replacement);
+            forms.forEach((form, char) => {
+                if (!MARKUP_CHARACTERS.has(char)) {
+                    result = result.split(char).join(form);
+                }
+            });
+            return result;
+        }
+        case 'percent':
+            return escape([...replacement].map(char => (
+                forms.has(char) || !/[A-Za-z0-9\-._~]/.test(char) ? encodeURIComponent(char) : char
+            )).join(''));
+        case 'json': {
+            // Already JSON, so only the markup that could end a script block is escaped
+            let result = JSON.stringify(replacement).slice(1, -1).replace(/</g, '\\u003c');
+            forms.forEach((form, char) => {
+                if (/^\\u/.test(form)) {
+                    result = result.split(char).join(form);
+                }
+            });
+            return result;
+        }
+        default:
+            return escape(replacement);
+    }
+}
+
+module.exports = {
+    ENCODINGS,
+    createDecodedViews,
+    splitCharacterReferences,
+    encodeReplacement
+};
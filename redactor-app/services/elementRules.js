@@ -0,0 +1,208 @@
+const { selectAll, compile } = require('css-select');
+const { parseHTMLDocument, escapeForRange } = require('./htmlDocument');
+
+/**
+ * What an element rule does with the elements it selects: 'remove' drops the
+ * element, 'text' replaces its contents and 'placeholder' swaps in a grey box
+ */
+const ELEMENT_ACTIONS = ['remove', 'text', 'placeholder'];
+
+/**
+ * Attribute authors put on elements that must always be redacted; its value
+ * may name one of the element actions
+ */
+const MARKUP_ATTRIBUTE = 'data-redact';
+
+/**
+ * Value of the data-redact attribute that exempts an element instead of redacting it
+ */
+const IGNORE_VALUE = 'ignore';
+
+/**
+ * Action used when a rule or data-redact attribute does not name one
+ */
+const DEFAULT_ELEMENT_ACTION = 'text';
+
+/**
+ * Text written by the 'text' and 'placeholder' actions unless a rule sets its own
+ */
+const DEFAULT_ELEMENT_TEXT = '[REDACTED]';
+
+/**
+ * Elements that never have contents or an end tag
+ */
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Inline style of placeholder boxes, so they show without the page's stylesheet
+ */
+const PLACEHOLDER_STYLE = 'display:block;min-height:1.5em;padding:0.5em;background:#e5e7eb;'
+    + 'border:1px dashed #9ca3af;color:#6b7280;text-align:center;';
+
+/**
+ * Normalizes an element rule into an object
+ * @param {string|Object} rule - CSS selector, or an object with selector, name, action and text
+ * @returns {Object} Rule with every field set
+ */
+function normalizeElementRule(rule) {
+    const config = typeof rule === 'string' ? { selector: rule } : rule;
+    return {
+        name: config.name || 'selector',
+        selector: config.selector,
+        action: config.action || DEFAULT_ELEMENT_ACTION,
+        text: config.text ?? DEFAULT_ELEMENT_TEXT
+    };
+}
+
+/**
+ * Checks element rules before any file is processed
+ * @param {Array|null} rules - Element rules
+ * @returns {string|null} Error message, or null when the rules are usable
+ */
+function validateElementRules(rules) {
+    if (rules === null || rules === undefined) return null;
+    if (!Array.isArray(rules)) return 'Element rules must be a list';
+
+    for (const rule of rules) {
+        if (!rule || (typeof rule !== 'string' && typeof rule.selector !== 'string')) {
+            return 'Each element rule needs a CSS selector';
+        }
+
+        const { selector, action, text } = normalizeElementRule(rule);
+        if (!ELEMENT_ACTIONS.includes(action)) {
+            return `Unknown action "${action}" for selector "${selector}". Expected one of: ${ELEMENT_ACTIONS.join(', ')}`;
+        }
+        if (typeof text !== 'string') {
+            return `Replacement text for selector "${selector}" must be a string`;
+        }
+        try {
+            compile(selector);
+        } catch (error) {
+            return `Invalid CSS selector "${selector}": ${error.message}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collects the readable text of an element for previews and reports
+ * @param {Object} node - Element node
+ * @returns {string} Text content with whitespace collapsed
+ */
+function getTextContent(node) {
+    const parts = [];
+
+    (function visit(current) {
+        if (current.type === 'text') {
+            parts.push(current.data);
+        } else if (current.type === 'tag') {
+            (current.children || []).forEach(visit);
+        }
+    })(node);
+
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Works out which part of the source an action rewrites and what it writes
+ * @param {Object} node - Matched element
+ * @param {Object} rule - Normalized element rule
+ * @returns {Object} Start, end and replacement for the edit, and the action taken
+ */
+function getElementEdit(node, rule) {
+    const location = node.sourceCodeLocation;
+    const isVoid = VOID_ELEMENTS.has(node.name);
+
+    if (rule.action === 'text' && !isVoid) {
+        const start = location.startTag.endOffset;
+        const end = location.endTag ? location.endTag.startOffset : location.endOffset;
+        return { start, end, action: 'text', replacement: escapeForRange(rule.text, { kind: 'text' }) };
+    }
+
+    if (rule.action === 'remove') {
+        return { start: location.startOffset, end: location.endOffset, action: 'remove', replacement: '' };
+    }
+
+    // Void elements have no contents to replace, so they get a placeholder too.
+    // Keeping the tag name keeps placeholders valid inside lists and tables
+    const tag = isVoid ? 'span' : node.name;
+    const text = escapeForRange(rule.text, { kind: 'text' });
+    return {
+        start: location.startOffset,
+        end: location.endOffset,
+        action: 'placeholder',
+        replacement: `<${tag} class="redacted-placeholder" style="${PLACEHOLDER_STYLE}">${text}</${tag}>`
+    };
+}
+
+/**
+ * Finds the elements selected by element rules or marked with data-redact
+ * @param {string} content - The HTML content to scan
+ * @param {Array|null} rules - Element rules from the request or profile
+ * @returns {Object[]} Matches shaped like pattern matches, with an 'element' range
+ *   that holds the action and the replacement written in place of the span
+ */
+function findElementMatches(content, rules = null) {
+    const elementRules = (rules || []).map(normalizeElementRule);
+    const hasMarkup = content.includes(MARKUP_ATTRIBUTE);
+    if (elementRules.length === 0 && !hasMarkup) return [];
+
+    const document = parseHTMLDocument(content);
+    const matches = [];
+
+    const addMatch = (node, rule) => {
+        const location = node.sourceCodeLocation;
+        // Elements the parser inserted on its own have no source to rewrite
+        if (!location || !location.startTag) return;
+
+        const { start, end, action, replacement } = getElementEdit(node, rule);
+        matches.push({
+            text: getTextContent(node) || `<${node.name}>`,
+            index: start,
+            length: end - start,
+            pattern: rule.selector,
+            detector: rule.name,
+            category: 'element',
+            confidence: 1,
+            range: {
+                start,
+                end,
+                kind: 'element',
+                element: node.name,
+                tagNameEnd: location.startTag.startOffset + 1 + node.name.length,
+                action,
+                replacement
+            }
+        });
+    };
+
+    elementRules.forEach(rule => {
+        selectAll(rule.selector, document).forEach(node => addMatch(node, rule));
+    });
+
+    if (hasMarkup) {
+        selectAll(`[${MARKUP_ATTRIBUTE}]`, document).forEach(node => {
+            const action = node.attribs[MARKUP_ATTRIBUTE].trim().toLowerCase();
+            if (action === IGNORE_VALUE) return;
+
+            addMatch(node, normalizeElementRule({
+                name: MARKUP_ATTRIBUTE,
+                selector: `[${MARKUP_ATTRIBUTE}]`,
+                action: ELEMENT_ACTIONS.includes(action) ? action : DEFAULT_ELEMENT_ACTION
+            }));
+        });
+    }
+
+    return matches;
+}
+
+module.exports = {
+    ELEMENT_ACTIONS,
+    MARKUP_ATTRIBUTE,
+    IGNORE_VALUE,
+    validateElementRules,
+    findElementMatches
+};
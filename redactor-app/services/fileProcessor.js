@@ -1,29 +1,110 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { previewSensitiveContent, redactSensitiveContent } = require('./redaction');
+const picomatch = require('picomatch');
+const {
+    identifySensitiveText, previewSensitiveContent, previewRedactedContent, redactSensitiveContentWithTokens
+} = require('./redaction');
+const { VAULT_EXTENSION, createVault } = require('./vault');
+const { buildFileReport } = require('./report');
+const { getFormat, resolveFormats, resolveFileFormat, isCandidateFile } = require('./formats');
+const { hashRules, hashDecision, readManifest, writeManifest } = require('./manifest');
+const {
+    isInsideFolder, checkPathAllowed, assertSafeOutputPath, resolveOverwrite, listOutputFiles, clearOutputFolder
+} = require('./sandbox');
+const { verifyRedaction } = require('./verification');
+const { scrubMetadata } = require('./metadataScrub');
 
 /**
- * Recursively finds all HTML files in a directory
+ * Builds a filter from include and exclude globs matched against paths
+ * relative to the input folder
+ * @param {string[]|null} include - Globs a file must match, all files when empty
+ * @param {string[]|null} exclude - Globs that drop a file
+ * @returns {Function} Predicate taking a relative path
+ */
+function createPathFilter(include = null, exclude = null) {
+    const isIncluded = include && include.length > 0 ? picomatch(include, { dot: true }) : () => true;
+    const isExcluded = exclude && exclude.length > 0 ? picomatch(exclude, { dot: true }) : () => false;
+
+    return relativePath => {
+        const normalized = relativePath.split(path.sep).join('/');
+        return isIncluded(normalized) && !isExcluded(normalized);
+    };
+}
+
+/**
+ * Builds a check that tells whether a file in the input folder is processed,
+ * and with which format handler
+ * @param {string} dir - Input directory
+ * @param {Object} filters - Optional include and exclude glob lists, and the
+ *   format names to process (all formats when not set)
+ * @returns {Function} Resolves a file path to its format handler, or null when it is not processed
+ */
+function createInputFileMatcher(dir, filters = {}) {
+    const matchesFilters = createPathFilter(filters.include, filters.exclude);
+    const { formats } = resolveFormats(filters.formats);
+    let realDir = null;
+
+    return async filePath => {
+        if (!isCandidateFile(path.basename(filePath)) || !matchesFilters(path.relative(dir, filePath))) {
+            return null;
+        }
+        // A symbolic link is only followed to a file inside the input folder
+        realDir = realDir || await fs.realpath(dir);
+        if (!isInsideFolder(await fs.realpath(filePath), realDir)) {
+            console.warn(`Skipping ${filePath}: it links outside the input folder`);
+            return null;
+        }
+        // Generic and extension-less files are sniffed, so they are read here
+        const format = resolveFileFormat(filePath, await readSniffableContent(filePath));
+        return format && formats.includes(format) ? format : null;
+    };
+}
+
+/**
+ * Recursively finds the files in a directory that a format handler supports.
+ * Symbolic links are followed only when they stay inside the directory
  * @param {string} dir - Directory to scan
- * @returns {Promise<string[]>} Array of HTML file paths
+ * @param {Object} filters - Optional include and exclude glob lists, and the
+ *   format names to process (all formats when not set)
+ * @returns {Promise<Object[]>} File paths with the format handler for each
  */
-async function findHtmlFiles(dir) {
+async function findInputFiles(dir, filters = {}) {
+    const matchInputFile = createInputFileMatcher(dir, filters);
     const files = [];
+    const realDir = await fs.realpath(dir);
+    // Real paths of the folders scanned so far, so links in a loop are followed once
+    const visited = new Set();
     
     async function scan(directory) {
         console.log('Scanning directory:', directory);
         try {
+            const realDirectory = await fs.realpath(directory);
+            if (visited.has(realDirectory)) return;
+            visited.add(realDirectory);
+            if (!isInsideFolder(realDirectory, realDir)) {
+                console.warn(`Skipping ${directory}: it links outside the input folder`);
+                return;
+            }
+
             const entries = await fs.readdir(directory, { withFileTypes: true });
             console.log(`Found ${entries.length} entries in ${directory}`);
             
             for (const entry of entries) {
                 const fullPath = path.join(directory, entry.name);
+                // Broken links have no target and are left out
+                const target = entry.isSymbolicLink() ? await fs.stat(fullPath).catch(() => null) : entry;
                 
-                if (entry.isDirectory()) {
+                if (!target) {
+                    continue;
+                } else if (target.isDirectory()) {
                     await scan(fullPath);
-                } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.html') {
-                    console.log('Found HTML file:', fullPath);
-                    files.push(fullPath);
+                } else if (target.isFile()) {
+                    const format = await matchInputFile(fullPath);
+                    if (format) {
+                        console.log(`Found ${format.name} file:`, fullPath);
+                        files.push({ filePath: fullPath, format });
+                    }
                 }
             }
         } catch (error) {
@@ -33,10 +114,20 @@ async function findHtmlFiles(dir) {
     }
 
     await scan(dir);
-    console.log('Total HTML files found:', files.length);
+    console.log('Total files found:', files.length);
     return files;
 }
 
+/**
+ * Reads a file only when its format has to be sniffed from its content
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} File content, or an empty string when the extension decides
+ */
+async function readSniffableContent(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return !extension || extension === '.xml' ? fs.readFile(filePath, 'utf8') : '';
+}
+
 /**
  * Creates directory structure for output files
  * @param {string} inputPath - Original file path
@@ -59,34 +150,388 @@ async function ensureOutputDir(inputPath, inputRoot, outputRoot) {
 }
 
 /**
- * Process HTML files for preview
+ * Hashes file content so reviews can detect files that changed afterwards
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Lists files whose content no longer matches the reviewed preview
  * @param {string} inputFolder - Input directory path
- * @param {string|string[]|null} patterns - Optional regex patterns
- * @returns {Promise<Object>} Object mapping file paths to their preview content
+ * @param {Object[]} inputFiles - Files found now, from findInputFiles
+ * @param {Object} decisions - Review decisions keyed by relative path
+ * @returns {Promise<string[]>} Relative paths that were added, removed or modified
  */
-async function processHTMLFilesForPreview(inputFolder, patterns = null, customText = null) {
-    const results = {};
-    const errors = {};
+async function findStaleFiles(inputFolder, inputFiles, decisions) {
+    const stale = [];
+    const current = new Set();
+
+    for (const { filePath } of inputFiles) {
+        const relativePath = path.relative(inputFolder, filePath);
+        current.add(relativePath);
+
+        const decision = decisions[relativePath];
+        const content = await fs.readFile(filePath, 'utf8');
+        if (!decision || decision.hash !== hashContent(content)) {
+            stale.push(relativePath);
+        }
+    }
+
+    Object.keys(decisions).forEach(relativePath => {
+        if (!current.has(relativePath)) {
+            stale.push(relativePath);
+        }
+    });
+
+    return stale;
+}
+
+/**
+ * Previews one file, together with what it looks like once every match is redacted
+ * @param {Object} task - File task with the input folder, file path, format name,
+ *   patterns, custom text and redaction options
+ * @returns {Promise<Object>} Preview content, source, redacted version, matches,
+ *   allowed matches and content hash
+ */
+async function previewFile(task) {
+    const { inputFolder, filePath, format, patterns, customText, options } = task;
+    const content = await fs.readFile(filePath, 'utf8');
+    const fileOptions = { ...options, format };
+    const identified = identifySensitiveText(content, patterns, customText, fileOptions);
+    const { content: redactedContent, tokens } = redactSensitiveContentWithTokens(content, patterns, customText, fileOptions);
+
+    return {
+        relativePath: path.relative(inputFolder, filePath),
+        format,
+        preview: previewSensitiveContent(content, patterns, customText, fileOptions),
+        source: content,
+        redacted: {
+            content: redactedContent,
+            // Rendered previews only make sense for HTML
+            preview: getFormat(format).markup ? previewRedactedContent(redactedContent, tokens, fileOptions) : null,
+            replacements: tokens.map(token => ({
+                ids: token.ids || [token.id],
+                start: token.start,
+                length: token.replacement.length
+            }))
+        },
+        matches: identified.matches,
+        allowed: identified.allowed,
+        hash: hashContent(content),
+        matchCount: identified.count
+    };
+}
 
+/**
+ * Checks whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} Whether it exists
+ */
+async function fileExists(filePath) {
     try {
-        const htmlFiles = await findHtmlFiles(inputFolder);
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Redacts one file into the output folder, with its vault when a passphrase is set,
+ * strips the hidden metadata chosen in options.scrub from HTML, and verifies
+ * that the redacted content holds no sensitive values any more.
+ * Files whose source, review and rules match the previous run's manifest entry
+ * are left as they are
+ * @param {Object} task - File task as for previewFile, plus the output folder,
+ *   the file's review decision, the vault passphrase, the file's entry in
+ *   the previous manifest when it may be reused, and whether to only plan the write
+ * @returns {Promise<Object>} Relative path, vault path, number of redactions,
+ *   whether the file was skipped, its new manifest entry, the verification
+ *   result, the metadata scrubbed and, in a dry run, the planned write
+ */
+async function redactFile(task) {
+    const {
+        inputFolder, outputFolder, filePath, format, patterns, customText, options, decision, vaultPassphrase, previous,
+        dryRun, replace
+    } = task;
+    const content = await fs.readFile(filePath, 'utf8');
+    const relativePath = path.relative(inputFolder, filePath);
+    const sourceHash = hashContent(content);
+    const decisionHash = hashDecision(decision);
+    let fileOptions = { ...options, format };
+
+    if (previous && previous.sourceHash === sourceHash && previous.decisionHash === decisionHash
+        && (!vaultPassphrase || previous.vault)
+        && await fileExists(path.join(outputFolder, relativePath))) {
+        return { relativePath, vault: null, matchCount: 0, skipped: true, entry: previous };
+    }
+
+    if (decision) {
+        if (decision.hash !== hashContent(content)) {
+            throw new Error('File changed since the preview');
+        }
+        fileOptions = { ...fileOptions, approvedMatchIds: decision.approved || [] };
+    }
+
+    let { content: redactedContent, tokens } = redactSensitiveContentWithTokens(
+        content,
+        patterns,
+        customText,
+        fileOptions
+    );
+
+    let scrubbed = [];
+    if (getFormat(format).markup && fileOptions.scrub && fileOptions.scrub.length > 0) {
+        const scrub = scrubMetadata(content, redactedContent, tokens, fileOptions.scrub);
+        redactedContent = scrub.content;
+        tokens = scrub.tokens;
+        scrubbed = scrub.removed;
+    }
+
+    const verification = verifyRedaction(content, redactedContent, tokens, patterns, customText, fileOptions);
+
+    const totals = {};
+    tokens.forEach(token => {
+        totals[token.detector] = (totals[token.detector] || 0) + 1;
+    });
+    const entry = {
+        sourceHash,
+        decisionHash,
+        matchCount: tokens.length,
+        totals,
+        vault: Boolean(vaultPassphrase),
+        verification: verification.status
+    };
+    const vault = vaultPassphrase ? `${relativePath}${VAULT_EXTENSION}` : null;
+
+    const plannedPath = path.join(outputFolder, relativePath);
+    if (dryRun) {
+        // A replaced folder is emptied first, so nothing in it is overwritten
+        const action = !replace && await fileExists(plannedPath) ? 'overwrite' : 'create';
+        return {
+            relativePath,
+            vault,
+            matchCount: tokens.length,
+            skipped: false,
+            entry,
+            verification,
+            scrubbed,
+            planned: { file: relativePath, output: plannedPath, action, vault: Boolean(vault) }
+        };
+    }
+
+    // Checked before any folder is created, so a linked folder cannot redirect the write
+    await assertSafeOutputPath(plannedPath, outputFolder);
+    if (vault) {
+        await assertSafeOutputPath(`${plannedPath}${VAULT_EXTENSION}`, outputFolder);
+    }
+
+    const outputPath = await ensureOutputDir(filePath, inputFolder, outputFolder);
+    await fs.writeFile(outputPath, redactedContent, 'utf8');
+
+    if (vault) {
+        const vaultContent = await createVault(tokens, vaultPassphrase, { source: relativePath });
+        await fs.writeFile(`${outputPath}${VAULT_EXTENSION}`, JSON.stringify(vaultContent, null, 2), 'utf8');
+    }
+
+    return { relativePath, vault, matchCount: tokens.length, skipped: false, entry, verification, scrubbed };
+}
+
+/**
+ * Deletes the outputs of files that were removed from the input folder
+ * @param {string} outputFolder - Output directory path
+ * @param {string[]} relativePaths - Removed files, relative to the input folder
+ * @returns {Promise<void>}
+ */
+async function deleteOutputs(outputFolder, relativePaths) {
+    for (const relativePath of relativePaths) {
+        const outputPath = path.join(outputFolder, relativePath);
+        await assertSafeOutputPath(outputPath, outputFolder);
+        await assertSafeOutputPath(`${outputPath}${VAULT_EXTENSION}`, outputFolder);
+        await fs.rm(outputPath, { force: true });
+        await fs.rm(`${outputPath}${VAULT_EXTENSION}`, { force: true });
+    }
+}
+
+/**
+ * Checks a run's folders against the allowed roots in its options. Links are
+ * resolved first, so a link inside an allowed root cannot lead out of it
+ * @param {Object} options - Run options, with the sandbox's input and output roots
+ * @param {string} inputFolder - Input directory path
+ * @param {string|null} outputFolder - Output directory path, for redaction runs
+ * @returns {Promise<void>}
+ * @throws {Error} When a folder is outside the allowed roots
+ */
+async function assertRunAccess(options, inputFolder, outputFolder = null) {
+    const { inputRoots = null, outputRoots = null } = options.sandbox || {};
+    const error = await checkPathAllowed(inputFolder, inputRoots, 'Input folder')
+        || (outputFolder && await checkPathAllowed(outputFolder, outputRoots, 'Output folder'));
+    if (error) {
+        throw new Error(error);
+    }
+}
+
+/**
+ * Builds the match report of one file
+ * @param {Object} task - File task as for previewFile
+ * @returns {Promise<Object>} Relative path, file report and allowed match count
+ */
+async function reportFile(task) {
+    const { inputFolder, filePath, format, patterns, customText, options } = task;
+    const content = await fs.readFile(filePath, 'utf8');
+    const { matches, allowed } = identifySensitiveText(content, patterns, customText, { ...options, format });
+
+    return {
+        relativePath: path.relative(inputFolder, filePath),
+        fileReport: { format, ...buildFileReport(content, matches), allowed: allowed.length },
+        matchCount: matches.length
+    };
+}
+
+/**
+ * Work done on a single file, by task type. Tasks hold only plain data so
+ * they can be sent to worker threads
+ */
+const FILE_TASKS = {
+    preview: previewFile,
+    redact: redactFile,
+    report: reportFile
+};
+
+/**
+ * Runs one file task in this thread
+ * @param {Object} task - File task with its type
+ * @returns {Promise<Object>} Result of the task
+ */
+function runFileTask(task) {
+    const run = FILE_TASKS[task.type];
+    if (!run) {
+        return Promise.reject(new Error(`Unknown file task "${task.type}"`));
+    }
+    return run(task);
+}
+
+/**
+ * Runs file tasks, several at a time when the execution allows it, and
+ * reports progress as files start and finish
+ * @param {Object[]} tasks - File tasks, in input order
+ * @param {Object} execution - How to run the tasks
+ * @param {Function} execution.runTask - Runs one task, in this thread by default
+ * @param {number} execution.concurrency - Number of tasks in flight at once
+ * @param {AbortSignal} execution.signal - Stops starting new tasks when aborted
+ * @param {Function} execution.onProgress - Receives files done, total, the
+ *   current file and the running match count
+ * @returns {Promise<Object[]>} Outcome of each task in input order, with its
+ *   result or error; tasks never started after a cancel are left empty
+ */
+async function runFileTasks(tasks, execution = {}) {
+    const { runTask = runFileTask, concurrency = 1, signal = null, onProgress = null } = execution;
+    const outcomes = new Array(tasks.length);
+    const progress = { done: 0, total: tasks.length, currentFile: null, matchCount: 0 };
+    let next = 0;
+
+    const report = () => onProgress && onProgress({ ...progress });
+
+    async function lane() {
+        while (next < tasks.length && !(signal && signal.aborted)) {
+            const index = next++;
+            const task = tasks[index];
+            progress.currentFile = path.relative(task.inputFolder, task.filePath);
+            report();
 
-        for (const filePath of htmlFiles) {
             try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const previewContent = previewSensitiveContent(content, patterns, customText);
-                const relativePath = path.relative(inputFolder, filePath);
-                results[relativePath] = previewContent;
+                const result = await runTask(task);
+                outcomes[index] = { result };
+                progress.matchCount += result.matchCount || 0;
             } catch (error) {
-                errors[filePath] = `Error processing file: ${error.message}`;
+                outcomes[index] = { error };
             }
+            progress.done++;
+            report();
+        }
+    }
+
+    report();
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, lane));
+    return outcomes;
+}
+
+/**
+ * Builds the result of a run that was cancelled part way
+ * @param {Object[]} outcomes - Result of runFileTasks
+ * @returns {Object} Failed result saying how far the run got
+ */
+function cancelledResult(outcomes) {
+    const done = outcomes.filter(Boolean).length;
+    return {
+        success: false,
+        cancelled: true,
+        error: `Cancelled after ${done} of ${outcomes.length} files`,
+        fileCount: done
+    };
+}
+
+/**
+ * Process HTML and other supported files for preview
+ * @param {string} inputFolder - Input directory path
+ * @param {string|string[]|null} patterns - Optional regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to redact
+ * @param {Object} options - Redaction options such as mode, attributes, formats, include/exclude globs and profile
+ * @param {Object} execution - Optional worker, cancel and progress settings, as for runFileTasks
+ * @returns {Promise<Object>} Preview content, sources, redacted versions, formats, matches,
+ *   allowed matches and content hashes keyed by file path
+ */
+async function processHTMLFilesForPreview(inputFolder, patterns = null, customText = null, options = {}, execution = {}) {
+    const results = {};
+    const sources = {};
+    const redacted = {};
+    const formats = {};
+    const matches = {};
+    const allowed = {};
+    const hashes = {};
+    const errors = {};
+
+    try {
+        await assertRunAccess(options, inputFolder);
+        const inputFiles = await findInputFiles(inputFolder, options);
+        const tasks = inputFiles.map(({ filePath, format }) => ({
+            type: 'preview', inputFolder, filePath, format: format.name, patterns, customText, options
+        }));
+
+        const outcomes = await runFileTasks(tasks, execution);
+        if (execution.signal && execution.signal.aborted) {
+            return cancelledResult(outcomes);
         }
 
+        outcomes.forEach(({ result, error }, index) => {
+            if (error) {
+                errors[tasks[index].filePath] = `Error processing file: ${error.message}`;
+                return;
+            }
+            results[result.relativePath] = result.preview;
+            sources[result.relativePath] = result.source;
+            redacted[result.relativePath] = result.redacted;
+            formats[result.relativePath] = result.format;
+            matches[result.relativePath] = result.matches;
+            allowed[result.relativePath] = result.allowed;
+            hashes[result.relativePath] = result.hash;
+        });
+
         return {
             success: true,
             results,
+            sources,
+            redacted,
+            formats,
+            matches,
+            allowed,
+            hashes,
             errors: Object.keys(errors).length > 0 ? errors : null,
-            fileCount: Object.keys(results).length
+            fileCount: Object.keys(results).length,
+            profile: options.profile || null
         };
     } catch (error) {
         return {
@@ -99,39 +544,250 @@ async function processHTMLFilesForPreview(inputFolder, patterns = null, customTe
 }
 
 /**
- * Process HTML files for redaction
+ * Builds the redact task of one file
+ * @param {Object} run - Settings shared by the run's files: input and output
+ *   folders, patterns, custom text, redaction options, review decisions, vault
+ *   passphrase, the previous manifest entries when they may be reused,
+ *   whether the run is a dry run and whether it replaces the output folder
+ * @param {string} filePath - File path
+ * @param {Object} format - Format handler of the file
+ * @returns {Object} File task
+ */
+function createRedactTask(run, filePath, format) {
+    const relativePath = path.relative(run.inputFolder, filePath);
+    return {
+        type: 'redact',
+        inputFolder: run.inputFolder,
+        outputFolder: run.outputFolder,
+        filePath,
+        format: format.name,
+        patterns: run.patterns,
+        customText: run.customText,
+        options: run.options,
+        decision: run.decisions ? run.decisions[relativePath] : null,
+        vaultPassphrase: run.vaultPassphrase || null,
+        previous: run.previousFiles ? run.previousFiles[relativePath] || null : null,
+        dryRun: Boolean(run.dryRun),
+        replace: Boolean(run.replace)
+    };
+}
+
+/**
+ * Records the outcomes of redact tasks in the new manifest entries and the run's summary
+ * @param {Object[]} tasks - Redact tasks
+ * @param {Object[]} outcomes - Result of runFileTasks for the tasks
+ * @param {Object} previousFiles - Entries of the previous manifest
+ * @param {Object} files - Entries of the new manifest, updated in place
+ * @param {Object} summary - Processed paths, vault paths, errors, changes, the
+ *   match counts, verification results and scrubbed metadata of redacted files
+ *   and planned writes, updated in place
+ */
+function recordRedactOutcomes(tasks, outcomes, previousFiles, files, summary) {
+    const { processed, vaults, errors, changes, counts, verification, scrubbed, planned } = summary;
+
+    outcomes.forEach((outcome, index) => {
+        const { inputFolder, filePath } = tasks[index];
+        const relativePath = path.relative(inputFolder, filePath);
+        if (!outcome) return;
+
+        if (outcome.error) {
+            delete files[relativePath];
+            errors[filePath] = `Error processing file: ${outcome.error.message}`;
+            return;
+        }
+
+        const { result } = outcome;
+        files[relativePath] = result.entry;
+        if (result.skipped) {
+            changes.skipped.push(relativePath);
+            return;
+        }
+        changes[previousFiles[relativePath] ? 'changed' : 'added'].push(relativePath);
+        counts[relativePath] = { count: result.entry.matchCount, totals: result.entry.totals };
+        verification[relativePath] = result.verification;
+        if (result.scrubbed.length > 0) {
+            scrubbed[relativePath] = result.scrubbed;
+        }
+        if (result.planned) {
+            planned.push(result.planned);
+        }
+        if (result.vault) {
+            vaults.push(result.vault);
+        }
+        processed.push(result.relativePath);
+    });
+}
+
+/**
+ * Sums up the verification of a run's outputs
+ * @param {Object} verification - Verification results of the files redacted now, keyed by relative path
+ * @param {string[]} skipped - Files skipped as unchanged
+ * @param {Object} files - Entries of the new manifest, which keep the verification status of skipped files
+ * @returns {Object} 'passed' or 'failed', every file whose output failed,
+ *   skipped ones included, and the results of the files redacted now
+ */
+function summarizeVerification(verification, skipped, files) {
+    const failed = [
+        ...Object.keys(verification).filter(relativePath => verification[relativePath].status === 'failed'),
+        ...skipped.filter(relativePath => files[relativePath] && files[relativePath].verification === 'failed')
+    ];
+    return {
+        status: failed.length > 0 ? 'failed' : 'passed',
+        failed,
+        files: verification
+    };
+}
+
+/**
+ * Process HTML and other supported files for redaction
  * @param {string} inputFolder - Input directory path
- * @param {string} outputFolder - Output directory path
+ * @param {string} requestedOutputFolder - Output directory path, before the overwrite policy applies
  * @param {string|string[]|null} patterns - Optional regex patterns
- * @returns {Promise<Object>} Processing results and statistics
+ * @param {string|string[]|null} customText - Optional exact text to redact
+ * @param {Object} options - Redaction options such as mode, attributes, formats, include/exclude globs and profile
+ * @param {Object} options.decisions - Optional review decisions keyed by relative path,
+ *   each with the previewed content hash and the approved match IDs
+ * @param {string} options.vaultPassphrase - When set, writes an encrypted vault sidecar
+ *   next to each redacted file so the original values can be restored
+ * @param {boolean} options.force - Redacts every file, ignoring the manifest of the previous run
+ * @param {boolean} options.deleteRemoved - Deletes outputs whose source files were removed
+ * @param {string} options.overwrite - What to do when the output folder exists, one of OVERWRITE_POLICIES
+ * @param {boolean} options.dryRun - Works out what would be written without writing anything
+ * @param {string[]} options.scrub - Hidden metadata to strip from HTML outputs, see SCRUB_CATEGORIES
+ * @param {Object} options.sandbox - Input and output roots the folders must lie in, null for any
+ * @param {Object} execution - Optional worker, cancel and progress settings, as for runFileTasks
+ * @returns {Promise<Object>} Processing results and statistics, with the output
+ *   folder used, the files that were added, changed, skipped as unchanged and
+ *   deleted, the match counts per detector of each redacted file, the
+ *   verification of the outputs, the metadata scrubbed from each file and,
+ *   in a dry run, the planned writes
  */
-async function processHTMLFilesForRedaction(inputFolder, outputFolder, patterns = null) {
+async function processHTMLFilesForRedaction(inputFolder, requestedOutputFolder, patterns = null, customText = null, options = {}, execution = {}) {
     const processed = [];
+    const vaults = [];
+    const counts = {};
+    const verification = {};
+    const scrubbed = {};
+    const planned = [];
     const errors = {};
+    const changes = { added: [], changed: [], skipped: [], deleted: [] };
+    const { decisions, vaultPassphrase, force, deleteRemoved, overwrite, dryRun, ...redactionOptions } = options;
 
     try {
-        const htmlFiles = await findHtmlFiles(inputFolder);
+        // Checked before the output folder is looked at, and again for a versioned folder
+        await assertRunAccess(options, inputFolder, requestedOutputFolder);
+        const target = await resolveOverwrite(requestedOutputFolder, overwrite);
+        if (target.error) {
+            return { success: false, error: target.error, outputExists: Boolean(target.exists), processed: [], fileCount: 0 };
+        }
+        const { outputFolder } = target;
+        if (outputFolder !== requestedOutputFolder) {
+            await assertRunAccess(options, inputFolder, outputFolder);
+        }
+        if (target.replace) {
+            if (isInsideFolder(path.resolve(inputFolder), path.resolve(outputFolder))) {
+                return {
+                    success: false,
+                    error: 'The input folder is inside the output folder, which the replace policy would empty',
+                    processed: [],
+                    fileCount: 0
+                };
+            }
+            if (dryRun) {
+                (await listOutputFiles(outputFolder)).forEach(relativePath => {
+                    planned.push({ file: relativePath, output: path.join(outputFolder, relativePath), action: 'delete' });
+                });
+            } else {
+                await clearOutputFolder(outputFolder);
+            }
+        }
 
-        for (const filePath of htmlFiles) {
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const redactedContent = redactSensitiveContent(content, patterns, customText);
-                
-                const outputPath = await ensureOutputDir(filePath, inputFolder, outputFolder);
-                await fs.writeFile(outputPath, redactedContent, 'utf8');
-                
-                processed.push(path.relative(inputFolder, filePath));
-            } catch (error) {
-                errors[filePath] = `Error processing file: ${error.message}`;
+        const inputFiles = await findInputFiles(inputFolder, options);
+
+        // A review only applies to the exact files it was made on
+        if (decisions) {
+            const staleFiles = await findStaleFiles(inputFolder, inputFiles, decisions);
+            if (staleFiles.length > 0) {
+                return {
+                    success: false,
+                    error: `Files changed since the preview, please preview again: ${staleFiles.join(', ')}`,
+                    staleFiles,
+                    processed: [],
+                    fileCount: 0
+                };
+            }
+        }
+
+        // Outputs of the previous run are reused only when they were made with the same rules
+        const rulesHash = hashRules(patterns, customText, redactionOptions);
+        // A dry run leaves the replaced folder's manifest on disk, but it no longer counts
+        const manifest = target.replace ? null : await readManifest(outputFolder);
+        const previousFiles = manifest ? manifest.files : {};
+        const reuse = Boolean(manifest) && manifest.rulesHash === rulesHash && !force;
+
+        const run = {
+            inputFolder,
+            outputFolder,
+            patterns,
+            customText,
+            options: redactionOptions,
+            decisions,
+            vaultPassphrase,
+            previousFiles: reuse ? previousFiles : null,
+            dryRun,
+            replace: target.replace
+        };
+        const tasks = inputFiles.map(({ filePath, format }) => createRedactTask(run, filePath, format));
+
+        const outcomes = await runFileTasks(tasks, execution);
+
+        // Entries of files that were not reached or failed keep their old state,
+        // or are dropped when the rules changed, so the next run redoes them
+        const files = reuse ? { ...previousFiles } : {};
+        recordRedactOutcomes(tasks, outcomes, previousFiles, files, { processed, vaults, errors, changes, counts, verification, scrubbed, planned });
+
+        const current = new Set(tasks.map(task => path.relative(inputFolder, task.filePath)));
+        const removed = Object.keys(previousFiles).filter(relativePath => !current.has(relativePath));
+        const cancelled = execution.signal && execution.signal.aborted;
+        if (deleteRemoved && !cancelled) {
+            if (dryRun) {
+                removed.forEach(relativePath => {
+                    planned.push({ file: relativePath, output: path.join(outputFolder, relativePath), action: 'delete' });
+                });
+            } else {
+                await deleteOutputs(outputFolder, removed);
             }
+            removed.forEach(relativePath => delete files[relativePath]);
+            changes.deleted.push(...removed);
+        } else if (!reuse) {
+            // Outputs of removed files stay on disk, so they stay listed for a later delete
+            removed.forEach(relativePath => {
+                files[relativePath] = previousFiles[relativePath];
+            });
+        }
+
+        // Written even after a cancel, so the next run picks up where this one stopped
+        if (!dryRun && (tasks.length > 0 || manifest)) {
+            await writeManifest(outputFolder, rulesHash, files);
+        }
+
+        if (cancelled) {
+            return cancelledResult(outcomes);
         }
 
         return {
             success: true,
             processed,
+            ...changes,
+            counts,
+            verification: summarizeVerification(verification, changes.skipped, files),
+            scrubbed,
             errors: Object.keys(errors).length > 0 ? errors : null,
             fileCount: processed.length,
-            outputFolder
+            vaults: vaultPassphrase ? vaults : null,
+            outputFolder,
+            ...(dryRun ? { dryRun: true, planned } : {}),
+            profile: options.profile || null
         };
     } catch (error) {
         return {
@@ -143,7 +799,183 @@ async function processHTMLFilesForRedaction(inputFolder, outputFolder, patterns
     }
 }
 
+/**
+ * Redacts chosen files of an input folder and updates their manifest entries,
+ * without scanning the rest of the folder. A chosen file that no longer exists
+ * counts as removed
+ * @param {string} inputFolder - Input directory path
+ * @param {string} outputFolder - Output directory path
+ * @param {string[]} relativePaths - Files to redact, relative to the input folder
+ * @param {string|Array|null} patterns - Optional regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to redact
+ * @param {Object} options - Redaction options as for processHTMLFilesForRedaction, without review decisions
+ * @param {Object} execution - Optional worker, cancel and progress settings, as for runFileTasks
+ * @returns {Promise<Object>} Files that were added, changed, skipped as
+ *   unchanged, deleted, and ignored because they are not processed, with the
+ *   verification of the outputs and the metadata scrubbed from each file
+ */
+async function redactSelectedFiles(inputFolder, outputFolder, relativePaths, patterns = null, customText = null, options = {}, execution = {}) {
+    const processed = [];
+    const vaults = [];
+    const counts = {};
+    const verification = {};
+    const scrubbed = {};
+    const planned = [];
+    const errors = {};
+    const changes = { added: [], changed: [], skipped: [], deleted: [], ignored: [] };
+    const { decisions, vaultPassphrase, force, deleteRemoved, overwrite, dryRun, ...redactionOptions } = options;
+    const matchInputFile = createInputFileMatcher(inputFolder, options);
+
+    try {
+        await assertRunAccess(options, inputFolder, outputFolder);
+        const rulesHash = hashRules(patterns, customText, redactionOptions);
+        const manifest = await readManifest(outputFolder);
+        const previousFiles = manifest ? manifest.files : {};
+        const reuse = Boolean(manifest) && manifest.rulesHash === rulesHash && !force;
+        const files = reuse ? { ...previousFiles } : {};
+
+        const run = {
+            inputFolder,
+            outputFolder,
+            patterns,
+            customText,
+            options: redactionOptions,
+            decisions: null,
+            vaultPassphrase,
+            previousFiles: reuse ? previousFiles : null
+        };
+        const tasks = [];
+
+        for (const relativePath of relativePaths) {
+            const filePath = path.join(inputFolder, relativePath);
+
+            if (!isInsideFolder(filePath, inputFolder)) {
+                changes.ignored.push(relativePath);
+                continue;
+            }
+            if (!await fileExists(filePath)) {
+                if (deleteRemoved && previousFiles[relativePath]) {
+                    await deleteOutputs(outputFolder, [relativePath]);
+                    delete files[relativePath];
+                    changes.deleted.push(relativePath);
+                } else {
+                    changes.ignored.push(relativePath);
+                }
+                continue;
+            }
+
+            const format = await matchInputFile(filePath);
+            if (format) {
+                tasks.push(createRedactTask(run, filePath, format));
+            } else {
+                changes.ignored.push(relativePath);
+            }
+        }
+
+        const outcomes = await runFileTasks(tasks, execution);
+        recordRedactOutcomes(tasks, outcomes, previousFiles, files, { processed, vaults, errors, changes, counts, verification, scrubbed, planned });
+
+        if (tasks.length > 0 || changes.deleted.length > 0) {
+            await writeManifest(outputFolder, rulesHash, files);
+        }
+
+        return {
+            success: true,
+            processed,
+            ...changes,
+            counts,
+            verification: summarizeVerification(verification, changes.skipped, files),
+            scrubbed,
+            errors: Object.keys(errors).length > 0 ? errors : null,
+            fileCount: processed.length,
+            vaults: vaultPassphrase ? vaults : null,
+            outputFolder,
+            profile: options.profile || null
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: `Failed to redact files: ${error.message}`,
+            processed: [],
+            fileCount: 0
+        };
+    }
+}
+
+/**
+ * Builds a structured match report for HTML files
+ * @param {string} inputFolder - Input directory path
+ * @param {string|string[]|null} patterns - Optional regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to redact
+ * @param {Object} options - Redaction options such as mode, attributes, formats, include/exclude globs and profile
+ * @param {Object} execution - Optional worker, cancel and progress settings, as for runFileTasks
+ * @returns {Promise<Object>} Located matches per file, totals per detector and totals
+ *   per detector category, such as 'secret'
+ */
+async function processHTMLFilesForReport(inputFolder, patterns = null, customText = null, options = {}, execution = {}) {
+    const files = {};
+    const totals = {};
+    const categories = {};
+    const errors = {};
+    let matchCount = 0;
+    let allowedCount = 0;
+
+    try {
+        await assertRunAccess(options, inputFolder);
+        const inputFiles = await findInputFiles(inputFolder, options);
+        const tasks = inputFiles.map(({ filePath, format }) => ({
+            type: 'report', inputFolder, filePath, format: format.name, patterns, customText, options
+        }));
+
+        const outcomes = await runFileTasks(tasks, execution);
+        if (execution.signal && execution.signal.aborted) {
+            return cancelledResult(outcomes);
+        }
+
+        outcomes.forEach(({ result, error }, index) => {
+            if (error) {
+                errors[tasks[index].filePath] = `Error processing file: ${error.message}`;
+                return;
+            }
+            const { fileReport } = result;
+            Object.entries(fileReport.totals).forEach(([detector, count]) => {
+                totals[detector] = (totals[detector] || 0) + count;
+            });
+            Object.entries(fileReport.categories).forEach(([category, count]) => {
+                categories[category] = (categories[category] || 0) + count;
+            });
+            matchCount += fileReport.count;
+            allowedCount += fileReport.allowed;
+            files[result.relativePath] = fileReport;
+        });
+
+        return {
+            success: true,
+            generatedAt: new Date().toISOString(),
+            inputFolder,
+            files,
+            totals,
+            categories,
+            matchCount,
+            allowedCount,
+            errors: Object.keys(errors).length > 0 ? errors : null,
+            fileCount: Object.keys(files).length,
+            profile: options.profile || null
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: `Failed to process directory: ${error.message}`,
+            files: null,
+            fileCount: 0
+        };
+    }
+}
+
 module.exports = {
+    runFileTask,
     processHTMLFilesForPreview,
-    processHTMLFilesForRedaction
+    processHTMLFilesForRedaction,
+    redactSelectedFiles,
+    processHTMLFilesForReport
 };
\ No newline at end of file
@@ -0,0 +1,14 @@
+const { parentPort } = require('worker_threads');
+const { runFileTask } = require('./fileProcessor');
+
+/**
+ * Worker thread entry point: runs the file tasks the pool sends and posts
+ * each result or error back under the task's ID
+ */
+parentPort.on('message', async ({ id, task }) => {
+    try {
+        parentPort.postMessage({ id, result: await runFileTask(task) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
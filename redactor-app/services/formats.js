@@ -0,0 +1,439 @@
+const path = require('path');
+const { collectScanRanges, escapeForRange } = require('./htmlDocument');
+
+/**
+ * Registered format handlers keyed by name
+ */
+const registry = new Map();
+
+/**
+ * Format handlers keyed by lowercase file extension
+ */
+const extensions = new Map();
+
+/**
+ * Adds a format handler to the registry
+ * @param {Object} definition - Handler definition
+ * @param {string} definition.name - Unique name used in the API and CLI
+ * @param {string[]} definition.extensions - Lowercase extensions, with the leading dot
+ * @param {boolean} definition.markup - Whether the file is HTML that previews can render
+ * @param {Function} definition.collectRanges - Returns the ranges of a file that may be
+ *   scanned and rewritten, sorted by start offset
+ * @param {Function} definition.escape - Makes replacement text safe in one of those ranges
+ * @returns {Object} The registered handler
+ */
+function registerFormat(definition) {
+    const { name, markup = false, collectRanges, escape } = definition;
+
+    if (registry.has(name)) {
+        throw new Error(`Format "${name}" is already registered`);
+    }
+    if (typeof collectRanges !== 'function' || typeof escape !== 'function') {
+        throw new Error(`Format "${name}" needs collectRanges and escape functions`);
+    }
+
+    const handler = Object.freeze({
+        name,
+        extensions: definition.extensions || [],
+        markup,
+        collectRanges,
+        escape
+    });
+
+    registry.set(name, handler);
+    handler.extensions.forEach(extension => extensions.set(extension, handler));
+    return handler;
+}
+
+/**
+ * Looks up a format handler, defaulting to HTML
+ * @param {string|null} name - Format name
+ * @returns {Object} The handler
+ */
+function getFormat(name = null) {
+    return registry.get(name || 'html') || registry.get('html');
+}
+
+/**
+ * Lists every registered format handler
+ * @returns {Object[]} Handlers in registration order
+ */
+function listFormats() {
+    return [...registry.values()];
+}
+
+/**
+ * Resolves format names from user input, all formats when none are given
+ * @param {string|string[]|null} names - Format names, comma-separated or as an array
+ * @returns {Object} Resolved handlers and any names that are not registered
+ */
+function resolveFormats(names = null) {
+    if (names === null || names === undefined) {
+        return { formats: listFormats(), unknown: [] };
+    }
+
+    const list = (Array.isArray(names) ? names : names.split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+
+    return {
+        formats: list.filter(name => registry.has(name)).map(name => registry.get(name)),
+        unknown: list.filter(name => !registry.has(name))
+    };
+}
+
+/**
+ * Guesses the format of a file from its first characters
+ * @param {string} content - File content
+ * @returns {Object|null} Handler, or null when the content is not recognized
+ */
+function sniffFormat(content) {
+    const head = content.replace(/^\uFEFF/, '').slice(0, 1024).trimStart();
+    const lower = head.toLowerCase();
+
+    if (lower.startsWith('<!doctype html') || lower.startsWith('<html')) {
+        return registry.get('html');
+    }
+    if (head.startsWith('<')) {
+        // Skip the XML declaration, comments and doctype to find the root element
+        const root = head.replace(/^(\s*(<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>))*\s*/i, '');
+        if (/^<svg[\s>]/i.test(root)) return registry.get('svg');
+        if (/^<html[\s>]/i.test(root)) return registry.get('html');
+        return registry.get('xml');
+    }
+    if (/^[{[]/.test(head)) {
+        try {
+            JSON.parse(content);
+            return registry.get('json');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Picks the handler for a file by extension, refining generic XML and
+ * extension-less files by content
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {Object|null} Handler, or null when the file is not a supported format
+ */
+function resolveFileFormat(filePath, content) {
+    const extension = path.extname(filePath).toLowerCase();
+    const byExtension = extensions.get(extension) || null;
+
+    if (!extension || (byExtension && byExtension.name === 'xml')) {
+        return sniffFormat(content) || byExtension;
+    }
+
+    return byExtension;
+}
+
+/**
+ * Tells whether a file name may hold a supported format, so folders can be
+ * filtered before any file is read
+ * @param {string} fileName - File name
+ * @returns {boolean} Whether the file should be read and resolved
+ */
+function isCandidateFile(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return !extension || extensions.has(extension);
+}
+
+/**
+ * Elements whose text SVG renders
+ */
+const SVG_TEXT_ELEMENTS = new Set(['text', 'tspan', 'textpath', 'title', 'desc']);
+
+/**
+ * Walks the markup of an XML document without building a tree
+ * @param {string} content - XML source
+ * @param {Object} visitor - Callbacks for text, CDATA sections and attribute values,
+ *   each called with the range and the stack of open element names
+ */
+function walkXml(content, visitor) {
+    const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+    const attribute = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    const stack = [];
+    let lastEnd = 0;
+    let match;
+
+    while ((match = token.exec(content)) !== null) {
+        if (match.index > lastEnd && visitor.text) {
+            visitor.text({ start: lastEnd, end: match.index, kind: 'text' }, stack);
+        }
+        lastEnd = match.index + match[0].length;
+
+        if (match[1] !== undefined) {
+            const start = match.index + '<![CDATA['.length;
+            if (visitor.cdata && match[1].length > 0) {
+                visitor.cdata({ start, end: start + match[1].length, kind: 'cdata' }, stack);
+            }
+            continue;
+        }
+        if (!match[3]) continue;
+
+        const name = match[3].toLowerCase();
+        if (match[2]) {
+            const open = stack.lastIndexOf(name);
+            if (open !== -1) stack.length = open;
+            continue;
+        }
+
+        if (visitor.attribute) {
+            const attributesStart = match.index + 1 + match[3].length;
+            let attr;
+            attribute.lastIndex = 0;
+            while ((attr = attribute.exec(match[4])) !== null) {
+                const value = attr[3] !== undefined ? attr[3] : attr[4];
+                if (value.length === 0) continue;
+                const start = attributesStart + attr.index + attr[0].length - value.length - 1;
+                visitor.attribute({
+                    start,
+                    end: start + value.length,
+                    kind: 'attribute',
+                    attribute: attr[1],
+                    element: name,
+                    quote: attr[2][0]
+                }, stack);
+            }
+        }
+
+        if (!match[5]) stack.push(name);
+    }
+
+    if (lastEnd < content.length && visitor.text) {
+        visitor.text({ start: lastEnd, end: content.length, kind: 'text' }, stack);
+    }
+}
+
+/**
+ * Escapes replacement text for a range found by walkXml
+ * @param {string} text - Replacement text
+ * @param {Object} range - Text, CDATA or attribute range
+ * @returns {string} Escaped text
+ */
+function escapeXml(text, range) {
+    if (range.kind === 'cdata') {
+        return text.replace(/\]\]>/g, ']]]]><![CDATA[>');
+    }
+    return escapeForRange(text, range);
+}
+
+/**
+ * Finds the contents of every JSON string value, leaving object keys alone
+ * @param {string} content - JSON source
+ * @returns {Object[]} Ranges between the quotes of each string value
+ */
+function collectJsonRanges(content) {
+    const ranges = [];
+
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] !== '"') continue;
+
+        const start = i + 1;
+        let end = start;
+        while (end < content.length && content[end] !== '"') {
+            end += content[end] === '\\' ? 2 : 1;
+        }
+
+        let next = end + 1;
+        while (/\s/.test(content[next] || '')) next++;
+        if (content[next] !== ':' && end > start) {
+            ranges.push({ start, end: Math.min(end, content.length), kind: 'json-string' });
+        }
+        i = end;
+    }
+
+    return ranges;
+}
+
+/**
+ * Guesses the delimiter of a CSV file from its first line
+ * @param {string} content - CSV source
+ * @returns {string} Comma, semicolon or tab
+ */
+function detectDelimiter(content) {
+    const firstLine = content.slice(0, content.search(/\r?\n|$/));
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Finds the contents of every CSV cell
+ * @param {string} content - CSV source
+ * @returns {Object[]} Ranges for each non-empty cell, inside the quotes of quoted cells
+ */
+function collectCsvRanges(content) {
+    const delimiter = detectDelimiter(content);
+    const ranges = [];
+    let i = 0;
+
+    while (i < content.length) {
+        if (content[i] === '"') {
+            const start = i + 1;
+            let end = start;
+            while (end < content.length && !(content[end] === '"' && content[end + 1] !== '"')) {
+                end += content[end] === '"' ? 2 : 1;
+            }
+            if (end > start) {
+                ranges.push({ start, end, kind: 'csv-cell', quoted: true, delimiter });
+            }
+            i = end + 1;
+        } else {
+            const start = i;
+            while (i < content.length && content[i] !== delimiter && content[i] !== '\n' && content[i] !== '\r') {
+                i++;
+            }
+            if (i > start) {
+                ranges.push({ start, end: i, kind: 'csv-cell', quoted: false, delimiter });
+            }
+        }
+
+        // Step over the delimiter or line break that ends the cell
+        while (i < content.length && content[i] !== delimiter && content[i] !== '\n' && content[i] !== '\r') i++;
+        if (content[i] === '\r' && content[i + 1] === '\n') i++;
+        i++;
+    }
+
+    return ranges;
+}
+
+/**
+ * Parts of a Markdown file where backslash escapes are not read, so
+ * replacements are written there as they are. Fenced code blocks, indented
+ * code blocks (which only start after a blank line) and code spans are code;
+ * link destinations in inline links, autolinks and reference definitions are links
+ */
+const MARKDOWN_LITERALS = new RegExp([
+    /(?<fence>^(```|~~~)[^\n]*\n[\s\S]*?^\2[^\n]*$)/.source,
+    /(?<indented>(?:(?<![\s\S])|(?<=\n[ \t]*\n))(?:(?: {4}|\t)[^\n]*(?:\n|$))+)/.source,
+    /(?<span>`[^`\n]+`)/.source,
+    /(?<=\]\()(?<destination><[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)/.source,
+    /(?<autolink><[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*>|<[^\s<>@]+@[^\s<>]+>)/.source,
+    /(?<=^ {0,3}\[[^\]\n]+\]:[ \t]*)(?<reference>\S+)/.source
+].join('|'), 'gm');
+
+/**
+ * Finds the prose, code and link parts of a Markdown file
+ * @param {string} content - Markdown source
+ * @returns {Object[]} Text ranges, with code blocks, code spans and link
+ *   destinations kept apart from prose
+ */
+function collectMarkdownRanges(content) {
+    const ranges = [];
+    let lastEnd = 0;
+    let match;
+
+    MARKDOWN_LITERALS.lastIndex = 0;
+    while ((match = MARKDOWN_LITERALS.exec(content)) !== null) {
+        if (match[0].length === 0) {
+            MARKDOWN_LITERALS.lastIndex++;
+            continue;
+        }
+        if (match.index > lastEnd) {
+            ranges.push({ start: lastEnd, end: match.index, kind: 'markdown' });
+        }
+        const { fence, indented, span } = match.groups;
+        ranges.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            kind: fence || indented || span ? 'markdown-code' : 'markdown-link'
+        });
+        lastEnd = match.index + match[0].length;
+    }
+    if (lastEnd < content.length) {
+        ranges.push({ start: lastEnd, end: content.length, kind: 'markdown' });
+    }
+
+    return ranges;
+}
+
+// Built-in formats
+registerFormat({
+    name: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+    markup: true,
+    collectRanges: (content, options = {}) => (options.mode === 'dom'
+        ? collectScanRanges(content, options)
+        : [{ start: 0, end: content.length, kind: 'source' }]),
+    escape: (text, range) => (range.kind === 'source' ? text : escapeForRange(text, range))
+});
+
+registerFormat({
+    name: 'svg',
+    extensions: ['.svg'],
+    collectRanges: content => {
+        const ranges = [];
+        const inText = (range, stack) => {
+            if (stack.some(name => SVG_TEXT_ELEMENTS.has(name))) ranges.push(range);
+        };
+        walkXml(content, { text: inText, cdata: inText });
+        return ranges;
+    },
+    escape: escapeXml
+});
+
+registerFormat({
+    name: 'xml',
+    extensions: ['.xml'],
+    collectRanges: content => {
+        const ranges = [];
+        walkXml(content, {
+            text: range => {
+                if (content.slice(range.start, range.end).trim()) ranges.push(range);
+            },
+            cdata: range => ranges.push(range),
+            attribute: range => {
+                // Namespace declarations are identifiers, not content
+                if (!/^xmlns(:|$)/.test(range.attribute)) ranges.push(range);
+            }
+        });
+        return ranges.sort((a, b) => a.start - b.start);
+    },
+    escape: escapeXml
+});
+
+registerFormat({
+    name: 'json',
+    extensions: ['.json'],
+    collectRanges: collectJsonRanges,
+    escape: text => JSON.stringify(text).slice(1, -1)
+});
+
+registerFormat({
+    name: 'csv',
+    extensions: ['.csv'],
+    collectRanges: collectCsvRanges,
+    escape: (text, range) => {
+        if (range.quoted) return text.replace(/"/g, '""');
+        // An unquoted cell cannot hold its own delimiter, quotes or line breaks
+        return text.replace(new RegExp(`["\\r\\n${range.delimiter === '\t' ? '\\t' : range.delimiter}]`, 'g'), ' ');
+    }
+});
+
+registerFormat({
+    name: 'markdown',
+    extensions: ['.md', '.markdown'],
+    collectRanges: collectMarkdownRanges,
+    // Masks such as ****1234 would otherwise turn into emphasis
+    escape: (text, range) => (range.kind === 'markdown' ? text.replace(/[\\`*_[\]<>]/g, '\\$&') : text)
+});
+
+registerFormat({
+    name: 'text',
+    extensions: ['.txt'],
+    collectRanges: content => [{ start: 0, end: content.length, kind: 'source' }],
+    escape: text => text
+});
+
+module.exports = {
+    registerFormat,
+    getFormat,
+    listFormats,
+    resolveFormats,
+    resolveFileFormat,
+    isCandidateFile
+};
@@ -0,0 +1,190 @@
+const { parse } = require('parse5');
+const { adapter } = require('parse5-htmlparser2-tree-adapter');
+
+/**
+ * Attributes scanned in DOM mode when the caller does not provide a list
+ */
+const DEFAULT_SCAN_ATTRIBUTES = ['href', 'title', 'alt', 'value', 'content'];
+
+/**
+ * Elements whose text is code or styling rather than readable content
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+/**
+ * Script types that hold JSON data rather than code
+ */
+const JSON_SCRIPT_TYPE = /^application\/(ld\+)?json$/i;
+
+/**
+ * Parses an HTML document, keeping source offsets on every node
+ * @param {string} html - The HTML source
+ * @returns {Object} Root node of the parsed document
+ */
+function parseHTMLDocument(html) {
+    return parse(html, {
+        treeAdapter: adapter,
+        sourceCodeLocationInfo: true,
+        scriptingEnabled: false
+    });
+}
+
+/**
+ * Locates the value of an attribute inside its source span
+ * @param {string} html - The HTML source
+ * @param {Object} location - parse5 location of the whole attribute
+ * @returns {Object|null} Value range and quote character, or null for bare attributes
+ */
+function findAttributeValueRange(html, location) {
+    const source = html.slice(location.startOffset, location.endOffset);
+    const equals = source.indexOf('=');
+
+    if (equals === -1) {
+        return null;
+    }
+
+    let start = equals + 1;
+    while (/\s/.test(source[start])) {
+        start++;
+    }
+
+    const quote = source[start] === '"' || source[start] === '\'' ? source[start] : '';
+    const end = quote ? source.length - 1 : source.length;
+    if (quote) {
+        start++;
+    }
+
+    return {
+        start: location.startOffset + start,
+        end: location.startOffset + end,
+        quote
+    };
+}
+
+/**
+ * Normalizes the attribute list option into lowercase attribute names
+ * @param {string|string[]|null} attributes - Attribute names, comma-separated or as an array
+ * @returns {string[]} Attribute names to scan
+ */
+function normalizeAttributeList(attributes) {
+    if (attributes === null || attributes === undefined) {
+        return DEFAULT_SCAN_ATTRIBUTES;
+    }
+
+    const list = Array.isArray(attributes) ? attributes : attributes.split(',');
+    return list.map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Collects the source ranges that DOM-aware redaction is allowed to touch:
+ * text nodes outside scripts and styles, JSON data blocks, plus the values of
+ * chosen attributes
+ * @param {string} html - The HTML source
+ * @param {Object} options - Scan options
+ * @param {string|string[]|null} options.attributes - Attribute names to scan
+ * @returns {Object[]} Ranges sorted by start offset
+ */
+function collectScanRanges(html, options = {}) {
+    const attributes = normalizeAttributeList(options.attributes);
+    const document = parseHTMLDocument(html);
+    const ranges = [];
+
+    function visit(node) {
+        const location = node.sourceCodeLocation;
+
+        if (node.type === 'text' && location) {
+            const parent = node.parent;
+            if (parent && parent.name === 'script' && JSON_SCRIPT_TYPE.test((parent.attribs.type || '').trim())) {
+                ranges.push({
+                    start: location.startOffset,
+                    end: location.endOffset,
+                    kind: 'script-json'
+                });
+            } else if (!parent || !RAW_TEXT_ELEMENTS.has(parent.name)) {
+                ranges.push({
+                    start: location.startOffset,
+                    end: location.endOffset,
+                    kind: 'text'
+                });
+            }
+            return;
+        }
+
+        if (location && location.attrs && node.attribs) {
+            const tagStart = location.startTag ? location.startTag.startOffset : location.startOffset;
+            const tagNameEnd = tagStart + 1 + node.name.length;
+
+            attributes.forEach(name => {
+                if (!location.attrs[name]) return;
+
+                const valueRange = findAttributeValueRange(html, location.attrs[name]);
+                if (!valueRange || valueRange.end <= valueRange.start) return;
+
+                ranges.push({
+                    ...valueRange,
+                    kind: 'attribute',
+                    attribute: name,
+                    element: node.name,
+                    tagNameEnd
+                });
+            });
+        }
+
+        (node.children || []).forEach(visit);
+    }
+
+    visit(document);
+    return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Escapes replacement text so it is safe in the range it is written into
+ * @param {string} text - Replacement text
+ * @param {Object} range - Range returned by collectScanRanges
+ * @returns {string} Escaped text
+ */
+function escapeForRange(text, range) {
+    if (range.kind === 'script-json') {
+        // Script contents are not entity-decoded, so JSON escapes keep the block intact
+        return JSON.stringify(text).slice(1, -1).replace(/</g, '\\u003c');
+    }
+
+    const escaped = text.replace(/&/g, '&amp;');
+
+    if (range.kind === 'text') {
+        return escaped.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    if (range.quote === '"') {
+        return escaped.replace(/"/g, '&quot;');
+    }
+    if (range.quote === '\'') {
+        return escaped.replace(/'/g, '&#39;');
+    }
+    return escaped.replace(/["'=<>`\s]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Applies non-overlapping edits to a string, leaving everything else untouched
+ * @param {string} content - Original content
+ * @param {Object[]} edits - Edits with start, end and text
+ * @returns {string} Edited content
+ */
+function applyEdits(content, edits) {
+    const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end);
+    let result = content;
+
+    sorted.forEach(edit => {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    });
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_SCAN_ATTRIBUTES,
+    parseHTMLDocument,
+    collectScanRanges,
+    escapeForRange,
+    applyEdits
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Kinds of folder runs a job can perform
+ */
+const JOB_TYPES = ['preview', 'redact', 'report'];
+
+/**
+ * How long a finished job and its result stay available
+ */
+const JOB_TTL_MS = Number(process.env.REDACTOR_JOB_TTL_MINUTES || 60) * 60 * 1000;
+
+/**
+ * Jobs by ID. Jobs live in memory only, so a restart forgets them
+ */
+const jobs = new Map();
+
+/**
+ * Checks whether a job has stopped running
+ * @param {Object} job - Job
+ * @returns {boolean} Whether the job completed, failed or was cancelled
+ */
+function isFinished(job) {
+    return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Gives the public view of a job
+ * @param {Object} job - Job
+ * @param {Object} options - View options
+ * @param {boolean} options.includeResult - Whether to include the run's result
+ * @returns {Object} Job ID, type, status, progress and timestamps
+ */
+function describeJob(job, { includeResult = false } = {}) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        error: job.error,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        ...(includeResult && isFinished(job) ? { result: job.result } : {})
+    };
+}
+
+/**
+ * Marks a job as finished and schedules its removal
+ * @param {Object} job - Job
+ * @param {string} status - Final status
+ * @param {Object|null} result - Result of the run
+ * @param {string|null} error - Why the job did not complete
+ */
+function finishJob(job, status, result, error = null) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.events.emit('done', describeJob(job));
+
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Starts a job in the background
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} run - Performs the work; receives an AbortSignal and a
+ *   progress callback and resolves to a result with a success flag
+ * @returns {Object} Public view of the new job
+ */
+function startJob(type, run) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'running',
+        progress: { done: 0, total: null, currentFile: null, matchCount: 0 },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        controller: new AbortController(),
+        events: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+
+    const onProgress = progress => {
+        if (isFinished(job)) return;
+        job.progress = progress;
+        job.events.emit('progress', describeJob(job));
+    };
+
+    run(job.controller.signal, onProgress)
+        .then(result => {
+            if (job.controller.signal.aborted) {
+                finishJob(job, 'cancelled', result, (result && result.error) || 'Cancelled');
+            } else if (result.success) {
+                finishJob(job, 'completed', result);
+            } else {
+                finishJob(job, 'failed', result, result.error);
+            }
+        })
+        .catch(error => finishJob(job, 'failed', null, error.message));
+
+    return describeJob(job);
+}
+
+/**
+ * Looks up a job
+ * @param {string} id - Job ID
+ * @param {Object} options - View options, as for describeJob
+ * @returns {Object|null} Public view of the job, or null when it is unknown
+ */
+function getJob(id, options = {}) {
+    const job = jobs.get(id);
+    return job ? describeJob(job, options) : null;
+}
+
+/**
+ * Asks a running job to stop. Files already being processed finish first,
+ * then the job ends as cancelled
+ * @param {string} id - Job ID
+ * @returns {Object|null} Public view of the job, or null when it is unknown
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (!isFinished(job)) {
+        job.controller.abort();
+        job.status = 'cancelling';
+        job.events.emit('progress', describeJob(job));
+    }
+    return describeJob(job);
+}
+
+/**
+ * Follows a job's progress until it finishes
+ * @param {string} id - Job ID
+ * @param {Function} listener - Receives an event name ('progress' or 'done')
+ *   and the public view of the job; called at once with the current state
+ * @returns {Function|null} Stops following, or null when the job is unknown
+ */
+function subscribeToJob(id, listener) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (isFinished(job)) {
+        listener('done', describeJob(job));
+        return () => {};
+    }
+
+    const onProgress = view => listener('progress', view);
+    const onDone = view => listener('done', view);
+    job.events.on('progress', onProgress);
+    job.events.once('done', onDone);
+    listener('progress', describeJob(job));
+
+    return () => {
+        job.events.off('progress', onProgress);
+        job.events.off('done', onDone);
+    };
+}
+
+module.exports = {
+    JOB_TYPES,
+    startJob,
+    getJob,
+    cancelJob,
+    subscribeToJob
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { version: TOOL_VERSION } = require('../package.json');
+
+/**
+ * File in the output folder recording what each redacted file was made from
+ */
+const MANIFEST_FILE = '.redaction-manifest.json';
+
+/**
+ * Layout version of the manifest; manifests of another version are ignored
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Options that choose which files are processed, describe the run or limit
+ * where it may read and write, but do not change what a redacted file contains
+ */
+const NON_OUTPUT_OPTIONS = ['include', 'exclude', 'formats', 'profile', 'sandbox'];
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal settings hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (value instanceof RegExp) {
+        return JSON.stringify(value.toString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hashes everything that decides how files are redacted. Runs with the same
+ * hash produce the same output for the same source, so unchanged files can be skipped
+ * @param {string|Array|null} patterns - Custom regex patterns
+ * @param {string|string[]|null} customText - Exact text to redact
+ * @param {Object} options - Redaction options, without review decisions and vault passphrase
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRules(patterns, customText, options) {
+    const outputOptions = Object.fromEntries(
+        Object.entries(options).filter(([key]) => !NON_OUTPUT_OPTIONS.includes(key))
+    );
+    // The tool version is included because detectors and formats change between releases
+    return crypto.createHash('sha256')
+        .update(stableStringify({ version: TOOL_VERSION, patterns, customText, options: outputOptions }))
+        .digest('hex');
+}
+
+/**
+ * Hashes the match IDs a review approved for one file
+ * @param {Object|null} decision - Review decision with approved match IDs
+ * @returns {string|null} SHA-256 hex digest, or null when there was no review
+ */
+function hashDecision(decision) {
+    if (!decision) return null;
+    return crypto.createHash('sha256')
+        .update([...(decision.approved || [])].sort().join('\n'))
+        .digest('hex');
+}
+
+/**
+ * Reads the manifest of an earlier run
+ * @param {string} outputFolder - Output directory path
+ * @returns {Promise<Object|null>} The manifest, or null when there is no usable one
+ */
+async function readManifest(outputFolder) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(outputFolder, MANIFEST_FILE), 'utf8'));
+        return manifest.version === MANIFEST_VERSION && manifest.files ? manifest : null;
+    } catch (error) {
+        // A damaged manifest only costs a full run
+        return null;
+    }
+}
+
+/**
+ * Writes the manifest for a run, replacing the old one in a single step
+ * @param {string} outputFolder - Output directory path
+ * @param {string} rulesHash - Result of hashRules for the run
+ * @param {Object} files - Entries keyed by relative path, each with the source
+ *   hash, review decision hash, match counts and whether a vault was written
+ * @returns {Promise<void>}
+ */
+async function writeManifest(outputFolder, rulesHash, files) {
+    const manifestPath = path.join(outputFolder, MANIFEST_FILE);
+    const manifest = {
+        version: MANIFEST_VERSION,
+        rulesHash,
+        updatedAt: new Date().toISOString(),
+        files
+    };
+
+    await fs.mkdir(outputFolder, { recursive: true });
+    await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+    await fs.rename(`${manifestPath}.tmp`, manifestPath);
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    stableStringify,
+    hashRules,
+    hashDecision,
+    readManifest,
+    writeManifest
+};
@@ -0,0 +1,250 @@
+const { parseHTMLDocument, applyEdits } = require('./htmlDocument');
+const { getLineStarts, getLineAndColumn } = require('./report');
+
+/**
+ * Kinds of hidden metadata the scrub stage can strip from HTML outputs:
+ * 'comments' removes comments, 'author' and 'generator' remove meta tags naming
+ * who or what wrote the page, 'hidden-inputs' and 'form-values' clear the values
+ * of hidden and prefilled form fields, 'data-attributes' removes data-*
+ * attributes and 'tracking-pixels' removes images too small to see
+ */
+const SCRUB_CATEGORIES = [
+    'comments',
+    'author',
+    'generator',
+    'hidden-inputs',
+    'form-values',
+    'data-attributes',
+    'tracking-pixels'
+];
+
+/**
+ * Meta tag names and properties, lower-cased, that name a page's authors
+ */
+const AUTHOR_META_NAMES = new Set([
+    'author', 'creator', 'publisher', 'owner', 'designer', 'reply-to', 'article:author', 'dc.creator', 'dc.publisher'
+]);
+
+/**
+ * Meta tag names, lower-cased, that name the software a page was made with
+ */
+const GENERATOR_META_NAMES = new Set(['generator', 'progid', 'originator']);
+
+/**
+ * Input types whose value is not something a user typed, so it is left as it is
+ */
+const FIXED_VALUE_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image', 'checkbox', 'radio', 'file']);
+
+/**
+ * Largest width or height, in pixels, of an image treated as a tracking pixel
+ */
+const MAX_PIXEL_SIZE = 1;
+
+/**
+ * Checks the scrub option before any file is processed
+ * @param {string[]|null} scrub - Categories to scrub
+ * @returns {string|null} Error message, or null when the option is usable
+ */
+function validateScrub(scrub) {
+    if (scrub === null || scrub === undefined) return null;
+    if (!Array.isArray(scrub) || scrub.some(category => typeof category !== 'string')) {
+        return 'Scrub must be a list of metadata categories';
+    }
+
+    const unknown = scrub.filter(category => !SCRUB_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+        return `Unknown scrub categories: ${unknown.join(', ')}. Expected any of: ${SCRUB_CATEGORIES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Reads a pixel size from an attribute or a style declaration
+ * @param {string|undefined} value - Size such as "1", "1px" or "0"
+ * @returns {number|null} Size in pixels, or null when it is not a plain pixel size
+ */
+function parsePixelSize(value) {
+    const size = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/i.exec(value || '');
+    return size ? Number(size[1]) : null;
+}
+
+/**
+ * Checks whether an image is a tracking pixel: sized at most one pixel square,
+ * or hidden with an inline style
+ * @param {Object} node - img element
+ * @returns {boolean} Whether the image cannot be seen
+ */
+function isTrackingPixel(node) {
+    const style = {};
+    (node.attribs.style || '').split(';').forEach(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return;
+        style[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim().toLowerCase();
+    });
+
+    if (style.display === 'none' || style.visibility === 'hidden') return true;
+
+    const width = parsePixelSize(style.width ?? node.attribs.width);
+    const height = parsePixelSize(style.height ?? node.attribs.height);
+    return width !== null && height !== null && width <= MAX_PIXEL_SIZE && height <= MAX_PIXEL_SIZE;
+}
+
+/**
+ * Builds the edit that deletes an attribute together with the space before it
+ * @param {string} html - The HTML source
+ * @param {Object} location - parse5 location of the attribute
+ * @returns {Object} Start and end of the edit
+ */
+function getAttributeRemoval(html, location) {
+    let start = location.startOffset;
+    while (start > 0 && /\s/.test(html[start - 1])) {
+        start--;
+    }
+    return { start, end: location.endOffset };
+}
+
+/**
+ * Finds the hidden metadata of an HTML document in the chosen categories
+ * @param {string} html - The HTML source
+ * @param {string[]} categories - Categories to scrub, see SCRUB_CATEGORIES
+ * @returns {Object[]} Non-overlapping edits, sorted, each with the category,
+ *   the element and, for attributes, the attribute it removes
+ */
+function findScrubEdits(html, categories) {
+    const enabled = new Set(categories);
+    const edits = [];
+
+    const removeElement = (node, category) => {
+        const location = node.sourceCodeLocation;
+        edits.push({ start: location.startOffset, end: location.endOffset, text: '', category, element: node.name });
+    };
+    const removeAttribute = (node, name, category) => {
+        const attribute = node.sourceCodeLocation.attrs[name];
+        edits.push({
+            ...getAttributeRemoval(html, attribute),
+            text: '',
+            category,
+            element: node.name,
+            attribute: name,
+            // Reported where the attribute starts rather than at the space before it
+            offset: attribute.startOffset
+        });
+    };
+
+    function visit(node) {
+        const location = node.sourceCodeLocation;
+
+        if (node.type === 'comment') {
+            if (location && enabled.has('comments')) {
+                edits.push({ start: location.startOffset, end: location.endOffset, text: '', category: 'comments', element: null });
+            }
+            return;
+        }
+
+        // Elements the parser inserted on its own have no source to rewrite
+        if (!location || !location.startTag || !node.attribs) {
+            (node.children || []).forEach(visit);
+            return;
+        }
+
+        const attribs = node.attribs;
+        const metaName = (attribs.name || attribs.property || '').trim().toLowerCase();
+        const inputType = (attribs.type || 'text').trim().toLowerCase();
+
+        if (node.name === 'meta' && enabled.has('author') && AUTHOR_META_NAMES.has(metaName)) {
+            removeElement(node, 'author');
+            return;
+        }
+        if (node.name === 'meta' && enabled.has('generator') && GENERATOR_META_NAMES.has(metaName)) {
+            removeElement(node, 'generator');
+            return;
+        }
+        if (node.name === 'img' && enabled.has('tracking-pixels') && isTrackingPixel(node)) {
+            removeElement(node, 'tracking-pixels');
+            return;
+        }
+
+        if (node.name === 'input' && 'value' in attribs) {
+            if (inputType === 'hidden' && enabled.has('hidden-inputs')) {
+                removeAttribute(node, 'value', 'hidden-inputs');
+            } else if (!FIXED_VALUE_INPUT_TYPES.has(inputType) && enabled.has('form-values')) {
+                removeAttribute(node, 'value', 'form-values');
+            }
+        }
+
+        if (node.name === 'textarea' && enabled.has('form-values') && location.endTag
+            && location.endTag.startOffset > location.startTag.endOffset) {
+            edits.push({
+                start: location.startTag.endOffset,
+                end: location.endTag.startOffset,
+                text: '',
+                category: 'form-values',
+                element: 'textarea'
+            });
+        }
+
+        if (enabled.has('data-attributes')) {
+            Object.keys(attribs)
+                .filter(name => name.startsWith('data-') && location.attrs[name])
+                .forEach(name => removeAttribute(node, name, 'data-attributes'));
+        }
+
+        (node.children || []).forEach(visit);
+    }
+
+    if (enabled.size > 0) {
+        visit(parseHTMLDocument(html));
+    }
+    return edits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Strips hidden metadata from redacted HTML and moves the replacement tokens
+ * along with the content. Tokens inside scrubbed metadata are dropped, since
+ * there is nothing left to restore them into
+ * @param {string} content - Original content
+ * @param {string} redactedContent - Redacted content
+ * @param {Object[]} tokens - Replacement tokens from redactSensitiveContentWithTokens
+ * @param {string[]} categories - Categories to scrub, see SCRUB_CATEGORIES
+ * @returns {Object} Scrubbed content, its tokens and what was removed, each with
+ *   its category, element, attribute and line and column in the original content
+ */
+function scrubMetadata(content, redactedContent, tokens, categories) {
+    const edits = findScrubEdits(redactedContent, categories);
+    if (edits.length === 0) {
+        return { content: redactedContent, tokens, removed: [] };
+    }
+
+    const sortedTokens = [...tokens].sort((a, b) => a.start - b.start);
+    const tokenEnd = token => token.start + token.replacement.length;
+
+    // Replacements change lengths, so output offsets are mapped back to the original
+    const toSourceOffset = offset => sortedTokens
+        .filter(token => tokenEnd(token) <= offset)
+        .reduce((source, token) => source - (token.replacement.length - token.original.length), offset);
+
+    const lineStarts = getLineStarts(content);
+    const removed = edits.map(({ category, element, attribute, start, offset }) => ({
+        category,
+        element,
+        ...(attribute ? { attribute } : {}),
+        ...getLineAndColumn(lineStarts, toSourceOffset(offset ?? start))
+    }));
+
+    const scrubbedTokens = [];
+    sortedTokens.forEach(token => {
+        if (edits.some(edit => token.start < edit.end && tokenEnd(token) > edit.start)) return;
+        const shift = edits
+            .filter(edit => edit.end <= token.start)
+            .reduce((total, edit) => total + edit.text.length - (edit.end - edit.start), 0);
+        scrubbedTokens.push({ ...token, start: token.start + shift });
+    });
+
+    return { content: applyEdits(redactedContent, edits), tokens: scrubbedTokens, removed };
+}
+
+module.exports = {
+    SCRUB_CATEGORIES,
+    validateScrub,
+    scrubMetadata
+};
@@ -0,0 +1,291 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { compileRule, REDACTION_MODES } = require('./redaction');
+const { resolveDetectors, resolveLocales } = require('./detectors');
+const { validateReplacements } = require('./replacement');
+const { validateElementRules } = require('./elementRules');
+const { validateAllowlist } = require('./allowlist');
+const { validateScrub } = require('./metadataScrub');
+const { resolveFormats } = require('./formats');
+
+/**
+ * Folder holding saved profiles, one JSON or YAML file per profile
+ */
+const PROFILES_DIR = process.env.REDACTOR_PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+
+/**
+ * File extensions a profile can be stored under, in lookup order
+ */
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Settings a profile may hold besides its name, version and description
+ */
+const PROFILE_FIELDS = [
+    'rules',
+    'customText',
+    'detectors',
+    'locales',
+    'minConfidence',
+    'mode',
+    'attributes',
+    'replacements',
+    'elementRules',
+    'allowlist',
+    'formats',
+    'include',
+    'exclude',
+    'scrub',
+    'normalize'
+];
+
+/**
+ * Checks that a profile name is safe to use as a file name
+ * @param {string} name - Profile name
+ * @returns {boolean} Whether the name is valid
+ */
+function isValidProfileName(name) {
+    return typeof name === 'string' && /^[a-z0-9][a-z0-9_-]{0,63}$/i.test(name);
+}
+
+/**
+ * Checks a profile's settings
+ * @param {Object} profile - Profile contents
+ * @returns {string|null} Error message, or null when the profile is valid
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return 'Profile must be an object';
+    }
+
+    const unknown = Object.keys(profile)
+        .filter(key => !['name', 'version', 'description', 'updatedAt', ...PROFILE_FIELDS].includes(key));
+    if (unknown.length > 0) {
+        return `Unknown profile fields: ${unknown.join(', ')}`;
+    }
+
+    const {
+        rules, customText, detectors, locales, minConfidence, mode, attributes, replacements, elementRules, allowlist,
+        formats, include, exclude, scrub, normalize
+    } = profile;
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (rules !== undefined) {
+        if (!Array.isArray(rules)) return 'Rules must be a list';
+        for (const rule of rules) {
+            if (!rule || typeof rule.pattern !== 'string' || !rule.name) {
+                return 'Each rule needs a name and a pattern';
+            }
+            if (rule.flags !== undefined && !/^[imsuy]*$/.test(rule.flags)) {
+                return `Rule "${rule.name}" has invalid flags "${rule.flags}"`;
+            }
+            try {
+                compileRule(rule);
+            } catch (error) {
+                return `Rule "${rule.name}" is not a valid regex: ${error.message}`;
+            }
+        }
+    }
+
+    if (customText !== undefined && !isStringList(customText)) return 'Custom text must be a list of strings';
+    if (attributes !== undefined && attributes !== null && !isStringList(attributes)) return 'Attributes must be a list of strings';
+    if (include !== undefined && !isStringList(include)) return 'Include globs must be a list of strings';
+    if (exclude !== undefined && !isStringList(exclude)) return 'Exclude globs must be a list of strings';
+
+    if (detectors !== undefined && detectors !== null) {
+        if (!isStringList(detectors)) return 'Detectors must be a list of detector names';
+        const { unknown: unknownDetectors } = resolveDetectors(detectors);
+        if (unknownDetectors.length > 0) return `Unknown detectors: ${unknownDetectors.join(', ')}`;
+    }
+
+    if (locales !== undefined && locales !== null) {
+        if (!isStringList(locales)) return 'Locales must be a list of locale pack names';
+        const { unknown: unknownLocales } = resolveLocales(locales);
+        if (unknownLocales.length > 0) return `Unknown locale packs: ${unknownLocales.join(', ')}`;
+    }
+
+    if (formats !== undefined && formats !== null) {
+        if (!isStringList(formats)) return 'Formats must be a list of format names';
+        const { unknown: unknownFormats } = resolveFormats(formats);
+        if (unknownFormats.length > 0) return `Unknown formats: ${unknownFormats.join(', ')}`;
+    }
+
+    if (minConfidence !== undefined && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+        return 'Minimum confidence must be a number between 0 and 1';
+    }
+
+    if (normalize !== undefined && typeof normalize !== 'boolean') return 'Normalize must be true or false';
+
+    if (mode !== undefined && !REDACTION_MODES.includes(mode)) {
+        return `Unknown mode "${mode}". Expected one of: ${REDACTION_MODES.join(', ')}`;
+    }
+
+    return validateElementRules(elementRules)
+        || validateAllowlist(allowlist)
+        || validateScrub(scrub)
+        || validateReplacements(replacements, null, { requireKey: false });
+}
+
+/**
+ * Finds the file a profile is stored in
+ * @param {string} name - Profile name
+ * @returns {Promise<string|null>} Path to the profile file, or null if it does not exist
+ */
+async function findProfileFile(name) {
+    for (const extension of PROFILE_EXTENSIONS) {
+        const filePath = path.join(PROFILES_DIR, `${name}${extension}`);
+        try {
+            await fs.access(filePath);
+            return filePath;
+        } catch (error) {
+            // Try the next extension
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses a profile file according to its extension
+ * @param {string} filePath - Path to the profile file
+ * @returns {Promise<Object>} Profile contents
+ */
+async function readProfileFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return path.extname(filePath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+}
+
+/**
+ * Lists the saved profiles
+ * @returns {Promise<Object[]>} Name, version, description and format of each profile
+ */
+async function listProfiles() {
+    let entries;
+    try {
+        entries = await fs.readdir(PROFILES_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const profiles = [];
+    for (const entry of entries.sort()) {
+        const extension = path.extname(entry);
+        const name = path.basename(entry, extension);
+        if (!PROFILE_EXTENSIONS.includes(extension) || !isValidProfileName(name)) continue;
+
+        try {
+            const profile = await readProfileFile(path.join(PROFILES_DIR, entry));
+            profiles.push({
+                name,
+                version: profile.version || 1,
+                description: profile.description || '',
+                updatedAt: profile.updatedAt || null,
+                format: extension.slice(1)
+            });
+        } catch (error) {
+            console.error(`Skipping unreadable profile ${entry}:`, error.message);
+        }
+    }
+
+    return profiles;
+}
+
+/**
+ * Loads a saved profile
+ * @param {string} name - Profile name
+ * @returns {Promise<Object|null>} Profile, or null if it does not exist
+ */
+async function loadProfile(name) {
+    if (!isValidProfileName(name)) return null;
+
+    const filePath = await findProfileFile(name);
+    if (!filePath) return null;
+
+    const profile = await readProfileFile(filePath);
+    return { ...profile, name, version: profile.version || 1 };
+}
+
+/**
+ * Creates or updates a profile, bumping its version on every save
+ * @param {string} name - Profile name
+ * @param {Object} settings - Profile contents
+ * @param {Object} options - Save options
+ * @param {boolean} options.create - Fail if the profile already exists
+ * @param {number} options.expectedVersion - Fail if the stored version differs
+ * @param {string} options.format - 'json' or 'yaml' for new profiles
+ * @returns {Promise<Object>} Saved profile, or an error with an HTTP-style status
+ */
+async function saveProfile(name, settings, options = {}) {
+    if (!isValidProfileName(name)) {
+        return { error: 'Profile names may only contain letters, numbers, dashes and underscores', status: 400 };
+    }
+
+    const validationError = validateProfile(settings);
+    if (validationError) {
+        return { error: validationError, status: 400 };
+    }
+
+    const existingFile = await findProfileFile(name);
+    const existing = existingFile ? await readProfileFile(existingFile) : null;
+
+    if (existing && options.create) {
+        return { error: `Profile "${name}" already exists`, status: 409 };
+    }
+    if (!existing && options.expectedVersion !== undefined && options.expectedVersion !== null) {
+        return { error: `Profile "${name}" not found`, status: 404 };
+    }
+    if (existing && options.expectedVersion !== undefined && options.expectedVersion !== null
+        && options.expectedVersion !== (existing.version || 1)) {
+        return {
+            error: `Profile "${name}" is at version ${existing.version || 1}, not ${options.expectedVersion}`,
+            status: 409
+        };
+    }
+
+    const profile = {
+        name,
+        version: existing ? (existing.version || 1) + 1 : 1,
+        description: settings.description || '',
+        updatedAt: new Date().toISOString()
+    };
+    PROFILE_FIELDS.forEach(field => {
+        if (settings[field] !== undefined) {
+            profile[field] = settings[field];
+        }
+    });
+
+    const format = existingFile ? path.extname(existingFile).slice(1) : (options.format || 'json');
+    const filePath = existingFile || path.join(PROFILES_DIR, `${name}.${format === 'yaml' ? 'yaml' : 'json'}`);
+    const serialized = filePath.endsWith('.json') ? `${JSON.stringify(profile, null, 2)}\n` : YAML.stringify(profile);
+
+    await fs.mkdir(PROFILES_DIR, { recursive: true });
+    await fs.writeFile(filePath, serialized, 'utf8');
+
+    return { profile };
+}
+
+/**
+ * Deletes a saved profile
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} Whether a profile was deleted
+ */
+async function deleteProfile(name) {
+    if (!isValidProfileName(name)) return false;
+
+    const filePath = await findProfileFile(name);
+    if (!filePath) return false;
+
+    await fs.unlink(filePath);
+    return true;
+}
+
+module.exports = {
+    PROFILES_DIR,
+    PROFILE_FIELDS,
+    validateProfile,
+    listProfiles,
+    loadProfile,
+    saveProfile,
+    deleteProfile
+};
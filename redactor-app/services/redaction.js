@@ -1,45 +1,174 @@
+const crypto = require('crypto');
+const { applyEdits } = require('./htmlDocument');
+const { DEFAULT_MIN_CONFIDENCE, resolveDetectors } = require('./detectors');
+const { createReplacer } = require('./replacement');
+const { findElementMatches } = require('./elementRules');
+const { getFormat } = require('./formats');
+const { createDecodedViews, encodeReplacement } = require('./decoding');
+const { createAllowChecker, findIgnoredRegions, findIgnoredRegion } = require('./allowlist');
+const { createTermMatcher } = require('./termMatcher');
+const { createVisibleTextViews, foldText } = require('./visibleText');
+
+/**
+ * Supported scanning modes for HTML files: 'source' runs patterns over the raw
+ * HTML string, 'dom' only touches text nodes and the configured attributes.
+ * Other formats always scan the parts their format handler extracts
+ */
+const REDACTION_MODES = ['source', 'dom'];
+
 /**
  * Default patterns for identifying sensitive content if none are provided
  */
-const DEFAULT_PATTERNS = [
-    // Email addresses
-    /([a-zA-Z0-9_.+-]+@[a-zA-Z0-9-]+\.[a-zA-Z0-9-.]+)/g,
-    // Phone numbers (various formats)
-    /(\+\d{1,3}[\s-])?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/g,
-    // Social Security Numbers
-    /\b\d{3}[-.]?\d{2}[-.]?\d{4}\b/g,
-    // Credit Card Numbers
-    /\b(?:\d[ -]*?){13,16}\b/g
-];
+const DEFAULT_PATTERNS = resolveDetectors().detectors.map(detector => detector.pattern);
 
 /**
- * Compiles an array of regex patterns from user input or defaults
- * @param {string|string[]|null} customPatterns - Optional custom patterns
- * @returns {RegExp[]} Array of compiled regex patterns
+ * Which kind of detector wins when two matches start at the same place and
+ * have the same length: terms the user listed, then the user's own patterns,
+ * then registered detectors
+ */
+const DETECTOR_PRIORITY = {
+    'custom-text': 3,
+    'custom-pattern': 2,
+    'registered': 1
+};
+
+/**
+ * Term matchers built for recent custom text lists. Previews and redactions
+ * compile the same list for every file, and building the automaton for a long
+ * list costs far more than scanning one file with it
+ */
+const termMatcherCache = new Map();
+
+/**
+ * Number of term lists kept in termMatcherCache
  */
-function compilePatterns(customPatterns = null, customText = null) {
-    let patterns = [];
+const TERM_MATCHER_CACHE_SIZE = 8;
 
-    // Add default patterns if no custom patterns provided
-    if (!customPatterns && !customText) {
-        patterns = DEFAULT_PATTERNS;
+/**
+ * Gets the term matcher for a custom text list, building it on first use
+ * @param {string[]} terms - Exact text to match
+ * @returns {Object} Term matcher, see createTermMatcher
+ */
+function getTermMatcher(terms) {
+    const key = crypto.createHash('sha1').update(terms.join('\n')).digest('hex');
+    let matcher = termMatcherCache.get(key);
+
+    if (matcher) {
+        // Refresh the entry so the least recently used list is evicted first
+        termMatcherCache.delete(key);
+    } else {
+        matcher = createTermMatcher(terms);
+        if (termMatcherCache.size >= TERM_MATCHER_CACHE_SIZE) {
+            termMatcherCache.delete(termMatcherCache.keys().next().value);
+        }
     }
+    termMatcherCache.set(key, matcher);
+
+    return matcher;
+}
+
+/**
+ * Splits a list of regex patterns typed into one field. Patterns go one per
+ * line; a single line is split on commas, except commas inside quantifiers,
+ * character classes or groups such as \d{3,4}
+ * @param {string} text - Pattern list
+ * @returns {string[]} Individual patterns
+ */
+function splitPatternList(text) {
+    if (text.includes('\n')) {
+        return text.split(/\r?\n/).map(p => p.trim()).filter(Boolean);
+    }
+
+    const patterns = [];
+    let current = '';
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\\') {
+            current += char + (text[i + 1] || '');
+            i++;
+            continue;
+        }
+        if ('{[('.includes(char)) depth++;
+        if ('}])'.includes(char)) depth = Math.max(0, depth - 1);
+
+        if (char === ',' && depth === 0) {
+            patterns.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    patterns.push(current);
+
+    return patterns.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Compiles one custom rule into a detector
+ * @param {string|RegExp|Object} rule - Pattern source, /literal/flags string, RegExp,
+ *   or an object with name, pattern and flags
+ * @returns {Object} Detector with a name and global pattern
+ */
+function compileRule(rule) {
+    // Matching walks each pattern with exec, which needs the global flag
+    const withGlobal = flags => [...new Set(`${flags}g`)].join('');
+
+    const priority = DETECTOR_PRIORITY['custom-pattern'];
+
+    if (rule instanceof RegExp) {
+        return { name: 'custom-pattern', pattern: new RegExp(rule.source, withGlobal(rule.flags)), priority };
+    }
+
+    if (typeof rule === 'string') {
+        const literal = rule.match(/^\/([\s\S]+)\/([a-z]*)$/);
+        return literal
+            ? { name: 'custom-pattern', pattern: new RegExp(literal[1], withGlobal(literal[2])), priority }
+            : { name: 'custom-pattern', pattern: new RegExp(rule, 'g'), priority };
+    }
+
+    return {
+        name: rule.name || 'custom-pattern',
+        pattern: new RegExp(rule.pattern, withGlobal(rule.flags || '')),
+        priority
+    };
+}
+
+/**
+ * Compiles named detectors from user input or defaults
+ * @param {string|Array|null} customPatterns - Optional custom patterns or rule objects
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options
+ * @param {string|string[]|null} options.detectors - Registered detectors to run by name
+ * @param {string|string[]|null} options.locales - Locale packs whose default detectors run
+ *   when no detectors are named
+ * @returns {Object[]} Array of detectors with a name, priority and either a compiled
+ *   pattern with an optional validator, or a term matcher for exact text
+ */
+function compileDetectors(customPatterns = null, customText = null, options = {}) {
+    let detectors = [];
+
+    // Add the selected registry detectors, or the defaults if nothing custom is provided
+    if (options.detectors !== undefined && options.detectors !== null) {
+        detectors = resolveDetectors(options.detectors).detectors;
+    } else if (!customPatterns && !customText) {
+        detectors = resolveDetectors(null, options.locales).detectors;
+    }
+    detectors = detectors.map(detector => ({ ...detector, priority: DETECTOR_PRIORITY.registered }));
 
     // Add custom regex patterns
     if (customPatterns) {
         const regexPatterns = Array.isArray(customPatterns) 
             ? customPatterns 
-            : customPatterns.split(',').map(p => p.trim());
+            : splitPatternList(customPatterns);
 
-        patterns.push(...regexPatterns.map(pattern => {
+        detectors.push(...regexPatterns.map(rule => {
             try {
-                // If pattern is already a RegExp, return it
-                if (pattern instanceof RegExp) return pattern;
-                // Convert string pattern to RegExp, maintaining global flag
-                const patternStr = pattern.replace(/^\/|\/[gimuy]*$/g, '');
-                return new RegExp(patternStr, 'g');
+                return compileRule(rule);
             } catch (error) {
-                console.error(`Invalid regex pattern: ${pattern}`);
+                console.error(`Invalid regex pattern: ${rule.pattern || rule}`);
                 return null;
             }
         }).filter(Boolean));
@@ -51,93 +180,647 @@ function compilePatterns(customPatterns = null, customText = null) {
             ? customText
             : customText.split('\n').map(t => t.trim()).filter(t => t);
 
-        patterns.push(...textPatterns.map(text => {
-            // Escape special regex characters in the text
-            const escapedText = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            return new RegExp(escapedText, 'g');
-        }));
+        // All terms share one automaton, so long lists cost one pass instead of one per term
+        if (textPatterns.length > 0) {
+            detectors.push({
+                name: 'custom-text',
+                matcher: getTermMatcher(textPatterns),
+                priority: DETECTOR_PRIORITY['custom-text']
+            });
+        }
     }
 
-    return patterns;
+    return detectors;
 }
 
 /**
- * Identifies sensitive text in content based on provided patterns
- * @param {string} content - The HTML content to scan
- * @param {string|string[]|null} patterns - Optional custom regex patterns
- * @returns {Object} Object containing matches and their positions
+ * Compiles an array of regex patterns from user input or defaults
+ * @param {string|string[]|null} customPatterns - Optional custom patterns
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options
+ * @returns {RegExp[]} Array of compiled regex patterns
  */
-function identifySensitiveText(content, patterns = null) {
-    const compiledPatterns = compilePatterns(patterns);
-    const matches = [];
+function compilePatterns(customPatterns = null, customText = null, options = {}) {
+    return compileDetectors(customPatterns, customText, options).map(detector => (
+        detector.matcher
+            ? new RegExp(detector.matcher.terms.map(escapeRegExp).join('|'), 'g')
+            : detector.pattern
+    ));
+}
+
+/**
+ * Escapes text so a RegExp matches it literally
+ * @param {string} text - Text to match
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the ranges of the content that may be scanned and rewritten
+ * @param {string} content - The file content
+ * @param {Object} options - Redaction options
+ * @param {string} options.format - Format handler name, HTML by default
+ * @returns {Object[]} Ranges with start, end and kind
+ */
+function getScanRanges(content, options = {}) {
+    return getFormat(options.format).collectRanges(content, options);
+}
+
+/**
+ * Builds a stable identifier for a match so review decisions made on a
+ * preview can be applied to a later redaction of the same file
+ * @param {Object} match - Match with detector, index and text
+ * @returns {string} Match identifier
+ */
+function getMatchId(match) {
+    const digest = crypto.createHash('sha1')
+        .update(`${match.detector}:${match.index}:${match.text}`)
+        .digest('hex');
+    return `m-${digest.slice(0, 12)}`;
+}
+
+/**
+ * Drops matches that overlap an earlier one, preferring the match that
+ * starts first, for equal starts the longer one, for equal spans the one
+ * from the detector with the higher priority, and then the more confident one
+ * @param {Object[]} matches - Matches in any order
+ * @returns {Object[]} Non-overlapping matches sorted by position
+ */
+function resolveOverlaps(matches) {
+    const sorted = [...matches].sort((a, b) => (
+        a.index - b.index || b.length - a.length || (b.priority || 0) - (a.priority || 0)
+            || (b.confidence ?? 1) - (a.confidence ?? 1)
+    ));
+    const resolved = [];
+    let lastEnd = -1;
+
+    sorted.forEach(match => {
+        if (match.index >= lastEnd) {
+            resolved.push(match);
+            lastEnd = match.index + match.length;
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * Runs detectors over a piece of text
+ * @param {string} text - Text to scan
+ * @param {Object[]} detectors - Compiled detectors
+ * @param {number} minConfidence - Validated hits scoring lower are dropped
+ * @param {Function} onHit - Called with each hit's text, offset in the text, detector, its
+ *   category, pattern, confidence and priority
+ * @param {string} display - Text the hits are reported from, when text is a folded copy of it
+ */
+function scanText(text, detectors, minConfidence, onHit, display = text) {
+    detectors.forEach(({ name, category = 'custom', pattern, validate, prefixes, matcher, priority }) => {
+        if (matcher) {
+            matcher.findAll(text, (offset, termIndex) => {
+                const term = matcher.terms[termIndex];
+                onHit({
+                    text: display.slice(offset, offset + term.length),
+                    offset,
+                    detector: name,
+                    category,
+                    pattern: `/${escapeRegExp(term)}/g`,
+                    confidence: 1,
+                    priority
+                });
+            });
+            return;
+        }
 
-    compiledPatterns.forEach(pattern => {
         let match;
-        while ((match = pattern.exec(content)) !== null) {
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            // Custom patterns and text are trusted as given
+            let hitText = display.slice(match.index, match.index + match[0].length);
+            let confidence = validate ? validate(hitText) : 1;
+
+            // A match that ran into neighbouring text may hold a valid value at its start
+            if (confidence <= 0 && prefixes) {
+                for (const candidate of prefixes(hitText)) {
+                    confidence = validate(candidate);
+                    if (confidence > 0) {
+                        hitText = candidate;
+                        pattern.lastIndex = match.index + candidate.length;
+                        break;
+                    }
+                }
+            }
+            if (confidence <= 0 || confidence < minConfidence) {
+                continue;
+            }
+
+            onHit({ text: hitText, offset: match.index, detector: name, category, pattern: pattern.toString(), confidence, priority });
+        }
+    });
+}
+
+/**
+ * Prepares detectors for folded visible text. Custom text and custom patterns
+ * ignore case and diacritics there; registered detectors still read the text
+ * as shown, since their validators check exact formats
+ * @param {Object[]} detectors - Compiled detectors
+ * @returns {Object} Detectors for the folded text and detectors for the shown text
+ */
+function splitFoldedDetectors(detectors) {
+    const folded = [];
+    const shown = [];
+
+    detectors.forEach(detector => {
+        if (detector.matcher) {
+            folded.push({ ...detector, matcher: getTermMatcher(detector.matcher.terms.map(foldText)) });
+        } else if (detector.priority === DETECTOR_PRIORITY['custom-pattern']) {
+            const source = detector.pattern.source.normalize('NFD').replace(/\p{M}/gu, '');
+            const flags = [...new Set(`${detector.pattern.flags}i`)].join('');
+            folded.push({ ...detector, pattern: new RegExp(source, flags) });
+        } else {
+            shown.push(detector);
+        }
+    });
+
+    return { folded, shown };
+}
+
+/**
+ * Finds matches in the visible text of the content, where a phrase may run
+ * across inline tags, character references, line breaks and changes of case
+ * @param {string} content - The file content
+ * @param {Object[]} ranges - Scan ranges of the run
+ * @param {Object} format - Format handler of the file
+ * @param {Object[]} detectors - Compiled detectors
+ * @param {number} minConfidence - Validated hits scoring lower are dropped
+ * @returns {Object[]} Matches spanning their first to last fragment, with the
+ *   source fragments to rewrite; a fragment holds its range
+ */
+function findVisibleTextMatches(content, ranges, format, detectors, minConfidence) {
+    const { folded, shown } = splitFoldedDetectors(detectors);
+    const matches = [];
+
+    createVisibleTextViews(content, ranges, format).forEach(view => {
+        const onHit = hit => {
+            const fragments = view.mapFragments(hit.offset, hit.offset + hit.text.length);
+            if (fragments.length === 0) return;
+
+            const start = fragments[0].start;
             matches.push({
-                text: match[0],
-                index: match.index,
-                length: match[0].length,
-                pattern: pattern.toString()
+                text: hit.text,
+                index: start,
+                length: fragments[fragments.length - 1].end - start,
+                pattern: hit.pattern,
+                detector: hit.detector,
+                category: hit.category,
+                confidence: hit.confidence,
+                priority: hit.priority,
+                encoding: null,
+                range: fragments[0].range,
+                fragments
             });
-        }
+        };
+
+        scanText(view.folded, folded, minConfidence, onHit, view.text);
+        scanText(view.text, shown, minConfidence, onHit);
+    });
+
+    return matches;
+}
+
+/**
+ * Finds every match in the scannable ranges of the content
+ * @param {string} content - The HTML content to scan
+ * @param {Object[]} detectors - Compiled detectors
+ * @param {Object} options - Redaction options such as mode and attributes
+ * @param {number} options.minConfidence - Validated matches scoring lower are dropped
+ * @param {Array|null} options.elementRules - CSS selector rules for whole elements
+ * @param {Object|null} options.allowlist - Values, patterns and email domains to leave alone
+ * @param {boolean} options.normalize - Also match against the visible text of each block
+ * @returns {Object[]} Non-overlapping matches, each keeping the range it was found in
+ *   and the category of its detector ('custom' for custom patterns and text); allowlisted matches and matches in ignored regions carry the reason in allowedBy,
+ *   matches found in decoded text carry the encoding and the view they were found in, and
+ *   matches found in visible text carry the source fragments they cover
+ */
+function findMatches(content, detectors, options = {}) {
+    const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    // Element matches start at or before anything found inside them, so
+    // overlap resolution lets them win over pattern matches in their text
+    const format = getFormat(options.format);
+    const matches = format.markup ? findElementMatches(content, options.elementRules) : [];
+    const groupedSpans = [];
+    const ranges = getScanRanges(content, options);
+
+    ranges.forEach(range => {
+        scanText(content.slice(range.start, range.end), detectors, minConfidence, hit => {
+            matches.push({
+                text: hit.text,
+                index: range.start + hit.offset,
+                length: hit.text.length,
+                pattern: hit.pattern,
+                detector: hit.detector,
+                category: hit.category,
+                confidence: hit.confidence,
+                priority: hit.priority,
+                encoding: null,
+                range
+            });
+        });
+
+        // Decoded text is scanned too; hits that touch nothing encoded were found above
+        createDecodedViews(content, range, format).forEach(view => {
+            if (view.grouped) groupedSpans.push(view);
+
+            scanText(view.text, detectors, minConfidence, hit => {
+                const viewStart = hit.offset;
+                const viewEnd = hit.offset + hit.text.length;
+                if (!view.touchesEncoded(viewStart, viewEnd)) return;
+
+                const { start, end } = view.mapRange(viewStart, viewEnd);
+                matches.push({
+                    text: hit.text,
+                    index: start,
+                    length: end - start,
+                    pattern: hit.pattern,
+                    detector: hit.detector,
+                    category: hit.category,
+                    confidence: hit.confidence,
+                    priority: hit.priority,
+                    encoding: view.encoding,
+                    view,
+                    viewStart,
+                    viewEnd,
+                    range
+                });
+            });
+        });
     });
 
+    // Raw hits come first, so a visible text hit over the same span loses to them
+    if (options.normalize) {
+        matches.push(...findVisibleTextMatches(content, ranges, format, detectors, minConfidence));
+    }
+
+    // Raw hits inside a base64 payload are noise from the encoded characters
+    const candidates = matches.filter(match => match.encoding || !groupedSpans.some(view => (
+        match.index >= view.start && match.index + match.length <= view.end
+    )));
+
+    const ignoredRegions = findIgnoredRegions(content, { markup: format.markup });
+    const isAllowed = createAllowChecker(options.allowlist);
+
+    return resolveOverlaps(candidates).map(match => {
+        const region = findIgnoredRegion(ignoredRegions, match);
+        return {
+            ...match,
+            id: getMatchId(match),
+            allowedBy: region ? `ignore-${region.marker}` : isAllowed(match)
+        };
+    });
+}
+
+/**
+ * Identifies sensitive text in content based on provided patterns
+ * @param {string} content - The HTML content to scan
+ * @param {string|string[]|null} patterns - Optional custom regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options such as mode and attributes
+ * @returns {Object} Matches to redact with their positions, and the matches that
+ *   were left alone because of the allowlist or ignore markers
+ */
+function identifySensitiveText(content, patterns = null, customText = null, options = {}) {
+    const detectors = compileDetectors(patterns, customText, options);
+    const replace = createReplacer(options);
+    const found = findMatches(content, detectors, options).map(({ range, view, viewStart, viewEnd, priority, ...match }) => ({
+        ...match,
+        location: range.kind,
+        attribute: range.attribute || null,
+        action: range.action || null,
+        replacement: range.kind === 'element' ? range.replacement : replace(match),
+        ...(match.fragments ? { fragments: match.fragments.map(({ start, end }) => ({ start, end })) } : {})
+    }));
+    const matches = found.filter(match => !match.allowedBy);
+
     return {
         matches,
+        allowed: found.filter(match => match.allowedBy),
         count: matches.length
     };
 }
 
+/**
+ * Escapes text for display inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a file that is not HTML as escaped source with its matches highlighted
+ * @param {string} content - The file content
+ * @param {Object[]} matches - Matches from findMatches, sorted and non-overlapping
+ * @returns {string} HTML preview
+ */
+function previewPlainText(content, matches) {
+    let html = '';
+    let lastEnd = 0;
+
+    matches.forEach(match => {
+        const attributes = match.allowedBy
+            ? `class="redact-highlight redact-allowed" data-allowed-by="${match.allowedBy}" title="Allowed (${match.allowedBy})"`
+            : `class="redact-highlight" data-match-id="${match.id}" data-category="${match.category}"`;
+        html += escapeHtml(content.slice(lastEnd, match.index));
+        html += `<mark ${attributes}>${escapeHtml(content.slice(match.index, match.index + match.length))}</mark>`;
+        lastEnd = match.index + match.length;
+    });
+
+    return `<pre class="file-preview-text">${html}${escapeHtml(content.slice(lastEnd))}</pre>`;
+}
+
 /**
  * Creates a preview of the content with sensitive text highlighted
  * @param {string} content - The HTML content to process
  * @param {string|string[]|null} patterns - Optional custom regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options such as mode and attributes
  * @returns {string} HTML content with sensitive text highlighted
  */
-function previewSensitiveContent(content, patterns = null) {
-    const compiledPatterns = compilePatterns(patterns);
-    let previewContent = content;
+function previewSensitiveContent(content, patterns = null, customText = null, options = {}) {
+    const detectors = compileDetectors(patterns, customText, options);
+    const edits = [];
+
+    if (!getFormat(options.format).markup) {
+        return previewPlainText(content, findMatches(content, detectors, options));
+    }
+
+    // Marks cannot go inside attribute values, so flagged attributes are
+    // listed on their element instead and outlined by the preview stylesheet
+    const flaggedAttributes = new Map();
+
+    // A match found in visible text is marked fragment by fragment, so the
+    // marks nest inside the tags it runs across
+    const markMatch = (match, attributes) => {
+        const spans = match.fragments
+            ? match.fragments.map(({ start, end }) => ({ start, end, text: content.slice(start, end) }))
+            : [{ start: match.index, end: match.index + match.length, text: match.text }];
+        spans.forEach(({ start, end, text }) => {
+            edits.push({ start, end, text: `<mark ${attributes}>${text}</mark>` });
+        });
+    };
+
+    findMatches(content, detectors, options).forEach(match => {
+        const { range } = match;
 
-    // Process each pattern
-    compiledPatterns.forEach(pattern => {
-        previewContent = previewContent.replace(pattern, match => 
-            `<mark class="redact-highlight">${match}</mark>`
-        );
+        // Allowed matches stay visible so reviewers can see why they were kept
+        if (match.allowedBy) {
+            if (range.kind === 'text' || range.kind === 'source') {
+                markMatch(match, `class="redact-highlight redact-allowed" data-allowed-by="${match.allowedBy}" `
+                    + `title="Allowed (${match.allowedBy})"`);
+            }
+            return;
+        }
+
+        // Whole elements are flagged on their start tag rather than wrapped
+        if (range.kind === 'element') {
+            edits.push({
+                start: range.tagNameEnd,
+                end: range.tagNameEnd,
+                text: ` data-redact-match="${match.id}" data-redact-action="${range.action}"`
+            });
+            return;
+        }
+
+        if (range.kind === 'attribute') {
+            const flagged = flaggedAttributes.get(range.tagNameEnd) || { names: new Set(), ids: [] };
+            flagged.names.add(range.attribute);
+            flagged.ids.push(match.id);
+            flaggedAttributes.set(range.tagNameEnd, flagged);
+            return;
+        }
+
+        markMatch(match, `class="redact-highlight" data-match-id="${match.id}" data-category="${match.category}"`);
+    });
+
+    flaggedAttributes.forEach(({ names, ids }, offset) => {
+        edits.push({
+            start: offset,
+            end: offset,
+            text: ` data-redact-attrs="${[...names].join(' ')}" data-match-ids="${ids.join(' ')}"`
+        });
     });
 
-    return previewContent;
+    return applyEdits(content, edits);
 }
 
 /**
- * Redacts sensitive content by replacing matches with [REDACTED]
+ * Creates a preview of redacted HTML with each replacement highlighted, so it
+ * can be shown next to the original. Replacements in text are wrapped in marks
+ * and replacements in attribute values are listed on their element, as in
+ * previewSensitiveContent; replacements elsewhere, such as in comments, are not shown
+ * @param {string} redactedContent - Redacted content
+ * @param {Object[]} tokens - Replacement tokens from redactSensitiveContentWithTokens
+ * @param {Object} options - Redaction options, with the attributes to look in
+ * @returns {string} HTML content with the replacements highlighted
+ */
+function previewRedactedContent(redactedContent, tokens, options = {}) {
+    const ranges = getScanRanges(redactedContent, { ...options, mode: 'dom' });
+    const edits = [];
+    const flaggedAttributes = new Map();
+    let rangeIndex = 0;
+
+    tokens.forEach(token => {
+        // A token spanning inline tags is marked up to its first tag
+        const end = token.start + token.replacement.split('<')[0].length;
+        const ids = (token.ids || [token.id]).join(' ');
+
+        // Tokens and ranges are both sorted, so the search resumes where it stopped
+        while (rangeIndex < ranges.length && ranges[rangeIndex].end < end) rangeIndex++;
+        const range = ranges[rangeIndex];
+        if (!range || range.start > token.start) return;
+
+        if (range.kind === 'attribute') {
+            const flagged = flaggedAttributes.get(range.tagNameEnd) || { names: new Set(), ids: [] };
+            flagged.names.add(range.attribute);
+            flagged.ids.push(ids);
+            flaggedAttributes.set(range.tagNameEnd, flagged);
+        } else if (range.kind === 'text') {
+            edits.push({
+                start: token.start,
+                end,
+                text: `<mark class="redact-highlight redact-replacement" data-match-ids="${ids}">${redactedContent.slice(token.start, end)}</mark>`
+            });
+        }
+    });
+
+    flaggedAttributes.forEach(({ names, ids }, offset) => {
+        edits.push({
+            start: offset,
+            end: offset,
+            text: ` data-redact-attrs="${[...names].join(' ')}" data-match-ids="${ids.join(' ')}"`
+        });
+    });
+
+    return applyEdits(redactedContent, edits);
+}
+
+/**
+ * Redacts sensitive content and records where each replacement was written
  * @param {string} content - The HTML content to process
  * @param {string|string[]|null} patterns - Optional custom regex patterns
- * @returns {string} Redacted HTML content
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options such as mode, attributes and replacements
+ * @param {string[]|null} options.approvedMatchIds - Only redact these matches when given
+ * @returns {Object} Redacted content and one token per replacement, holding the
+ *   match ID, detector, output position, replacement and original source text;
+ *   a re-encoded base64 payload gets one token listing every match ID it covers, and
+ *   a match across inline tags gets one token spanning the tags between its fragments
  */
-function redactSensitiveContent(content, patterns = null) {
+function redactSensitiveContentWithTokens(content, patterns = null, customText = null, options = {}) {
     console.log('Starting redaction process');
     console.log('Original content length:', content.length);
     
-    const compiledPatterns = compilePatterns(patterns);
-    console.log('Compiled patterns:', compiledPatterns.map(p => p.toString()));
-    
-    let redactedContent = content;
+    const detectors = compileDetectors(patterns, customText, options);
+    console.log('Compiled patterns:', detectors.map(d => (
+        d.matcher ? `${d.matcher.terms.length} exact terms` : d.pattern.toString()
+    )));
 
-    // Process each pattern
-    compiledPatterns.forEach(pattern => {
-        const matchCount = (redactedContent.match(pattern) || []).length;
-        console.log(`Found ${matchCount} matches for pattern:`, pattern.toString());
-        redactedContent = redactedContent.replace(pattern, '[REDACTED]');
+    const replace = createReplacer(options);
+    const format = getFormat(options.format);
+    const approved = options.approvedMatchIds ? new Set(options.approvedMatchIds) : null;
+    let matches = findMatches(content, detectors, options).filter(match => !match.allowedBy);
+    if (approved) {
+        matches = matches.filter(match => approved.has(match.id));
+    }
+    console.log(`Redacting ${matches.length} matches`);
+
+    // Hits in a base64 payload are redacted together by re-encoding the payload
+    const payloads = new Map();
+    matches.filter(match => match.view && match.view.grouped).forEach(match => {
+        payloads.set(match.view, [...(payloads.get(match.view) || []), match]);
+    });
+
+    // Replacements are encoded the way the hit was and escaped for the
+    // context they land in, so markup outside the matches is left untouched
+    const edits = matches.filter(match => !(match.view && match.view.grouped)).flatMap(match => {
+        if (match.range.kind === 'element') {
+            return {
+                id: match.id,
+                detector: match.detector,
+                start: match.index,
+                end: match.index + match.length,
+                text: match.range.replacement
+            };
+        }
+
+        const replacement = replace(match);
+
+        // The replacement goes in the first fragment and the others are
+        // emptied, so the tags between them stay where they were
+        if (match.fragments) {
+            return match.fragments.map((fragment, i) => ({
+                id: match.id,
+                detector: match.detector,
+                start: fragment.start,
+                end: fragment.end,
+                text: i === 0 ? format.escape(replacement, fragment.range) : '',
+                continues: i > 0
+            }));
+        }
+
+        const escape = text => format.escape(text, match.range);
+        return {
+            id: match.id,
+            detector: match.detector,
+            start: match.index,
+            end: match.index + match.length,
+            text: match.view
+                ? encodeReplacement(match.view, replacement, { start: match.viewStart, end: match.viewEnd }, escape)
+                : escape(replacement)
+        };
+    });
+
+    payloads.forEach((payloadMatches, view) => {
+        let payload = view.text;
+        [...payloadMatches].sort((a, b) => b.viewStart - a.viewStart).forEach(match => {
+            payload = payload.slice(0, match.viewStart) + replace(match) + payload.slice(match.viewEnd);
+        });
+        edits.push({
+            id: payloadMatches[0].id,
+            ids: payloadMatches.map(match => match.id),
+            detector: payloadMatches[0].detector,
+            start: view.start,
+            end: view.end,
+            text: format.escape(view.encodePayload(payload), payloadMatches[0].range)
+        });
+    });
+    edits.sort((a, b) => a.start - b.start);
+
+    const redactedContent = applyEdits(content, edits);
+
+    // Matches are sorted and non-overlapping, so output positions only
+    // shift by the length change of the edits before them. A match made of
+    // fragments keeps one token, covering the tags between its fragments
+    let shift = 0;
+    let sourceStart = 0;
+    const tokens = [];
+    edits.forEach(edit => {
+        if (edit.continues) {
+            const token = tokens[tokens.length - 1];
+            token.replacement = redactedContent.slice(token.start, edit.start + shift);
+            token.original = content.slice(sourceStart, edit.end);
+        } else {
+            sourceStart = edit.start;
+            tokens.push({
+                id: edit.id,
+                ...(edit.ids ? { ids: edit.ids } : {}),
+                detector: edit.detector,
+                start: edit.start + shift,
+                replacement: edit.text,
+                original: content.slice(edit.start, edit.end)
+            });
+        }
+        shift += edit.text.length - (edit.end - edit.start);
     });
 
     console.log('Redacted content length:', redactedContent.length);
-    return redactedContent;
+    return {
+        content: redactedContent,
+        tokens
+    };
+}
+
+/**
+ * Redacts sensitive content by replacing matches using the configured
+ * replacement strategy for their detector, [REDACTED] by default
+ * @param {string} content - The HTML content to process
+ * @param {string|string[]|null} patterns - Optional custom regex patterns
+ * @param {string|string[]|null} customText - Optional exact text to match
+ * @param {Object} options - Redaction options such as mode, attributes and replacements
+ * @param {string[]|null} options.approvedMatchIds - Only redact these matches when given
+ * @returns {string} Redacted HTML content
+ */
+function redactSensitiveContent(content, patterns = null, customText = null, options = {}) {
+    return redactSensitiveContentWithTokens(content, patterns, customText, options).content;
 }
 
 module.exports = {
     identifySensitiveText,
     previewSensitiveContent,
+    previewRedactedContent,
     redactSensitiveContent,
-    DEFAULT_PATTERNS
+    redactSensitiveContentWithTokens,
+    compilePatterns,
+    compileDetectors,
+    compileRule,
+    splitPatternList,
+    DEFAULT_PATTERNS,
+    REDACTION_MODES
 };
\ No newline at end of file
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+
+/**
+ * Supported replacement strategies
+ */
+const REPLACEMENT_STRATEGIES = ['redact', 'label', 'mask', 'block', 'pseudonym', 'fake'];
+
+/**
+ * Strategies derived from a keyed hash of the original value
+ */
+const KEYED_STRATEGIES = ['pseudonym', 'fake'];
+
+/**
+ * Pseudonym prefixes for detectors whose values name a kind of thing
+ */
+const PSEUDONYM_PREFIXES = {
+    'email': 'EMAIL',
+    'phone': 'PHONE',
+    'ssn': 'SSN',
+    'credit-card': 'CARD',
+    'custom-text': 'PERSON'
+};
+
+/**
+ * Fewest hex characters in a pseudonym, for short forms such as PERSON_7f3a
+ */
+const MIN_PSEUDONYM_LENGTH = 4;
+
+/**
+ * Hex characters in a pseudonym when the strategy does not set a length.
+ * 12 give 2^48 pseudonyms, so two different values sharing one stays
+ * unlikely across millions of values; with 4, a clash is likely after a few
+ * hundred and merges two people silently, so shorter lengths are warned about
+ */
+const DEFAULT_PSEUDONYM_LENGTH = 12;
+
+/**
+ * Longest pseudonym, the full SHA-256 digest in hex
+ */
+const MAX_PSEUDONYM_LENGTH = 64;
+
+/**
+ * Normalizes a strategy setting into an object
+ * @param {string|Object|null} setting - Strategy name or object with a strategy field
+ * @returns {Object|null} Strategy settings, or null when nothing is configured
+ */
+function normalizeStrategy(setting) {
+    if (!setting) return null;
+    return typeof setting === 'string' ? { strategy: setting } : setting;
+}
+
+/**
+ * Checks a replacement configuration before any file is processed
+ * @param {Object|null} replacements - Strategy settings keyed by detector name, plus 'default'
+ * @param {string|null} key - Secret used by keyed strategies
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireKey - Whether keyed strategies need the key now; saved
+ *   configurations are checked without one because keys are supplied per run
+ * @returns {string|null} Error message, or null when the configuration is usable
+ */
+function validateReplacements(replacements, key = null, { requireKey = true } = {}) {
+    if (replacements === null || replacements === undefined) return null;
+
+    if (typeof replacements !== 'object' || Array.isArray(replacements)) {
+        return 'Replacements must be an object keyed by detector name';
+    }
+
+    for (const [detector, setting] of Object.entries(replacements)) {
+        const config = normalizeStrategy(setting);
+        if (!config || !REPLACEMENT_STRATEGIES.includes(config.strategy)) {
+            return `Unknown replacement strategy for "${detector}". Expected one of: ${REPLACEMENT_STRATEGIES.join(', ')}`;
+        }
+        if (KEYED_STRATEGIES.includes(config.strategy) && requireKey && !key) {
+            return `The ${config.strategy} strategy needs a pseudonym key`;
+        }
+        if (config.keep !== undefined && (!Number.isInteger(config.keep) || config.keep < 0)) {
+            return `Mask length for "${detector}" must be a non-negative integer`;
+        }
+        if (config.length !== undefined && (!Number.isInteger(config.length)
+            || config.length < MIN_PSEUDONYM_LENGTH || config.length > MAX_PSEUDONYM_LENGTH)) {
+            return `Pseudonym length for "${detector}" must be an integer from ${MIN_PSEUDONYM_LENGTH} to ${MAX_PSEUDONYM_LENGTH}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Lists the settings of a valid replacement configuration whose pseudonyms
+ * are short enough for two values to share one
+ * @param {Object|null} replacements - Strategy settings keyed by detector name, plus 'default'
+ * @returns {string[]} Warning messages, empty when every length is safe
+ */
+function getReplacementWarnings(replacements) {
+    if (!replacements) return [];
+
+    return Object.entries(replacements)
+        .map(([detector, setting]) => [detector, normalizeStrategy(setting)])
+        .filter(([, config]) => config.strategy === 'pseudonym'
+            && config.length !== undefined && config.length < DEFAULT_PSEUDONYM_LENGTH)
+        .map(([detector, config]) => `Pseudonyms of ${config.length} hex characters for "${detector}" can collide, `
+            + `so two values may share one; use ${DEFAULT_PSEUDONYM_LENGTH} or more to keep them apart`);
+}
+
+/**
+ * Builds the label used for typed replacements, e.g. [CREDIT_CARD]
+ * @param {string} detector - Detector name
+ * @returns {string} Upper-case label
+ */
+function toLabel(detector) {
+    return detector.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Masks every letter and digit except the last few
+ * @param {string} text - Original value
+ * @param {number} keep - Number of trailing letters or digits left visible
+ * @param {string} char - Mask character
+ * @returns {string} Masked value with separators kept in place
+ */
+function maskValue(text, keep, char) {
+    let visible = keep;
+    const chars = [...text];
+
+    for (let i = chars.length - 1; i >= 0; i--) {
+        if (!/[a-z0-9]/i.test(chars[i])) continue;
+        if (visible > 0) {
+            visible--;
+        } else {
+            chars[i] = char;
+        }
+    }
+
+    return chars.join('');
+}
+
+/**
+ * Creates a deterministic stream of bytes for a value
+ * @param {string} key - Secret key
+ * @param {string} value - Normalized value
+ * @returns {Function} Returns the next byte each time it is called
+ */
+function createByteStream(key, value) {
+    let counter = 0;
+    let buffer = Buffer.alloc(0);
+    let position = 0;
+
+    return () => {
+        if (position >= buffer.length) {
+            buffer = crypto.createHmac('sha256', key).update(`${counter++}:${value}`).digest();
+            position = 0;
+        }
+        return buffer[position++];
+    };
+}
+
+/**
+ * Replaces each digit and letter with a pseudo-random one of the same kind
+ * @param {string} text - Original value
+ * @param {Function} nextByte - Byte stream from createByteStream
+ * @returns {string} Value with the same shape
+ */
+function shuffleCharacters(text, nextByte) {
+    return text.replace(/[a-z0-9]/gi, char => {
+        if (/\d/.test(char)) return String(nextByte() % 10);
+        const letter = String.fromCharCode(97 + (nextByte() % 26));
+        return char === char.toUpperCase() ? letter.toUpperCase() : letter;
+    });
+}
+
+/**
+ * Writes new digits into the digit positions of a formatted value
+ * @param {string} text - Original value, e.g. "(555) 123-4567"
+ * @param {string} digits - Replacement digits, one per digit in the original
+ * @returns {string} Value with the original separators
+ */
+function fillDigits(text, digits) {
+    let index = 0;
+    return text.replace(/\d/g, () => digits[index++]);
+}
+
+/**
+ * Computes the Luhn check digit for a partial card number
+ * @param {string} partial - Digits without the check digit
+ * @returns {string} Check digit
+ */
+function luhnCheckDigit(partial) {
+    let sum = 0;
+
+    for (let i = 0; i < partial.length; i++) {
+        let digit = Number(partial[partial.length - 1 - i]);
+        if (i % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Generates a realistic but fake value in the format of the original
+ * @param {Object} match - Match with detector and text
+ * @param {Function} nextByte - Byte stream from createByteStream
+ * @returns {string} Fake value
+ */
+function fakeValue(match, nextByte) {
+    const { text } = match;
+    const digitCount = text.replace(/\D/g, '').length;
+    const randomDigits = count => Array.from({ length: count }, () => String(nextByte() % 10)).join('');
+
+    switch (match.detector) {
+        case 'email': {
+            const local = shuffleCharacters(text.slice(0, text.lastIndexOf('@')), nextByte);
+            return `${local}@example.com`;
+        }
+        case 'phone': {
+            // 555-0100 through 555-0199 are reserved for fictional use
+            const leading = digitCount > 10 ? text.replace(/\D/g, '').slice(0, digitCount - 10) : '';
+            const areaCode = `${2 + (nextByte() % 8)}${randomDigits(2)}`;
+            return fillDigits(text, `${leading}${areaCode}55501${randomDigits(2)}`);
+        }
+        case 'ssn':
+            // Area numbers 900-999 are never issued
+            return fillDigits(text, `9${randomDigits(digitCount - 1)}`);
+        case 'credit-card': {
+            // Keep a Visa-style prefix and a valid checksum so card fields still validate
+            const partial = `4${randomDigits(digitCount - 2)}`;
+            return fillDigits(text, `${partial}${luhnCheckDigit(partial)}`);
+        }
+        default:
+            return shuffleCharacters(text, nextByte);
+    }
+}
+
+/**
+ * Creates a function that turns a match into its replacement text
+ * @param {Object} options - Redaction options
+ * @param {Object} options.replacements - Strategy settings keyed by detector name, plus 'default'
+ * @param {string} options.pseudonymKey - Secret for keyed strategies
+ * @returns {Function} Replacer taking a match with detector and text
+ */
+function createReplacer(options = {}) {
+    const replacements = options.replacements || {};
+    const key = options.pseudonymKey || null;
+    const error = validateReplacements(replacements, key);
+
+    if (error) {
+        throw new Error(error);
+    }
+
+    return match => {
+        const config = normalizeStrategy(replacements[match.detector])
+            || normalizeStrategy(replacements.default)
+            || { strategy: 'redact' };
+        const normalized = match.text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+        switch (config.strategy) {
+            case 'label':
+                return `[${config.label || toLabel(match.detector)}]`;
+            case 'mask':
+                return maskValue(match.text, config.keep ?? 4, config.char || '*');
+            case 'block':
+                return (config.char || '█').repeat([...match.text].length);
+            case 'pseudonym': {
+                const prefix = config.prefix || PSEUDONYM_PREFIXES[match.detector] || toLabel(match.detector);
+                const digest = crypto.createHmac('sha256', key)
+                    .update(`${match.detector}:${normalized}`)
+                    .digest('hex');
+                return `${prefix}_${digest.slice(0, config.length || DEFAULT_PSEUDONYM_LENGTH)}`;
+            }
+            case 'fake':
+                return fakeValue(match, createByteStream(key, `${match.detector}:${normalized}`));
+            default:
+                return '[REDACTED]';
+        }
+    };
+}
+
+module.exports = {
+    REPLACEMENT_STRATEGIES,
+    validateReplacements,
+    getReplacementWarnings,
+    createReplacer
+};
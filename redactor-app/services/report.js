@@ -0,0 +1,137 @@
+/**
+ * Number of characters shown on each side of a match in its context snippet
+ */
+const CONTEXT_RADIUS = 40;
+
+/**
+ * Columns written to the CSV export, in order
+ */
+const CSV_COLUMNS = ['file', 'detector', 'category', 'encoding', 'confidence', 'line', 'column', 'index', 'length', 'text', 'context', 'pattern'];
+
+/**
+ * Builds a lookup of the offset at which each line starts
+ * @param {string} content - File content
+ * @returns {number[]} Start offsets of every line
+ */
+function getLineStarts(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Converts an offset into a 1-based line and column
+ * @param {number[]} lineStarts - Result of getLineStarts
+ * @param {number} index - Offset into the content
+ * @returns {Object} Line and column of the offset
+ */
+function getLineAndColumn(lineStarts, index) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= index) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+}
+
+/**
+ * Extracts a single-line snippet around a match
+ * @param {string} content - File content
+ * @param {Object} match - Match with index and length
+ * @returns {string} Context snippet with whitespace collapsed
+ */
+function getContextSnippet(content, match) {
+    const start = Math.max(0, match.index - CONTEXT_RADIUS);
+    const end = Math.min(content.length, match.index + match.length + CONTEXT_RADIUS);
+    const snippet = content.slice(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Adds location details to the matches found in one file
+ * @param {string} content - File content
+ * @param {Object[]} matches - Matches from identifySensitiveText
+ * @returns {Object} Located matches, per-detector totals and per-category totals
+ */
+function buildFileReport(content, matches) {
+    const lineStarts = getLineStarts(content);
+    const totals = {};
+    const categories = {};
+
+    const located = [...matches]
+        .sort((a, b) => a.index - b.index)
+        .map(match => {
+            totals[match.detector] = (totals[match.detector] || 0) + 1;
+            categories[match.category] = (categories[match.category] || 0) + 1;
+            return {
+                detector: match.detector,
+                category: match.category,
+                encoding: match.encoding || null,
+                confidence: match.confidence,
+                ...getLineAndColumn(lineStarts, match.index),
+                index: match.index,
+                length: match.length,
+                text: match.text,
+                context: getContextSnippet(content, match),
+                pattern: match.pattern
+            };
+        });
+
+    return {
+        matches: located,
+        totals,
+        categories,
+        count: located.length
+    };
+}
+
+/**
+ * Quotes a value for CSV, neutralizing values a spreadsheet would run as formulas
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    let cell = value === null || value === undefined ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Renders a match report as CSV with one row per match
+ * @param {Object} report - Result of processHTMLFilesForReport
+ * @returns {string} CSV document
+ */
+function reportToCsv(report) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    Object.entries(report.files).forEach(([file, fileReport]) => {
+        fileReport.matches.forEach(match => {
+            rows.push(CSV_COLUMNS.map(column => toCsvCell(column === 'file' ? file : match[column])).join(','));
+        });
+    });
+
+    return `${rows.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    getLineStarts,
+    getLineAndColumn,
+    buildFileReport,
+    reportToCsv
+};
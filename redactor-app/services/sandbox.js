@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { MANIFEST_FILE } = require('./manifest');
+
+/**
+ * What to do when the output folder already exists: stop, write to a new
+ * folder with a version suffix, or empty it and write into it
+ */
+const OVERWRITE_POLICIES = ['fail', 'version', 'replace'];
+
+/**
+ * Policy used when none is given
+ */
+const DEFAULT_OVERWRITE_POLICY = 'fail';
+
+/**
+ * Name of the output folder, next to the input folder. {name} is the input
+ * folder's name, {date} and {time} when the run started (UTC) and {profile}
+ * the profile's name
+ */
+const DEFAULT_OUTPUT_NAME = '{name}_redacted';
+
+/**
+ * Highest version suffix tried before giving up on finding a free output folder
+ */
+const MAX_OUTPUT_VERSIONS = 1000;
+
+/**
+ * Splits a list of folders from an environment variable
+ * @param {string|undefined} value - Folders separated by the platform's path delimiter
+ * @returns {string[]|null} Absolute folders, or null when the variable is not set
+ */
+function parseRoots(value) {
+    if (!value) return null;
+    return value.split(path.delimiter).map(root => root.trim()).filter(Boolean).map(root => path.resolve(root));
+}
+
+/**
+ * Reads the folders runs may read from (REDACTOR_INPUT_ROOTS) and write to
+ * (REDACTOR_OUTPUT_ROOTS). Output roots default to the input roots
+ * @param {string[]|null} defaultRoots - Input roots when none are configured; null allows any folder
+ * @returns {Object} Sandbox with its input and output roots, each null when unrestricted
+ */
+function getConfiguredSandbox(defaultRoots = null) {
+    const inputRoots = parseRoots(process.env.REDACTOR_INPUT_ROOTS) || defaultRoots;
+    const outputRoots = parseRoots(process.env.REDACTOR_OUTPUT_ROOTS) || inputRoots;
+    return { inputRoots, outputRoots };
+}
+
+/**
+ * Checks whether a path is a folder or lies inside it
+ * @param {string} target - Absolute path
+ * @param {string} folder - Absolute folder path
+ * @returns {boolean} Whether the path is inside the folder
+ */
+function isInsideFolder(target, folder) {
+    const relative = path.relative(folder, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolves symbolic links in a path that may not exist yet, through its
+ * nearest existing ancestor
+ * @param {string} target - Path
+ * @returns {Promise<string>} Absolute path with every existing link resolved
+ */
+async function resolveRealPath(target) {
+    let existing = path.resolve(target);
+    const missing = [];
+
+    for (;;) {
+        try {
+            return path.join(await fs.realpath(existing), ...missing);
+        } catch (error) {
+            const parent = path.dirname(existing);
+            if (error.code !== 'ENOENT' || parent === existing) throw error;
+            missing.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+/**
+ * Checks that a path lies inside one of the allowed roots once symbolic
+ * links are resolved, so a link cannot lead out of them
+ * @param {string} target - Folder or file path
+ * @param {string[]|null} roots - Allowed roots, or null to allow any path
+ * @param {string} kind - What the path is, for the error message
+ * @returns {Promise<string|null>} Error message, or null when the path is allowed
+ */
+async function checkPathAllowed(target, roots, kind) {
+    if (!roots) return null;
+
+    const realTarget = await resolveRealPath(target);
+    for (const root of roots) {
+        if (isInsideFolder(realTarget, await resolveRealPath(root))) return null;
+    }
+    return `${kind} ${target} is outside the folders this server may access`;
+}
+
+/**
+ * Makes sure writing a file cannot leave the output folder through a
+ * symbolic link, either a linked folder on the way or the file itself
+ * @param {string} outputPath - File about to be written or deleted
+ * @param {string} outputFolder - Output folder it belongs in
+ * @returns {Promise<void>}
+ * @throws {Error} When the path leads out of the output folder
+ */
+async function assertSafeOutputPath(outputPath, outputFolder) {
+    const realFolder = await resolveRealPath(outputFolder);
+    if (!isInsideFolder(await resolveRealPath(path.dirname(outputPath)), realFolder)) {
+        throw new Error(`Output path ${outputPath} leads out of the output folder`);
+    }
+
+    try {
+        const stats = await fs.lstat(outputPath);
+        if (stats.isSymbolicLink()) {
+            throw new Error(`Output path ${outputPath} is a symbolic link`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Builds the output folder of a run from a naming template
+ * @param {string} inputFolder - Input folder path
+ * @param {string|null} template - Output folder name, see DEFAULT_OUTPUT_NAME
+ * @param {Object} context - Values for the template
+ * @param {string|null} context.profile - Name of the run's profile
+ * @param {Date} context.now - When the run started
+ * @returns {Object} Output folder path, or an error message
+ */
+function getOutputFolder(inputFolder, template = null, { profile = null, now = new Date() } = {}) {
+    const timestamp = now.toISOString();
+    const values = {
+        name: path.basename(inputFolder),
+        date: timestamp.slice(0, 10),
+        time: timestamp.slice(11, 19).replace(/:/g, ''),
+        profile: profile || 'custom'
+    };
+
+    const name = (template || DEFAULT_OUTPUT_NAME).replace(/\{(\w+)\}/g, (token, key) => (
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : token
+    ));
+
+    if (/[{}]/.test(name)) {
+        return { error: `Unknown placeholder in output name "${template}". Use {name}, {date}, {time} or {profile}` };
+    }
+    if (/[\\/]/.test(name) || name === '.' || name === '..' || name.trim() === '') {
+        return { error: 'Output name must be a single folder name' };
+    }
+
+    const outputFolder = path.join(path.dirname(inputFolder), name);
+    if (outputFolder === path.resolve(inputFolder)) {
+        return { error: 'Output name must differ from the input folder\'s name' };
+    }
+    return { outputFolder };
+}
+
+/**
+ * Applies an overwrite policy to an output folder. Under 'fail' a folder an
+ * earlier run wrote, recognised by its manifest, is still updated in place,
+ * so incremental redaction keeps working. Under 'replace' the caller empties
+ * a folder that holds anything, see clearOutputFolder
+ * @param {string} outputFolder - Output folder the run would write to
+ * @param {string} policy - One of OVERWRITE_POLICIES
+ * @returns {Promise<Object>} Folder to write to, whether it exists already and
+ *   whether its contents must be replaced; or an error message, saying whether
+ *   the folder exists when that is why
+ */
+async function resolveOverwrite(outputFolder, policy = DEFAULT_OVERWRITE_POLICY) {
+    if (!OVERWRITE_POLICIES.includes(policy)) {
+        return { error: `Unknown overwrite policy "${policy}". Expected one of: ${OVERWRITE_POLICIES.join(', ')}` };
+    }
+
+    let entries;
+    try {
+        entries = await fs.readdir(outputFolder);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { outputFolder, exists: false };
+        if (error.code === 'ENOTDIR') return { error: `Output path ${outputFolder} is not a folder` };
+        throw error;
+    }
+
+    if (entries.length === 0) {
+        return { outputFolder, exists: true };
+    }
+    if (policy === 'replace') {
+        return { outputFolder, exists: true, replace: true };
+    }
+
+    if (policy === 'fail') {
+        return entries.includes(MANIFEST_FILE)
+            ? { outputFolder, exists: true }
+            : {
+                error: `Output folder ${outputFolder} already exists. Choose the version or replace overwrite policy to write anyway`,
+                exists: true
+            };
+    }
+
+    for (let version = 2; version <= MAX_OUTPUT_VERSIONS; version++) {
+        const candidate = `${outputFolder}-${version}`;
+        try {
+            await fs.access(candidate);
+        } catch (error) {
+            if (error.code === 'ENOENT') return { outputFolder: candidate, exists: false };
+            throw error;
+        }
+    }
+    return { error: `No free version of output folder ${outputFolder} below ${MAX_OUTPUT_VERSIONS}` };
+}
+
+/**
+ * Lists the files in an output folder, as the removals of a 'replace' run.
+ * Symbolic links are listed as files, not followed
+ * @param {string} outputFolder - Output folder
+ * @returns {Promise<string[]>} Paths relative to the folder
+ */
+async function listOutputFiles(outputFolder) {
+    const files = [];
+
+    const visit = async relativeFolder => {
+        const entries = await fs.readdir(path.join(outputFolder, relativeFolder), { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = path.join(relativeFolder, entry.name);
+            if (entry.isDirectory()) {
+                await visit(relativePath);
+            } else {
+                files.push(relativePath);
+            }
+        }
+    };
+
+    await visit('');
+    return files;
+}
+
+/**
+ * Empties an output folder for a 'replace' run, so outputs of earlier runs
+ * cannot pass as part of this one. Symbolic links are removed, not followed
+ * @param {string} outputFolder - Output folder
+ * @returns {Promise<void>}
+ */
+async function clearOutputFolder(outputFolder) {
+    for (const entry of await fs.readdir(outputFolder)) {
+        await fs.rm(path.join(outputFolder, entry), { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    OVERWRITE_POLICIES,
+    DEFAULT_OVERWRITE_POLICY,
+    DEFAULT_OUTPUT_NAME,
+    getConfiguredSandbox,
+    isInsideFolder,
+    resolveRealPath,
+    checkPathAllowed,
+    assertSafeOutputPath,
+    getOutputFolder,
+    resolveOverwrite,
+    listOutputFiles,
+    clearOutputFolder
+};
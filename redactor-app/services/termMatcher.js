@@ -0,0 +1,105 @@
+/**
+ * Multiplier that packs a state and a UTF-16 code unit into one transition key
+ */
+const CODE_UNITS = 0x10000;
+
+/**
+ * Builds an Aho-Corasick automaton over literal terms, so any number of terms
+ * is found in a single pass over the text
+ * @param {string[]} terms - Exact strings to find; duplicates and empty strings are ignored
+ * @returns {Object} Matcher with its distinct terms and findAll(text, onHit)
+ */
+function createTermMatcher(terms) {
+    const distinct = [...new Set(terms.filter(term => typeof term === 'string' && term.length > 0))];
+
+    // Transitions of the trie, keyed by state * CODE_UNITS + code unit.
+    // One flat map stays compact for lists of tens of thousands of terms
+    const edges = new Map();
+    const parent = [0];
+    const unit = [0];
+    const depth = [0];
+    const termAt = [-1];
+
+    distinct.forEach((term, termIndex) => {
+        let state = 0;
+        for (let i = 0; i < term.length; i++) {
+            const key = state * CODE_UNITS + term.charCodeAt(i);
+            let next = edges.get(key);
+            if (next === undefined) {
+                next = parent.length;
+                edges.set(key, next);
+                parent.push(state);
+                unit.push(term.charCodeAt(i));
+                depth.push(depth[state] + 1);
+                termAt.push(-1);
+            }
+            state = next;
+        }
+        termAt[state] = termIndex;
+    });
+
+    const stateCount = parent.length;
+    const ends = Int32Array.from(termAt);
+    const fail = new Int32Array(stateCount);
+    // Nearest state on the failure chain that ends a term, 0 when there is none
+    const output = new Int32Array(stateCount);
+
+    // Failure links need every shallower state linked first, so states go level by level
+    const levels = [];
+    depth.forEach((level, state) => {
+        (levels[level] = levels[level] || []).push(state);
+    });
+    levels.slice(2).flat().forEach(state => {
+        const code = unit[state];
+        let candidate = fail[parent[state]];
+        while (candidate !== 0 && !edges.has(candidate * CODE_UNITS + code)) {
+            candidate = fail[candidate];
+        }
+        fail[state] = edges.get(candidate * CODE_UNITS + code) ?? 0;
+        output[state] = termAt[fail[state]] !== -1 ? fail[state] : output[fail[state]];
+    });
+
+    // Most of a text never gets past the first character of a term, so the
+    // root's transitions are a direct lookup table instead of map lookups
+    const rootNext = new Int32Array(CODE_UNITS);
+    edges.forEach((next, key) => {
+        if (key < CODE_UNITS) rootNext[key] = next;
+    });
+
+    return {
+        terms: distinct,
+
+        /**
+         * Reports every occurrence of every term, overlapping ones included
+         * @param {string} text - Text to search
+         * @param {Function} onHit - Called with the start offset and the term index of each occurrence
+         */
+        findAll(text, onHit) {
+            let state = 0;
+
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                for (;;) {
+                    if (state === 0) {
+                        state = rootNext[code];
+                        break;
+                    }
+                    const next = edges.get(state * CODE_UNITS + code);
+                    if (next !== undefined) {
+                        state = next;
+                        break;
+                    }
+                    state = fail[state];
+                }
+
+                for (let found = ends[state] !== -1 ? state : output[state]; found !== 0; found = output[found]) {
+                    onHit(i + 1 - depth[found], ends[found]);
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    createTermMatcher
+};
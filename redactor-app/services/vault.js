@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Extension appended to a redacted file's name for its vault sidecar
+ */
+const VAULT_EXTENSION = '.vault';
+
+/**
+ * Shortest passphrase accepted for a vault
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Key derivation settings stored with every vault so they can change later
+ */
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Derives the encryption key for a vault from its passphrase
+ * @param {string} passphrase - Vault passphrase
+ * @param {Buffer} salt - Random salt stored with the vault
+ * @param {Object} params - scrypt cost parameters
+ * @returns {Promise<Buffer>} 256-bit key
+ */
+function deriveKey(passphrase, salt, params) {
+    return scrypt(passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+/**
+ * Encrypts redaction tokens into a vault that maps each replacement to its original value
+ * @param {Object[]} tokens - Tokens from redactSensitiveContentWithTokens
+ * @param {string} passphrase - Passphrase that protects the vault
+ * @param {Object} metadata - Unencrypted details such as the source file name
+ * @returns {Promise<Object>} Serializable vault
+ */
+async function createVault(tokens, passphrase, metadata = {}) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt, KDF_PARAMS);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ tokens }), 'utf8'), cipher.final()]);
+
+    return {
+        version: 1,
+        ...metadata,
+        createdAt: new Date().toISOString(),
+        tokenCount: tokens.length,
+        algorithm: 'aes-256-gcm',
+        kdf: { name: 'scrypt', ...KDF_PARAMS, salt: salt.toString('base64') },
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypts the tokens held in a vault
+ * @param {Object} vault - Vault created by createVault
+ * @param {string} passphrase - Passphrase the vault was created with
+ * @returns {Promise<Object[]>} Decrypted tokens
+ */
+async function openVault(vault, passphrase) {
+    if (!vault || vault.version !== 1 || vault.algorithm !== 'aes-256-gcm') {
+        throw new Error('Unsupported vault format');
+    }
+
+    const { N, r, p, salt } = vault.kdf;
+    const key = await deriveKey(passphrase || '', Buffer.from(salt, 'base64'), { N, r, p });
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8')).tokens;
+    } catch (error) {
+        throw new Error('Invalid passphrase or corrupted vault');
+    }
+}
+
+/**
+ * Puts original values back into redacted content
+ * @param {string} content - Redacted content
+ * @param {Object[]} tokens - Decrypted vault tokens
+ * @param {string[]|null} tokenIds - Restore only these tokens; all when null
+ * @returns {Object} Restored content, the restored token IDs, and IDs that could not be restored
+ */
+function restoreContent(content, tokens, tokenIds = null) {
+    const selected = tokenIds ? new Set(tokenIds) : null;
+    // Tokens for re-encoded payloads stand for several matches
+    const idsOf = token => token.ids || [token.id];
+    const known = new Set(tokens.flatMap(idsOf));
+    const restored = [];
+    const conflicts = [];
+    let result = content;
+
+    // Working backwards keeps the recorded positions of earlier tokens valid
+    [...tokens]
+        .filter(token => !selected || idsOf(token).some(id => selected.has(id)))
+        .sort((a, b) => b.start - a.start)
+        .forEach(token => {
+            const end = token.start + token.replacement.length;
+            if (result.slice(token.start, end) !== token.replacement) {
+                // The redacted file was edited after it was written
+                conflicts.push(token.id);
+                return;
+            }
+            result = result.slice(0, token.start) + token.original + result.slice(end);
+            restored.push(token.id);
+        });
+
+    return {
+        content: result,
+        restored: restored.reverse(),
+        conflicts: conflicts.reverse(),
+        unknown: selected ? [...selected].filter(id => !known.has(id)) : []
+    };
+}
+
+/**
+ * Rebuilds an original file from its redacted copy and vault sidecar
+ * @param {string} redactedPath - Path to the redacted file
+ * @param {string} passphrase - Vault passphrase
+ * @param {Object} options - Restore options
+ * @param {string} options.vaultPath - Vault location, defaults to the redacted file's sidecar
+ * @param {string[]|null} options.tokens - Restore only these token IDs
+ * @param {string|null} options.outputPath - Write the restored file here instead of returning it;
+ *   an existing file is never overwritten
+ * @returns {Promise<Object>} Restore result with the content or output path
+ * @throws {Error} With code EEXIST when the output file already exists
+ */
+async function restoreRedactedFile(redactedPath, passphrase, options = {}) {
+    const vaultPath = options.vaultPath || `${redactedPath}${VAULT_EXTENSION}`;
+    const [content, vaultData] = await Promise.all([
+        fs.readFile(redactedPath, 'utf8'),
+        fs.readFile(vaultPath, 'utf8')
+    ]);
+
+    const tokens = await openVault(JSON.parse(vaultData), passphrase);
+    const result = restoreContent(content, tokens, options.tokens || null);
+
+    if (options.outputPath) {
+        const { content: restoredContent, ...summary } = result;
+        // Same as the 'fail' overwrite policy of a run: nothing is written over
+        await fs.writeFile(options.outputPath, restoredContent, { encoding: 'utf8', flag: 'wx' });
+        return { ...summary, outputPath: options.outputPath };
+    }
+
+    return result;
+}
+
+module.exports = {
+    VAULT_EXTENSION,
+    MIN_PASSPHRASE_LENGTH,
+    createVault,
+    openVault,
+    restoreContent,
+    restoreRedactedFile
+};
@@ -0,0 +1,208 @@
+const { identifySensitiveText } = require('./redaction');
+const { listDetectors } = require('./detectors');
+const { getLineStarts, getLineAndColumn } = require('./report');
+
+/**
+ * Fewest letters and digits a piece of a sensitive value needs to count as a fragment
+ */
+const MIN_FRAGMENT_LENGTH = 4;
+
+/**
+ * Number of characters read on each side of a replacement when looking for fragments
+ */
+const FRAGMENT_WINDOW = 24;
+
+/**
+ * Keeps only the letters and digits of a value, lower-cased, so pieces of it
+ * are compared without their separators
+ * @param {string} text - Value
+ * @returns {string} Normalized value
+ */
+function normalizeValue(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Options for the verification scans: every registered detector, whatever
+ * packs and detectors the run chose, over the whole file, so comments, titles
+ * and attributes a DOM-mode run skips are checked too. The run's allowlist
+ * still applies. Element rules replace whole elements and are left out
+ * @param {Object} options - Redaction options of the run
+ * @returns {Object} Scan options
+ */
+function getVerificationOptions(options) {
+    const { approvedMatchIds, elementRules, ...scanOptions } = options;
+    const detectors = listDetectors().map(detector => detector.name);
+    return { ...scanOptions, mode: 'source', detectors };
+}
+
+/**
+ * Checks whether a match lies inside a replacement, found by binary search
+ * @param {Object[]} spans - Output ranges of the replacements, sorted and non-overlapping
+ * @param {Object} match - Match with index and length
+ * @returns {boolean} Whether the match lies inside one replacement
+ */
+function isInsideReplacement(spans, match) {
+    let low = 0;
+    let high = spans.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (spans[mid].end <= match.index) {
+            low = mid + 1;
+        } else if (spans[mid].start > match.index) {
+            high = mid - 1;
+        } else {
+            return match.index + match.length <= spans[mid].end;
+        }
+    }
+    return false;
+}
+
+/**
+ * Reads the longest piece of a sensitive value from the words beside a
+ * replacement. A word glued to the replacement may be any part of the value;
+ * words after a space only count when they are digits, like card number groups
+ * @param {Object[]} words - Words with their offset, nearest to the replacement first
+ * @param {boolean} glued - Whether the nearest word touches the replacement
+ * @param {Function} join - Joins the words read so far in reading order
+ * @param {Map} values - Detector of each normalized sensitive value
+ * @returns {Object|null} The words forming the piece and the value's detector
+ */
+function readFragment(words, glued, join, values) {
+    let best = null;
+
+    for (let count = 1; count <= words.length; count++) {
+        const word = words[count - 1];
+        if ((count > 1 || !glued) && !/^\d+$/.test(normalizeValue(word.text))) break;
+
+        const piece = normalizeValue(join(words.slice(0, count)));
+        const value = [...values.keys()].find(candidate => candidate.includes(piece));
+        if (!value) break;
+        if (piece.length >= MIN_FRAGMENT_LENGTH) {
+            best = { words: words.slice(0, count), detector: values.get(value) };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Lists the words of a stretch of output, stopping at markup and line breaks
+ * @param {string} text - Output text
+ * @param {number} offset - Offset of the text in the output
+ * @returns {Object[]} Words with their offset in the output
+ */
+function splitWords(text, offset) {
+    return [...text.matchAll(/\S+/g)].map(word => ({ text: word[0], index: offset + word.index }));
+}
+
+/**
+ * Looks for pieces of sensitive values left right beside each replacement,
+ * such as the last digits of a card number one pattern only partly covered
+ * @param {string} output - Redacted content
+ * @param {Object[]} spans - Output ranges of the replacements, sorted
+ * @param {Map} values - Detector of each normalized sensitive value
+ * @returns {Object[]} Fragments with their offset, text and detector
+ */
+function findFragments(output, spans, values) {
+    const fragments = [];
+    if (values.size === 0) return fragments;
+
+    spans.forEach((span, i) => {
+        const afterEnd = Math.min(span.end + FRAGMENT_WINDOW, i + 1 < spans.length ? spans[i + 1].start : output.length);
+        const after = output.slice(span.end, afterEnd).split(/[<>"'\r\n]/)[0];
+        const beforeStart = Math.max(span.start - FRAGMENT_WINDOW, i > 0 ? spans[i - 1].end : 0);
+        const beforeParts = output.slice(beforeStart, span.start).split(/[<>"'\r\n]/);
+        const before = beforeParts[beforeParts.length - 1];
+
+        const sides = [
+            {
+                words: splitWords(after, span.end),
+                glued: /^\S/.test(after),
+                join: words => words.map(word => word.text).join(' ')
+            },
+            {
+                words: splitWords(before, span.start - before.length).reverse(),
+                glued: /\S$/.test(before),
+                join: words => words.map(word => word.text).reverse().join(' ')
+            }
+        ];
+
+        sides.forEach(({ words, glued, join }) => {
+            const fragment = readFragment(words, glued, join, values);
+            if (fragment) {
+                fragments.push({
+                    index: Math.min(...fragment.words.map(word => word.index)),
+                    text: join(fragment.words),
+                    detector: fragment.detector
+                });
+            }
+        });
+    });
+
+    return fragments;
+}
+
+/**
+ * Checks a redacted file for sensitive content that slipped through. The output
+ * is scanned again with every registered detector and compared with what the
+ * run found in the original: values the run redacted elsewhere, values no rule
+ * of the run caught and pieces of values left beside a replacement all fail
+ * the file. Replacements themselves, allowlisted values and matches a review
+ * chose to keep are not findings
+ * @param {string} content - Original content
+ * @param {string} redactedContent - Redacted content
+ * @param {Object[]} tokens - Replacement tokens from redactSensitiveContentWithTokens
+ * @param {string|string[]|null} patterns - Custom regex patterns of the run
+ * @param {string|string[]|null} customText - Exact text of the run
+ * @param {Object} options - Redaction options of the file, with its approved match IDs
+ * @returns {Object} 'passed' or 'failed', and the findings with their kind
+ *   ('residual', 'missed' or 'fragment'), detector, line and column in the output and text
+ */
+function verifyRedaction(content, redactedContent, tokens, patterns = null, customText = null, options = {}) {
+    const approved = options.approvedMatchIds ? new Set(options.approvedMatchIds) : null;
+    const isDetectorMatch = match => match.location !== 'element';
+
+    // The pre-redaction inventory: what the run found, and what a review kept
+    const inventory = identifySensitiveText(content, patterns, customText, options).matches.filter(isDetectorMatch);
+    const kept = new Set(inventory.filter(match => approved && !approved.has(match.id)).map(match => match.text));
+    const redactedValues = new Set(inventory.map(match => match.text).filter(text => !kept.has(text)));
+
+    const verificationOptions = getVerificationOptions(options);
+    const spans = tokens
+        .map(token => ({ start: token.start, end: token.start + token.replacement.length }))
+        .sort((a, b) => a.start - b.start);
+    const lineStarts = getLineStarts(redactedContent);
+    const findings = [];
+    const addFinding = (kind, detector, index, text) => {
+        findings.push({ kind, detector, ...getLineAndColumn(lineStarts, index), text });
+    };
+
+    identifySensitiveText(redactedContent, patterns, customText, verificationOptions).matches
+        .filter(match => isDetectorMatch(match) && !kept.has(match.text) && !isInsideReplacement(spans, match))
+        .forEach(match => {
+            addFinding(redactedValues.has(match.text) ? 'residual' : 'missed', match.detector, match.index, match.text);
+        });
+
+    const sensitiveValues = new Map();
+    identifySensitiveText(content, patterns, customText, verificationOptions).matches
+        .filter(match => isDetectorMatch(match) && !kept.has(match.text))
+        .forEach(match => {
+            const value = normalizeValue(match.text);
+            if (value.length > MIN_FRAGMENT_LENGTH) sensitiveValues.set(value, match.detector);
+        });
+    findFragments(redactedContent, spans, sensitiveValues).forEach(fragment => {
+        addFinding('fragment', fragment.detector, fragment.index, fragment.text);
+    });
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    return {
+        status: findings.length > 0 ? 'failed' : 'passed',
+        findings
+    };
+}
+
+module.exports = {
+    verifyRedaction
+};
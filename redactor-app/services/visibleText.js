@@ -0,0 +1,224 @@
+const { parseHTMLDocument } = require('./htmlDocument');
+const { splitCharacterReferences } = require('./decoding');
+
+/**
+ * Elements that flow inside a line of text, so a phrase split across them
+ * still reads as one phrase. Any other element starts a new block
+ */
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'big', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins', 'kbd',
+    'label', 'mark', 'nobr', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u',
+    'var', 'wbr'
+]);
+
+/**
+ * Elements whose text is never shown
+ */
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'template']);
+
+/**
+ * Characters that take no room on the page: soft hyphens, zero-width spaces
+ * and joiners, and combining marks, which are left out like other diacritics
+ */
+const INVISIBLE_CHARACTER = /[\u00ad\u200b-\u200d\u2060\ufeff]|\p{M}/u;
+
+/**
+ * Folds one UTF-16 code unit for comparison: lower case, without diacritics.
+ * Characters whose folded form has another length are kept as they are, so
+ * folded text lines up with the text it came from
+ * @param {string} char - One code unit
+ * @returns {string} Folded code unit
+ */
+function foldCharacter(char) {
+    const folded = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    if (folded.length === 1) return folded;
+
+    const lower = char.toLowerCase();
+    return lower.length === 1 ? lower : char;
+}
+
+/**
+ * Folds text the way visible text views are folded, so terms can be found in them
+ * @param {string} text - Text such as a custom text term
+ * @returns {string} Text in lower case, without diacritics or invisible characters
+ *   and with each run of whitespace as one space
+ */
+function foldText(text) {
+    return [...text.normalize('NFD').replace(new RegExp(INVISIBLE_CHARACTER.source, 'gu'), '')
+        .replace(/\s+/g, ' ')
+        .trim()]
+        .map(char => [...char].map(foldCharacter).join(''))
+        .join('');
+}
+
+/**
+ * Starts collecting the visible characters of one block
+ * @returns {Object} Empty block
+ */
+function createBlock() {
+    return { text: '', folded: '', starts: [], ends: [], pieces: [], ranges: [] };
+}
+
+/**
+ * Adds one visible character to a block
+ * @param {Object} block - Block from createBlock
+ * @param {string} char - Character as shown
+ * @param {number} start - Start of its source
+ * @param {number} end - End of its source
+ * @param {number} piece - Index of the text range it came from, -1 for separators
+ */
+function appendCharacter(block, char, start, end, piece) {
+    block.text += char;
+    block.folded += char === ' ' ? ' ' : foldCharacter(char);
+    block.starts.push(start);
+    block.ends.push(end);
+    block.pieces.push(piece);
+}
+
+/**
+ * Adds a space to a block unless it already ends with one
+ * @param {Object} block - Block from createBlock
+ * @param {number} start - Start of its source
+ * @param {number} end - End of its source
+ * @param {number} piece - Index of the text range it came from, -1 for separators
+ */
+function appendSpace(block, start, end, piece) {
+    if (block.text !== '' && !block.text.endsWith(' ')) {
+        appendCharacter(block, ' ', start, end, piece);
+    }
+}
+
+/**
+ * Adds the text of one scan range to a block
+ * @param {Object} block - Block from createBlock
+ * @param {string} content - The file content
+ * @param {Object} range - Scan range the text may be rewritten in
+ * @param {boolean} decodeReferences - Whether the text holds HTML character references
+ */
+function appendText(block, content, range, decodeReferences) {
+    const piece = block.ranges.push(range) - 1;
+    const raw = content.slice(range.start, range.end);
+    const segments = decodeReferences
+        ? splitCharacterReferences(raw, range.start)
+        : [{ text: raw, start: range.start, end: range.end, encoded: false }];
+
+    segments.forEach(segment => {
+        for (let i = 0; i < segment.text.length; i++) {
+            const char = segment.text[i];
+            // Characters decoded from one reference all point at that reference
+            const start = segment.encoded ? segment.start : segment.start + i;
+            const end = segment.encoded ? segment.end : start + 1;
+
+            if (/\s/.test(char)) {
+                appendSpace(block, start, end, piece);
+            } else if (!INVISIBLE_CHARACTER.test(char)) {
+                appendCharacter(block, char, start, end, piece);
+            }
+        }
+    });
+}
+
+/**
+ * Turns a block into a view that detection can scan
+ * @param {Object} block - Block from createBlock
+ * @returns {Object} View with the visible text, the folded text and mapFragments,
+ *   which turns a span of the text into the source ranges to rewrite
+ */
+function createView(block) {
+    return {
+        text: block.text,
+        folded: block.folded,
+        // Spaces are left out, so a phrase's fragments hold only its words
+        // and the tags and spaces between them stay as they are
+        mapFragments: (from, to) => {
+            const fragments = [];
+            for (let i = from; i < to; i++) {
+                const piece = block.pieces[i];
+                if (piece === -1 || block.text[i] === ' ') continue;
+
+                const last = fragments[fragments.length - 1];
+                if (last && last.piece === piece) {
+                    last.end = block.ends[i];
+                } else {
+                    fragments.push({ piece, start: block.starts[i], end: block.ends[i], range: block.ranges[piece] });
+                }
+            }
+            return fragments.map(({ piece, ...fragment }) => fragment);
+        }
+    };
+}
+
+/**
+ * Collects the blocks of visible text of an HTML document. Inline elements,
+ * comments and line breaks do not end a block; every other element does
+ * @param {string} content - The HTML source
+ * @param {Object[]} ranges - Scan ranges of the run; in DOM mode only text
+ *   nodes that are scan ranges are read
+ * @returns {Object[]} Blocks with visible text
+ */
+function collectHtmlBlocks(content, ranges) {
+    const wholeSource = ranges.some(range => range.kind === 'source');
+    const textRanges = new Map(ranges.filter(range => range.kind === 'text').map(range => [range.start, range]));
+    const blocks = [];
+    let block = createBlock();
+
+    const endBlock = () => {
+        if (block.text.trim()) blocks.push(block);
+        block = createBlock();
+    };
+
+    function visit(node) {
+        const location = node.sourceCodeLocation;
+
+        if (node.type === 'text') {
+            if (!location) return;
+            // In source mode the text is rewritten as element content, so it is escaped as such
+            const range = wholeSource
+                ? { start: location.startOffset, end: location.endOffset, kind: 'text' }
+                : textRanges.get(location.startOffset);
+            if (range) appendText(block, content, range, true);
+            return;
+        }
+        if (node.type === 'comment' || node.type === 'directive' || HIDDEN_ELEMENTS.has(node.name)) {
+            return;
+        }
+        if (node.name === 'br') {
+            appendSpace(block, -1, -1, -1);
+            return;
+        }
+
+        const inline = !node.name || INLINE_ELEMENTS.has(node.name);
+        if (!inline) endBlock();
+        (node.children || []).forEach(visit);
+        if (!inline) endBlock();
+    }
+
+    visit(parseHTMLDocument(content));
+    endBlock();
+    return blocks;
+}
+
+/**
+ * Builds views over the visible text of a file: one per block of an HTML
+ * document, and one per scan range of other formats
+ * @param {string} content - The file content
+ * @param {Object[]} ranges - Scan ranges of the run
+ * @param {Object} format - Format handler of the file
+ * @returns {Object[]} Views with text, folded text and mapFragments
+ */
+function createVisibleTextViews(content, ranges, format) {
+    const blocks = format.markup
+        ? collectHtmlBlocks(content, ranges)
+        : ranges.map(range => {
+            const block = createBlock();
+            appendText(block, content, range, false);
+            return block;
+        });
+
+    return blocks.map(createView);
+}
+
+module.exports = {
+    foldText,
+    createVisibleTextViews
+};
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const chokidar = require('chokidar');
+const { processHTMLFilesForRedaction, redactSelectedFiles } = require('./fileProcessor');
+const { isCandidateFile } = require('./formats');
+
+/**
+ * How long a file must go without new write events before it is redacted
+ */
+const WATCH_DEBOUNCE_MS = Number(process.env.REDACTOR_WATCH_DEBOUNCE_MS || 1000);
+
+/**
+ * Time between the two size checks that decide whether a file is still being written
+ */
+const STABILITY_CHECK_MS = 500;
+
+/**
+ * How often a file that is still being written or is locked is tried before giving up
+ */
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Longest wait between two attempts at the same file
+ */
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Number of events each watcher keeps in its log
+ */
+const EVENT_LOG_SIZE = 200;
+
+/**
+ * How long a stopped watcher and its event log stay available
+ */
+const STOPPED_WATCHER_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Error codes of files another program holds open or has locked
+ */
+const LOCKED_CODES = new Set(['EBUSY', 'EPERM', 'EACCES', 'EAGAIN']);
+
+/**
+ * Watchers by ID. Like jobs they live in memory only, so a restart stops them
+ */
+const watchers = new Map();
+
+/**
+ * Gives the public view of a watcher
+ * @param {Object} watcher - Watcher
+ * @param {Object} options - View options
+ * @param {boolean} options.includeEvents - Whether to include the event log
+ * @returns {Object} Watcher ID, folders, profile, status, counts and timestamps
+ */
+function describeWatcher(watcher, { includeEvents = false } = {}) {
+    return {
+        id: watcher.id,
+        inputFolder: watcher.inputFolder,
+        outputFolder: watcher.outputFolder,
+        profile: watcher.options.profile || null,
+        status: watcher.status,
+        counts: { ...watcher.counts },
+        pending: watcher.pending.size + watcher.ready.size,
+        startedAt: watcher.startedAt,
+        stoppedAt: watcher.stoppedAt,
+        ...(includeEvents ? { events: [...watcher.events] } : {})
+    };
+}
+
+/**
+ * Adds an entry to a watcher's event log and the server log
+ * @param {Object} watcher - Watcher
+ * @param {string} type - Event type, such as 'modified', 'redacted', 'retry' or 'failed'
+ * @param {string|null} file - File the event is about, relative to the input folder
+ * @param {string|null} message - Details
+ */
+function logEvent(watcher, type, file = null, message = null) {
+    const event = { time: new Date().toISOString(), type, file, message };
+    watcher.events.push(event);
+    if (watcher.events.length > EVENT_LOG_SIZE) {
+        watcher.events.shift();
+    }
+
+    console.log(`Watcher ${watcher.id.slice(0, 8)} ${type}${file ? ` ${file}` : ''}${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Logs the redacted files whose output still holds sensitive content
+ * @param {Object} watcher - Watcher
+ * @param {Object} result - Result of a redaction run
+ */
+function logVerification(watcher, result) {
+    Object.entries(result.verification.files).forEach(([file, verification]) => {
+        if (verification.status !== 'failed') return;
+        logEvent(watcher, 'unverified', file, `${verification.findings.length} sensitive values left in the output`);
+        watcher.counts.unverified++;
+    });
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks whether a file has finished being written. A file is ready when it
+ * can be opened and its size and modification time hold still between two checks
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} Whether the file is ready, whether it is gone,
+ *   and why it is not ready otherwise
+ */
+async function checkFileReady(filePath) {
+    try {
+        const before = await fs.stat(filePath);
+        await delay(STABILITY_CHECK_MS);
+
+        // Opening fails while a writer holds the file exclusively, as on Windows
+        const handle = await fs.open(filePath, 'r');
+        const after = await handle.stat();
+        await handle.close();
+
+        if (before.size !== after.size || before.mtimeMs !== after.mtimeMs) {
+            return { ready: false, reason: 'still being written' };
+        }
+        // Writers usually create the file before writing anything into it
+        if (after.size === 0) {
+            return { ready: false, reason: 'file is empty' };
+        }
+        return { ready: true };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { ready: true, removed: true };
+        }
+        if (LOCKED_CODES.has(error.code)) {
+            return { ready: false, reason: `file is locked (${error.code})` };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Passes the result of a redaction to the watcher's onRun hook
+ * @param {Object} watcher - Watcher
+ * @param {Object} result - Result of the redaction
+ */
+function notifyRun(watcher, result) {
+    if (!watcher.onRun) return;
+
+    Promise.resolve()
+        .then(() => watcher.onRun(result))
+        .catch(error => logEvent(watcher, 'error', null, `Could not record the run: ${error.message}`));
+}
+
+/**
+ * Redacts the files that are ready, one batch at a time. Files that become
+ * ready during a batch wait for the next one
+ * @param {Object} watcher - Watcher
+ */
+function flushReady(watcher) {
+    if (watcher.running || watcher.ready.size === 0 || watcher.status !== 'watching') return;
+
+    const relativePaths = [...watcher.ready];
+    watcher.ready.clear();
+    watcher.running = redactSelectedFiles(
+        watcher.inputFolder,
+        watcher.outputFolder,
+        relativePaths,
+        watcher.patterns,
+        watcher.customText,
+        watcher.options,
+        watcher.execution
+    )
+        .then(result => {
+            notifyRun(watcher, result);
+            if (!result.success) {
+                relativePaths.forEach(file => logEvent(watcher, 'failed', file, result.error));
+                watcher.counts.failed += relativePaths.length;
+                return;
+            }
+
+            result.added.forEach(file => logEvent(watcher, 'redacted', file, 'new file'));
+            result.changed.forEach(file => logEvent(watcher, 'redacted', file, 'modified file'));
+            logVerification(watcher, result);
+            result.skipped.forEach(file => logEvent(watcher, 'unchanged', file));
+            result.deleted.forEach(file => logEvent(watcher, 'deleted', file, 'output removed'));
+            result.ignored.forEach(file => logEvent(watcher, 'ignored', file));
+            Object.entries(result.errors || {}).forEach(([filePath, error]) => {
+                logEvent(watcher, 'failed', path.relative(watcher.inputFolder, filePath), error);
+            });
+
+            watcher.counts.redacted += result.added.length + result.changed.length;
+            watcher.counts.unchanged += result.skipped.length;
+            watcher.counts.deleted += result.deleted.length;
+            watcher.counts.failed += Object.keys(result.errors || {}).length;
+        })
+        .catch(error => {
+            relativePaths.forEach(file => logEvent(watcher, 'failed', file, error.message));
+            watcher.counts.failed += relativePaths.length;
+        })
+        .finally(() => {
+            watcher.running = null;
+            flushReady(watcher);
+        });
+}
+
+/**
+ * Checks a file once its write events have settled, and queues it for
+ * redaction when it is ready or tries again later when it is not
+ * @param {Object} watcher - Watcher
+ * @param {string} relativePath - File relative to the input folder
+ */
+async function settleFile(watcher, relativePath) {
+    const entry = watcher.pending.get(relativePath);
+    entry.timer = null;
+    entry.attempts++;
+
+    let check;
+    try {
+        check = await checkFileReady(path.join(watcher.inputFolder, relativePath));
+    } catch (error) {
+        check = { ready: false, reason: error.message };
+    }
+
+    // A write event that arrived during the check has already rescheduled the file
+    if (watcher.status !== 'watching' || entry.timer || watcher.pending.get(relativePath) !== entry) return;
+
+    if (check.ready) {
+        watcher.pending.delete(relativePath);
+        watcher.ready.add(relativePath);
+        flushReady(watcher);
+        return;
+    }
+
+    if (entry.attempts >= MAX_ATTEMPTS) {
+        watcher.pending.delete(relativePath);
+        watcher.counts.failed++;
+        logEvent(watcher, 'failed', relativePath, `Not redacted after ${entry.attempts} attempts: ${check.reason}`);
+        return;
+    }
+
+    const retryDelay = Math.min(WATCH_DEBOUNCE_MS * 2 ** entry.attempts, MAX_RETRY_DELAY_MS);
+    logEvent(watcher, 'retry', relativePath, `${check.reason}, trying again in ${(retryDelay / 1000).toFixed(1)}s`);
+    entry.timer = setTimeout(() => settleFile(watcher, relativePath), retryDelay);
+}
+
+/**
+ * Handles a file system event, restarting the file's debounce timer
+ * @param {Object} watcher - Watcher
+ * @param {string} event - 'add', 'change' or 'unlink'
+ * @param {string} filePath - Absolute path of the file
+ */
+function handleFileEvent(watcher, event, filePath) {
+    const relativePath = path.relative(watcher.inputFolder, filePath);
+    if (!isCandidateFile(path.basename(filePath))) return;
+
+    const type = { add: 'added', change: 'modified', unlink: 'removed' }[event];
+    logEvent(watcher, type, relativePath);
+
+    const entry = watcher.pending.get(relativePath) || { timer: null, attempts: 0 };
+    if (entry.timer) clearTimeout(entry.timer);
+    // New writes mean the file is making progress, so it gets its full number of attempts again
+    entry.attempts = 0;
+    entry.timer = setTimeout(() => settleFile(watcher, relativePath), WATCH_DEBOUNCE_MS);
+    watcher.pending.set(relativePath, entry);
+}
+
+/**
+ * Starts watching an input folder, redacting files into the output folder as
+ * they are added or modified. Existing files are brought up to date first,
+ * skipping the ones the output folder's manifest shows are unchanged
+ * @param {string} inputFolder - Folder to watch, recursively
+ * @param {string} outputFolder - Folder the redacted files are written to
+ * @param {string|Array|null} patterns - Regex patterns of the profile
+ * @param {string|string[]|null} customText - Exact text of the profile
+ * @param {Object} options - Redaction options of the profile, fixed for the life of the watcher
+ * @param {Object} execution - Optional worker settings, as for runFileTasks
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onRun - Receives the result of every redaction the
+ *   watcher runs, the first full one included
+ * @returns {Object} Public view of the new watcher, or an error message with a status
+ */
+function startWatcher(inputFolder, outputFolder, patterns, customText, options, execution = {}, hooks = {}) {
+    const existing = [...watchers.values()].find(watcher => (
+        watcher.inputFolder === inputFolder && watcher.status !== 'stopped'
+    ));
+    if (existing) {
+        return { error: `${inputFolder} is already being watched`, status: 409 };
+    }
+
+    const watcher = {
+        id: crypto.randomUUID(),
+        inputFolder,
+        outputFolder,
+        patterns,
+        customText,
+        options,
+        execution,
+        onRun: hooks.onRun || null,
+        status: 'starting',
+        counts: { redacted: 0, unchanged: 0, deleted: 0, failed: 0, unverified: 0 },
+        pending: new Map(),
+        ready: new Set(),
+        running: null,
+        events: [],
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        fsWatcher: null
+    };
+    watchers.set(watcher.id, watcher);
+
+    const outputPrefix = `${path.resolve(outputFolder)}${path.sep}`;
+    watcher.fsWatcher = chokidar.watch(inputFolder, {
+        ignoreInitial: true,
+        // An output folder inside the input folder must not trigger its own redaction
+        ignored: target => `${path.resolve(target)}${path.sep}`.startsWith(outputPrefix)
+    });
+
+    ['add', 'change', 'unlink'].forEach(event => {
+        watcher.fsWatcher.on(event, filePath => handleFileEvent(watcher, event, filePath));
+    });
+    watcher.fsWatcher.on('error', error => logEvent(watcher, 'error', null, error.message));
+
+    watcher.fsWatcher.on('ready', () => {
+        if (watcher.status !== 'starting') return;
+        logEvent(watcher, 'started', null, `Watching ${inputFolder}`);
+
+        // Runs as the first batch, so events during it wait until it finishes
+        watcher.running = processHTMLFilesForRedaction(inputFolder, outputFolder, patterns, customText, options, execution)
+            .then(result => {
+                notifyRun(watcher, result);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                watcher.counts.redacted += result.fileCount;
+                watcher.counts.unchanged += result.skipped.length;
+                watcher.counts.deleted += result.deleted.length;
+                logEvent(watcher, 'synced', null,
+                    `${result.fileCount} redacted, ${result.skipped.length} unchanged, ${result.deleted.length} deleted`);
+                logVerification(watcher, result);
+            })
+            .catch(error => logEvent(watcher, 'error', null, `Initial redaction failed: ${error.message}`))
+            .finally(() => {
+                watcher.running = null;
+                flushReady(watcher);
+            });
+        watcher.status = 'watching';
+    });
+
+    return describeWatcher(watcher);
+}
+
+/**
+ * Looks up a watcher
+ * @param {string} id - Watcher ID
+ * @param {Object} options - View options, as for describeWatcher
+ * @returns {Object|null} Public view of the watcher, or null when it is unknown
+ */
+function getWatcher(id, options = {}) {
+    const watcher = watchers.get(id);
+    return watcher ? describeWatcher(watcher, options) : null;
+}
+
+/**
+ * Lists all watchers, stopped ones included
+ * @returns {Object[]} Public views of the watchers
+ */
+function listWatchers() {
+    return [...watchers.values()].map(watcher => describeWatcher(watcher));
+}
+
+/**
+ * Stops a watcher. Files waiting to settle are dropped; a batch being
+ * redacted finishes first
+ * @param {string} id - Watcher ID
+ * @returns {Promise<Object|null>} Public view of the watcher, or null when it is unknown
+ */
+async function stopWatcher(id) {
+    const watcher = watchers.get(id);
+    if (!watcher) return null;
+
+    if (watcher.status !== 'stopped') {
+        watcher.status = 'stopped';
+        watcher.pending.forEach(entry => clearTimeout(entry.timer));
+        watcher.pending.clear();
+        watcher.ready.clear();
+        await watcher.fsWatcher.close();
+        if (watcher.running) {
+            await watcher.running;
+        }
+        watcher.stoppedAt = new Date().toISOString();
+        logEvent(watcher, 'stopped');
+
+        setTimeout(() => watchers.delete(watcher.id), STOPPED_WATCHER_TTL_MS).unref();
+    }
+
+    return describeWatcher(watcher, { includeEvents: true });
+}
+
+module.exports = {
+    startWatcher,
+    getWatcher,
+    listWatchers,
+    stopWatcher
+};
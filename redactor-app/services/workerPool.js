@@ -0,0 +1,128 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Script every pool worker runs
+ */
+const WORKER_SCRIPT = path.join(__dirname, 'fileWorker.js');
+
+/**
+ * Workers started by default: one per spare core, configurable for busy hosts
+ */
+const DEFAULT_POOL_SIZE = Number(process.env.REDACTOR_WORKERS)
+    || Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1);
+
+/**
+ * Creates a pool of worker threads that run file tasks. Workers start on
+ * first use and a worker that crashes fails its task and is replaced.
+ * @param {number} size - Number of worker threads
+ * @returns {Object} Pool with its size, run(task) and close()
+ */
+function createWorkerPool(size = DEFAULT_POOL_SIZE) {
+    const idle = [];
+    const queue = [];
+    const pending = new Map();
+    let workerCount = 0;
+    let nextTaskId = 1;
+    let closed = false;
+
+    function startWorker() {
+        const worker = new Worker(WORKER_SCRIPT);
+        workerCount++;
+
+        worker.on('message', ({ id, result, error }) => {
+            const task = pending.get(id);
+            pending.delete(id);
+            worker.currentTask = null;
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+            release(worker);
+        });
+
+        const failCurrentTask = error => {
+            const task = worker.currentTask && pending.get(worker.currentTask);
+            if (task) {
+                pending.delete(worker.currentTask);
+                task.reject(error);
+            }
+            worker.currentTask = null;
+        };
+
+        worker.on('error', failCurrentTask);
+
+        worker.on('exit', code => {
+            failCurrentTask(new Error(`Worker stopped with exit code ${code}`));
+            workerCount--;
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+            // Keep the pool at strength while work is waiting
+            if (!closed && queue.length > 0) dispatch();
+        });
+
+        return worker;
+    }
+
+    function release(worker) {
+        if (closed) {
+            worker.terminate();
+        } else if (queue.length > 0) {
+            send(worker, queue.shift());
+        } else {
+            // Idle workers must not keep the process alive
+            worker.unref();
+            idle.push(worker);
+        }
+    }
+
+    function send(worker, entry) {
+        worker.ref();
+        worker.currentTask = entry.id;
+        pending.set(entry.id, entry);
+        worker.postMessage({ id: entry.id, task: entry.task });
+    }
+
+    function dispatch() {
+        while (queue.length > 0 && (idle.length > 0 || workerCount < size)) {
+            const worker = idle.pop() || startWorker();
+            send(worker, queue.shift());
+        }
+    }
+
+    return {
+        size,
+
+        /**
+         * Runs a file task on the next free worker
+         * @param {Object} task - File task, see runFileTask
+         * @returns {Promise<Object>} Result of the task
+         */
+        run(task) {
+            if (closed) {
+                return Promise.reject(new Error('Worker pool is closed'));
+            }
+            return new Promise((resolve, reject) => {
+                queue.push({ id: nextTaskId++, task, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Stops every worker, failing queued tasks
+         * @returns {Promise<void>}
+         */
+        async close() {
+            closed = true;
+            queue.splice(0).forEach(entry => entry.reject(new Error('Worker pool is closed')));
+            await Promise.all(idle.splice(0).map(worker => worker.terminate()));
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_POOL_SIZE,
+    createWorkerPool
+};
@@ -0,0 +1,370 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const archiver = require('archiver');
+const { MANIFEST_FILE } = require('./manifest');
+const { VAULT_EXTENSION } = require('./vault');
+
+/**
+ * Folder holding one workspace per upload session
+ */
+const WORKSPACES_DIR = process.env.REDACTOR_WORKSPACES_DIR || path.join(os.tmpdir(), 'html-redactor-workspaces');
+
+/**
+ * How long a workspace is kept after it was last used
+ */
+const WORKSPACE_TTL_MS = Number(process.env.REDACTOR_WORKSPACE_TTL_MINUTES || 60) * 60 * 1000;
+
+/**
+ * Largest total size a workspace may unpack to, so a small zip cannot fill the disk
+ */
+const MAX_WORKSPACE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Largest request body an upload may send, with room for the multipart headers
+ */
+const MAX_UPLOAD_BYTES = MAX_WORKSPACE_BYTES + 10 * 1024 * 1024;
+
+/**
+ * Limits on what a single upload may hold
+ */
+const UPLOAD_LIMITS = {
+    fileSize: 50 * 1024 * 1024,
+    files: 5000
+};
+
+/**
+ * Folder uploads are streamed to before they are copied into their workspace.
+ * Its name is not a workspace ID, so expiry leaves it alone
+ */
+const UPLOADS_DIR = path.join(WORKSPACES_DIR, '.uploads');
+
+/**
+ * Zip compression methods that can be unpacked
+ */
+const ZIP_METHODS = { stored: 0, deflated: 8 };
+
+/**
+ * File in each workspace recording the uploaded folder; its modification
+ * time is when the workspace was last used. Folder names never start with a
+ * dot, so it cannot clash with the upload
+ */
+const METADATA_FILE = '.workspace.json';
+
+/**
+ * Path segments that archivers add and nobody means to upload
+ */
+const IGNORED_SEGMENTS = new Set(['__MACOSX', '.DS_Store', 'Thumbs.db']);
+
+/**
+ * Checks that a workspace ID is one this module could have issued
+ * @param {string} id - Workspace ID from a request
+ * @returns {boolean} Whether the ID is well-formed
+ */
+function isValidWorkspaceId(id) {
+    return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id);
+}
+
+/**
+ * Turns an uploaded file name into a relative path that stays inside the workspace
+ * @param {string} name - Relative path sent by the browser or stored in a zip
+ * @returns {string[]|null} Path segments, or null when the path is unsafe or unwanted
+ */
+function toSafeSegments(name) {
+    const segments = name.replace(/\\/g, '/').split('/').filter(segment => segment !== '' && segment !== '.');
+
+    if (segments.length === 0 || /^[a-z]:$/i.test(segments[0]) || name.startsWith('/')) return null;
+    if (segments.some(segment => segment === '..' || IGNORED_SEGMENTS.has(segment))) return null;
+
+    return segments;
+}
+
+/**
+ * Makes a folder name safe to create on any file system
+ * @param {string} name - Uploaded folder or zip name
+ * @returns {string} Folder name
+ */
+function toFolderName(name) {
+    const folder = name.replace(/\.zip$/i, '').replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '');
+    return folder.slice(0, 64) || 'upload';
+}
+
+/**
+ * Gets the paths of a workspace from its ID and folder name
+ * @param {string} id - Workspace ID
+ * @param {string} folder - Name of the uploaded folder
+ * @returns {Object} Workspace with its input and output folders
+ */
+function describeWorkspace(id, folder) {
+    const dir = path.join(WORKSPACES_DIR, id);
+    return {
+        id,
+        dir,
+        folder,
+        inputFolder: path.join(dir, folder),
+        // Same place the redact route writes to for any other folder
+        outputFolder: path.join(dir, `${folder}_redacted`)
+    };
+}
+
+/**
+ * Unpacks one zip entry without producing more than a given number of bytes.
+ * The size an entry declares is not trusted, so a small entry cannot inflate
+ * past what the workspace has room for
+ * @param {Object} entry - adm-zip entry
+ * @param {number} limit - Most bytes the entry may unpack to
+ * @returns {Buffer|null} Entry contents, or null when they would pass the limit
+ */
+function readZipEntry(entry, limit) {
+    const compressed = entry.getCompressedData();
+
+    if (entry.header.method === ZIP_METHODS.stored) {
+        return compressed.length > limit ? null : compressed;
+    }
+
+    try {
+        // One byte past the room left is enough to tell that the entry does not fit
+        const data = zlib.inflateRawSync(compressed, { maxOutputLength: limit + 1 });
+        return data.length > limit ? null : data;
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+        throw error;
+    }
+}
+
+/**
+ * Lists the files in an upload, unpacking zip archives into their entries
+ * @param {Object[]} uploads - Uploaded files with their relative name and the path of their temporary file
+ * @returns {Object} Files with path segments and a function reading their contents
+ *   within a byte limit, skipped names, and the name of a zip when one was uploaded;
+ *   or an error message
+ */
+function expandUploads(uploads) {
+    const files = [];
+    const skipped = [];
+    let archiveName = null;
+    let totalBytes = 0;
+
+    const addFile = (name, size, read) => {
+        const segments = toSafeSegments(name);
+        if (!segments) {
+            skipped.push(name);
+            return;
+        }
+        totalBytes += size;
+        files.push({ segments, read });
+    };
+
+    for (const upload of uploads) {
+        // Only a zip uploaded on its own is unpacked; zips inside a picked folder are kept as files
+        if (!/\.zip$/i.test(upload.name) || /[\\/]/.test(upload.name)) {
+            addFile(upload.name, upload.size, async () => fs.readFile(upload.path));
+            continue;
+        }
+
+        let zip;
+        try {
+            zip = new AdmZip(upload.path);
+        } catch (error) {
+            return { error: `${upload.name} is not a valid zip archive` };
+        }
+
+        archiveName = archiveName || path.basename(upload.name);
+        const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+        const unsupported = entries.find(entry => entry.header.encrypted
+            || !Object.values(ZIP_METHODS).includes(entry.header.method));
+        if (unsupported) {
+            return { error: `${upload.name} holds ${unsupported.entryName}, which is encrypted or uses an unsupported compression method` };
+        }
+        entries.forEach(entry => addFile(entry.entryName, entry.header.size, async limit => readZipEntry(entry, limit)));
+    }
+
+    // Declared sizes reject most oversized uploads before anything is unpacked;
+    // createWorkspace still counts the bytes each file really holds
+    if (totalBytes > MAX_WORKSPACE_BYTES) {
+        return { error: `Upload unpacks to more than ${MAX_WORKSPACE_BYTES / (1024 * 1024)} MB` };
+    }
+
+    return { files, skipped, archiveName };
+}
+
+/**
+ * Creates a workspace holding uploaded files. A picked folder arrives as files
+ * named by their path inside it; a zip is unpacked. When every file sits in
+ * one top-level folder, that folder becomes the workspace's input folder.
+ * @param {Object[]} uploads - Uploaded files, each with its relative name, size and the path of its temporary file
+ * @returns {Promise<Object>} The workspace with its file count and skipped
+ *   names, or an error message
+ */
+async function createWorkspace(uploads) {
+    if (uploads.length === 0) {
+        return { error: 'No files were uploaded' };
+    }
+
+    const { files, skipped, archiveName, error } = expandUploads(uploads);
+    if (error) {
+        return { error };
+    }
+    if (files.length === 0) {
+        return { error: 'The upload did not contain any files' };
+    }
+
+    const topLevel = files[0].segments[0];
+    const sharesFolder = files.every(file => file.segments.length > 1 && file.segments[0] === topLevel);
+    const folder = toFolderName(sharesFolder ? topLevel : (archiveName || 'upload'));
+
+    const workspace = describeWorkspace(crypto.randomUUID(), folder);
+    await fs.mkdir(workspace.inputFolder, { recursive: true });
+
+    let writtenBytes = 0;
+    for (const file of files) {
+        const data = await file.read(MAX_WORKSPACE_BYTES - writtenBytes);
+        writtenBytes += data ? data.length : Infinity;
+        if (writtenBytes > MAX_WORKSPACE_BYTES) {
+            await removeWorkspace(workspace.id);
+            return { error: `Upload unpacks to more than ${MAX_WORKSPACE_BYTES / (1024 * 1024)} MB` };
+        }
+
+        const target = path.join(workspace.inputFolder, ...(sharesFolder ? file.segments.slice(1) : file.segments));
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, data);
+    }
+
+    await fs.writeFile(
+        path.join(workspace.dir, METADATA_FILE),
+        JSON.stringify({ folder, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { workspace, fileCount: files.length, skipped };
+}
+
+/**
+ * Looks up a workspace and marks it as used, which postpones its expiry
+ * @param {string} id - Workspace ID
+ * @returns {Promise<Object|null>} The workspace, or null when it is unknown or has expired
+ */
+async function getWorkspace(id) {
+    if (!isValidWorkspaceId(id)) return null;
+
+    const metadataPath = path.join(WORKSPACES_DIR, id, METADATA_FILE);
+    let metadata;
+    try {
+        const stats = await fs.stat(metadataPath);
+        if (Date.now() - stats.mtimeMs > WORKSPACE_TTL_MS) {
+            await removeWorkspace(id);
+            return null;
+        }
+        metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const now = new Date();
+    await fs.utimes(metadataPath, now, now);
+
+    return describeWorkspace(id, toFolderName(metadata.folder));
+}
+
+/**
+ * Deletes a workspace and everything in it
+ * @param {string} id - Workspace ID
+ * @returns {Promise<void>}
+ */
+async function removeWorkspace(id) {
+    if (!isValidWorkspaceId(id)) return;
+    await fs.rm(path.join(WORKSPACES_DIR, id), { recursive: true, force: true });
+}
+
+/**
+ * Deletes workspaces that have not been used within the expiry time,
+ * including ones left behind by an earlier server process
+ * @returns {Promise<number>} Number of workspaces deleted
+ */
+async function removeExpiredWorkspaces() {
+    let entries;
+    try {
+        entries = await fs.readdir(WORKSPACES_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !isValidWorkspaceId(entry.name)) continue;
+
+        const dir = path.join(WORKSPACES_DIR, entry.name);
+        // A workspace whose upload never finished has no metadata, so fall back to the folder
+        const stats = await fs.stat(path.join(dir, METADATA_FILE)).catch(() => fs.stat(dir));
+        if (Date.now() - stats.mtimeMs > WORKSPACE_TTL_MS) {
+            await removeWorkspace(entry.name);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Removes expired workspaces now and then periodically while the process runs
+ * @returns {NodeJS.Timeout} The cleanup timer
+ */
+function startWorkspaceCleanup() {
+    const sweep = () => removeExpiredWorkspaces().catch(error => {
+        console.error('Workspace cleanup failed:', error);
+    });
+
+    sweep();
+    // The timer must not keep the process alive on its own
+    return setInterval(sweep, Math.min(WORKSPACE_TTL_MS, 10 * 60 * 1000)).unref();
+}
+
+/**
+ * Creates a zip stream of a workspace's redacted files. The manifest is left
+ * out, since its hashes of the original files would let anyone holding the
+ * zip test guesses at the redacted values
+ * @param {Object} workspace - Result of getWorkspace
+ * @param {Object} options - Archive options
+ * @param {boolean} options.includeVaults - Whether to add the vault sidecars
+ * @returns {Promise<Object|null>} Archive stream and a file name for it,
+ *   or null when nothing has been redacted yet
+ */
+async function createOutputArchive(workspace, { includeVaults = false } = {}) {
+    try {
+        const stats = await fs.stat(workspace.outputFolder);
+        if (!stats.isDirectory()) return null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const fileName = `${path.basename(workspace.outputFolder)}.zip`;
+    archive.directory(workspace.outputFolder, path.basename(workspace.outputFolder), entry => {
+        if (entry.name === MANIFEST_FILE) return false;
+        if (!includeVaults && entry.name.endsWith(VAULT_EXTENSION)) return false;
+        return entry;
+    });
+    // Failures are also emitted as 'error' on the stream, where the caller handles them
+    archive.finalize().catch(() => {});
+
+    return { archive, fileName };
+}
+
+module.exports = {
+    WORKSPACES_DIR,
+    UPLOADS_DIR,
+    UPLOAD_LIMITS,
+    MAX_UPLOAD_BYTES,
+    isValidWorkspaceId,
+    createWorkspace,
+    getWorkspace,
+    removeWorkspace,
+    removeExpiredWorkspaces,
+    startWorkspaceCleanup,
+    createOutputArchive
+};
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// The log's location is read when the module loads
+const folder = fsSync.mkdtempSync(path.join(os.tmpdir(), 'redactor-audit-'));
+const logPath = path.join(folder, 'audit.log');
+process.env.REDACTOR_AUDIT_LOG = logPath;
+const { recordAuditEntry, queryAuditLog, verifyAuditLog } = require('../services/audit');
+
+/**
+ * Records a preview run that found one email address and one custom term
+ * @param {string} inputFolder - Folder of the run
+ * @returns {Promise<Object>} The entry as written
+ */
+function recordPreview(inputFolder) {
+    return recordAuditEntry({
+        action: 'preview',
+        client: { ip: '127.0.0.1', user: 'ana', userAgent: 'test' },
+        inputFolder,
+        patterns: null,
+        customText: ['Alice Example'],
+        options: { pseudonymKey: 'pseudonym-secret', vaultPassphrase: 'vault-secret' },
+        result: {
+            success: true,
+            fileCount: 1,
+            matches: {
+                'a.html': [
+                    { text: 'alice@example.com', detector: 'email' },
+                    { text: 'Alice Example', detector: 'custom-text' }
+                ]
+            },
+            sources: { 'a.html': 'Mail alice@example.com, Alice Example' }
+        }
+    });
+}
+
+/**
+ * Rewrites the log's lines
+ * @param {Function} edit - Takes and returns the lines of the log
+ */
+async function editLog(edit) {
+    const lines = (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean);
+    await fs.writeFile(logPath, `${edit(lines).join('\n')}\n`);
+}
+
+describe('audit log', () => {
+    let original;
+
+    before(async () => {
+        for (const name of ['one', 'two', 'three']) {
+            await recordPreview(`/data/${name}`);
+        }
+        original = await fs.readFile(logPath, 'utf8');
+    });
+
+    after(() => fs.rm(folder, { recursive: true, force: true }));
+
+    it('chains entries and verifies an untouched log', async () => {
+        const { entries } = await queryAuditLog();
+
+        assert.deepEqual(entries.map(entry => entry.seq), [3, 2, 1]);
+        assert.equal(entries[2].prevHash, '0'.repeat(64));
+        assert.equal(entries[1].prevHash, entries[2].hash);
+        assert.deepEqual(await verifyAuditLog(), { valid: true, entryCount: 3, problems: [] });
+    });
+
+    it('keeps counts but leaves sensitive values out', async () => {
+        const { entries: [entry] } = await queryAuditLog({ limit: 1 });
+
+        assert.equal(entry.matchCount, 2);
+        assert.deepEqual(entry.totals, { email: 1, 'custom-text': 1 });
+        assert.equal(entry.rules.customTextCount, 1);
+        assert.equal(entry.rules.options.vault, true);
+        assert.equal(entry.rules.options.pseudonymKey, true);
+        for (const value of ['alice@example.com', 'Alice Example', 'pseudonym-secret', 'vault-secret']) {
+            assert.equal(original.includes(value), false, `${value} is in the log`);
+        }
+    });
+
+    it('detects edited entries', async () => {
+        await editLog(lines => lines.map(line => line.replace('/data/two', '/data/other')));
+        const result = await verifyAuditLog();
+
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.problems, [{ seq: 2, problem: 'Content does not match its hash' }]);
+        await fs.writeFile(logPath, original);
+    });
+
+    it('detects removed entries', async () => {
+        await editLog(lines => [lines[0], lines[2]]);
+        const { problems } = await verifyAuditLog();
+
+        assert.deepEqual(problems, [
+            { seq: 3, problem: 'Entry 2 is missing' },
+            { seq: 3, problem: 'Does not link to the entry before it' }
+        ]);
+        await fs.writeFile(logPath, original);
+    });
+
+    it('detects entries cut from the end through the head file', async () => {
+        await editLog(lines => lines.slice(0, 1));
+        const { problems } = await verifyAuditLog();
+
+        assert.deepEqual(problems, [{ seq: 2, problem: 'Entries 2 to 3 are missing from the end' }]);
+        await fs.writeFile(logPath, original);
+    });
+
+    it('detects a missing head file', async () => {
+        const head = await fs.readFile(`${logPath}.head`, 'utf8');
+        await fs.rm(`${logPath}.head`);
+        const { problems } = await verifyAuditLog();
+
+        assert.deepEqual(problems, [{ seq: 3, problem: 'Head file is missing' }]);
+        await fs.writeFile(`${logPath}.head`, head);
+    });
+
+    it('filters entries', async () => {
+        const { total, entries } = await queryAuditLog({ folder: 'two', user: 'ana' });
+        assert.equal(total, 1);
+        assert.equal(entries[0].inputFolder, '/data/two');
+        assert.equal((await queryAuditLog({ action: 'redact' })).total, 0);
+    });
+});
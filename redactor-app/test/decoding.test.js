@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDecodedViews, encodeReplacement } = require('../services/decoding');
+const { getFormat } = require('../services/formats');
+const { redactSensitiveContent } = require('../services/redaction');
+
+/**
+ * Builds the decoded views of a whole string scanned as one range
+ * @param {string} content - Raw content
+ * @param {string} format - Format handler name
+ * @param {string} kind - Range kind
+ * @returns {Object[]} Views
+ */
+function viewsOf(content, format = 'text', kind = 'text') {
+    return createDecodedViews(content, { start: 0, end: content.length, kind }, getFormat(format));
+}
+
+/**
+ * Finds a value in a view's decoded text
+ * @param {Object} view - Decoded view
+ * @param {string} value - Decoded value
+ * @returns {Object} Hit with its start and end in the decoded text
+ */
+function hitOf(view, value) {
+    const start = view.text.indexOf(value);
+    return { start, end: start + value.length };
+}
+
+const noEscape = text => text;
+
+describe('character references', () => {
+    const content = 'Mail a&#64;example.com now';
+    const [view] = viewsOf(content, 'html');
+
+    it('maps decoded characters back to their references', () => {
+        const hit = hitOf(view, 'a@example.com');
+        const range = view.mapRange(hit.start, hit.end);
+
+        assert.equal(view.encoding, 'html-entity');
+        assert.equal(view.text, 'Mail a@example.com now');
+        assert.equal(content.slice(range.start, range.end), 'a&#64;example.com');
+        assert.equal(view.touchesEncoded(hit.start, hit.end), true);
+        assert.equal(view.touchesEncoded(0, 4), false);
+    });
+
+    it('hides the replacement\'s @ behind the same reference', () => {
+        const escape = text => getFormat('html').escape(text, { kind: 'text' });
+        assert.equal(encodeReplacement(view, 'x@y.z', hitOf(view, 'a@example.com'), escape), 'x&#64;y.z');
+    });
+
+    it('redacts addresses hidden behind references', () => {
+        const output = redactSensitiveContent('<p>a&#64;example&period;com</p>', null, null, { format: 'html' });
+        assert.equal(output, '<p>[REDACTED]</p>');
+    });
+});
+
+describe('percent-encoding', () => {
+    const content = '?to=caf%C3%A9%40x.com&n=1';
+    const [view] = viewsOf(content);
+
+    it('decodes UTF-8 runs one character at a time', () => {
+        const hit = hitOf(view, 'é@');
+        const range = view.mapRange(hit.start, hit.end);
+
+        assert.equal(view.text, '?to=café@x.com&n=1');
+        assert.deepEqual(view.mapRange(hit.start, hit.start + 1), { start: 7, end: 13 });
+        assert.equal(content.slice(range.start, range.end), '%C3%A9%40');
+    });
+
+    it('re-encodes characters that were encoded and ones that must be', () => {
+        const hit = hitOf(view, 'é@x.com');
+        assert.equal(encodeReplacement(view, 'é@[X]', hit, noEscape), '%C3%A9%40%5BX%5D');
+    });
+});
+
+describe('base64 data URIs', () => {
+    const payload = Buffer.from('né bob@example.com').toString('base64');
+    const content = `data:text/plain;base64,${payload}`;
+    const view = viewsOf(content).find(candidate => candidate.encoding === 'base64');
+
+    it('maps hits to the quads that hold their bytes', () => {
+        const hit = hitOf(view, 'bob@example.com');
+        const range = view.mapRange(hit.start, hit.end);
+
+        assert.equal(view.text, 'né bob@example.com');
+        assert.equal(view.grouped, true);
+        assert.equal(view.start, content.length - payload.length);
+        // 'né ' is four bytes, so the hit starts in the second quad
+        assert.equal(range.start, view.start + 4);
+        assert.equal(range.end, content.length);
+    });
+
+    it('skips payloads that are not text', () => {
+        assert.deepEqual(viewsOf(`data:image/png;base64,${payload}`), []);
+    });
+
+    it('re-encodes the whole payload', () => {
+        const html = `<a href="data:text/plain;base64,${Buffer.from('Hi, mail bob@example.com please').toString('base64')}">x</a>`;
+        const output = redactSensitiveContent(html, null, null, { format: 'html', mode: 'source' });
+        const encoded = output.match(/base64,([^"]+)/)[1];
+
+        assert.equal(Buffer.from(encoded, 'base64').toString('utf8'), 'Hi, mail [REDACTED] please');
+    });
+});
+
+describe('JSON escapes', () => {
+    const html = '<script type="application/ld+json">{"email":"bob\\u0040example.com"}</script>';
+
+    it('finds values written with \\u escapes in JSON-LD scripts', () => {
+        const output = redactSensitiveContent(html, null, null, { format: 'html', mode: 'source' });
+        assert.equal(output, '<script type="application/ld+json">{"email":"[REDACTED]"}</script>');
+    });
+
+    it('keeps characters of the replacement escaped the same way', () => {
+        const options = { format: 'html', replacements: { email: { strategy: 'mask' } } };
+        const output = redactSensitiveContent(html, null, null, options);
+        assert.match(output, /"email":"\*+\\u0040\*+e\.com"/);
+    });
+
+    it('escapes markup that could end the script block', () => {
+        const [view] = viewsOf('{"a":"x\\u0040y.com"}', 'json', 'json-string');
+        assert.equal(encodeReplacement(view, '</script>@', hitOf(view, 'x@y.com'), noEscape), '\\u003c/script>\\u0040');
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDetector, passesLuhn, DEFAULT_MIN_CONFIDENCE } = require('../services/detectors');
+const { identifySensitiveText } = require('../services/redaction');
+
+/**
+ * Scores text with a registered detector's validator
+ * @param {string} name - Detector name
+ * @param {string} text - Candidate text
+ * @returns {number} Confidence between 0 and 1
+ */
+function score(name, text) {
+    return getDetector(name).validate(text);
+}
+
+describe('credit-card', () => {
+    it('accepts numbers that pass the Luhn checksum', () => {
+        assert.equal(passesLuhn('4111111111111111'), true);
+        assert.equal(score('credit-card', '4111111111111111'), 0.95);
+        assert.equal(score('credit-card', '4111 1111 1111 1111'), 0.95);
+        assert.equal(score('credit-card', '4111111111111111110'), 0.95);
+    });
+
+    it('rejects numbers that fail the checksum or repeat one digit', () => {
+        assert.equal(passesLuhn('4111111111111112'), false);
+        assert.equal(score('credit-card', '4111111111111112'), 0);
+        assert.equal(score('credit-card', '0000000000000'), 0);
+    });
+
+    it('finds a card number followed by an expiry date', () => {
+        const { matches } = identifySensitiveText('Card 4111 1111 1111 1111 12/25', null, null, { detectors: ['credit-card'] });
+        assert.deepEqual(matches.map(match => match.text), ['4111 1111 1111 1111']);
+    });
+
+    it('finds grouped 19-digit numbers', () => {
+        const { matches } = identifySensitiveText('Card 4111 1111 1111 1111 110', null, null, { detectors: ['credit-card'] });
+        assert.deepEqual(matches.map(match => match.text), ['4111 1111 1111 1111 110']);
+    });
+
+    it('runs only the chosen detectors', () => {
+        const { matches } = identifySensitiveText('Card 4111 1111 1111 1111, mail a@example.com', null, null, { detectors: ['credit-card'] });
+        assert.deepEqual(matches.map(match => [match.detector, match.text]), [['credit-card', '4111 1111 1111 1111']]);
+    });
+});
+
+describe('ssn', () => {
+    it('scores dashed numbers above bare digit runs', () => {
+        assert.equal(score('ssn', '123-45-6789'), 0.85);
+        assert.equal(score('ssn', '123456789'), 0.5);
+    });
+
+    it('rejects unallocated and voided numbers', () => {
+        assert.equal(score('ssn', '666-12-3456'), 0);
+        assert.equal(score('ssn', '000-12-3456'), 0);
+        assert.equal(score('ssn', '078-05-1120'), 0);
+    });
+});
+
+describe('phone', () => {
+    it('accepts dialable NANP numbers', () => {
+        assert.equal(score('phone', '(415) 555-2671'), 0.9);
+        assert.equal(score('phone', '4155552671'), 0.6);
+    });
+
+    it('scores service codes and invalid area codes below the threshold', () => {
+        assert.ok(score('phone', '(911) 555-2671') < DEFAULT_MIN_CONFIDENCE);
+        assert.equal(score('phone', '0155552671'), 0);
+    });
+});
+
+describe('iban', () => {
+    it('checks the mod-97 checksum', () => {
+        assert.equal(score('iban', 'GB82 WEST 1234 5698 7654 32'), 0.95);
+        assert.equal(score('iban', 'GB82WEST12345698765433'), 0);
+    });
+
+    it('runs when its locale pack is chosen', () => {
+        const text = 'IBAN GB82 WEST 1234 5698 7654 32';
+        assert.deepEqual(identifySensitiveText(text, null, null, {}).matches, []);
+
+        const { matches } = identifySensitiveText(text, null, null, { locales: ['international'] });
+        assert.deepEqual(matches.map(match => match.detector), ['iban']);
+    });
+});
+
+describe('high-entropy-string', () => {
+    it('scores short random strings and hex strings below the default threshold', () => {
+        assert.equal(score('high-entropy-string', 'Zx9Qw2Lr7Tp4Kv8Nm3Bh6Jd1Gs5Fy0Ac'), 0.7);
+        assert.ok(score('high-entropy-string', 'Zx9Qw2Lr7Tp4Kv8Nm3Bh') < DEFAULT_MIN_CONFIDENCE);
+        assert.ok(score('high-entropy-string', '9f86d081884c7d659a2feaa0c55ad015') < DEFAULT_MIN_CONFIDENCE);
+        assert.equal(score('high-entropy-string', 'ThisIsJustAnIdentifier2024'), 0);
+    });
+
+    it('runs without being chosen', () => {
+        const { matches } = identifySensitiveText('token Zx9Qw2Lr7Tp4Kv8Nm3Bh6Jd1Gs5Fy0Ac', null, null, {});
+        assert.deepEqual(matches.map(match => match.detector), ['high-entropy-string']);
+    });
+});
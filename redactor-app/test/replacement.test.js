@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReplacements, getReplacementWarnings, createReplacer } = require('../services/replacement');
+
+const KEY = 'pseudonym-secret';
+const MATCH = { detector: 'custom-text', text: 'Alice Example' };
+
+describe('pseudonym length', () => {
+    it('defaults to 12 hex characters', () => {
+        const replace = createReplacer({ replacements: { default: 'pseudonym' }, pseudonymKey: KEY });
+        assert.match(replace(MATCH), /^PERSON_[0-9a-f]{12}$/);
+    });
+
+    it('allows short pseudonyms down to 4 hex characters', () => {
+        const replacements = { 'custom-text': { strategy: 'pseudonym', length: 4 } };
+        const replace = createReplacer({ replacements, pseudonymKey: KEY });
+
+        assert.match(replace(MATCH), /^PERSON_[0-9a-f]{4}$/);
+        assert.equal(validateReplacements({ default: { strategy: 'pseudonym', length: 3 } }, KEY),
+            'Pseudonym length for "default" must be an integer from 4 to 64');
+        assert.notEqual(validateReplacements({ default: { strategy: 'pseudonym', length: 65 } }, KEY), null);
+    });
+
+    it('warns about lengths that can collide', () => {
+        const warnings = getReplacementWarnings({
+            'custom-text': { strategy: 'pseudonym', length: 4 },
+            email: { strategy: 'pseudonym', length: 12 },
+            default: 'pseudonym'
+        });
+
+        assert.deepEqual(warnings, [
+            'Pseudonyms of 4 hex characters for "custom-text" can collide, '
+                + 'so two values may share one; use 12 or more to keep them apart'
+        ]);
+        assert.deepEqual(getReplacementWarnings(null), []);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    isInsideFolder, checkPathAllowed, assertSafeOutputPath, resolveOverwrite, clearOutputFolder
+} = require('../services/sandbox');
+const { processHTMLFilesForRedaction } = require('../services/fileProcessor');
+
+describe('sandbox', () => {
+    let base;
+    let root;
+    let outside;
+
+    before(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'redactor-sandbox-')));
+        root = path.join(base, 'root');
+        outside = path.join(base, 'outside');
+        await fs.mkdir(path.join(root, 'docs'), { recursive: true });
+        await fs.mkdir(outside);
+        await fs.writeFile(path.join(outside, 'secret.txt'), 'secret');
+        await fs.symlink(outside, path.join(root, 'linked'));
+        await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'docs', 'secret.txt'));
+    });
+
+    after(() => fs.rm(base, { recursive: true, force: true }));
+
+    it('compares folders by path segment', () => {
+        assert.equal(isInsideFolder('/srv/data/docs', '/srv/data'), true);
+        assert.equal(isInsideFolder('/srv/data', '/srv/data'), true);
+        assert.equal(isInsideFolder('/srv/data-old', '/srv/data'), false);
+        assert.equal(isInsideFolder('/srv/data/../other', '/srv/data'), false);
+    });
+
+    it('allows paths inside a root, including ones that do not exist yet', async () => {
+        assert.equal(await checkPathAllowed(path.join(root, 'docs'), [root], 'Folder'), null);
+        assert.equal(await checkPathAllowed(path.join(root, 'docs', 'new', 'file.txt'), [root], 'File'), null);
+        assert.equal(await checkPathAllowed(outside, null, 'Folder'), null);
+    });
+
+    it('refuses .. escapes', async () => {
+        const target = path.join(root, 'docs', '..', '..', 'outside');
+        assert.match(await checkPathAllowed(target, [root], 'Folder'), /outside the folders/);
+        assert.match(await checkPathAllowed(`${root}/../outside/secret.txt`, [root], 'File'), /outside the folders/);
+    });
+
+    it('refuses symbolic links that lead out of the roots', async () => {
+        assert.match(await checkPathAllowed(path.join(root, 'linked'), [root], 'Folder'), /outside the folders/);
+        assert.match(await checkPathAllowed(path.join(root, 'linked', 'new.txt'), [root], 'File'), /outside the folders/);
+        assert.match(await checkPathAllowed(path.join(root, 'docs', 'secret.txt'), [root], 'File'), /outside the folders/);
+    });
+
+    it('accepts a root given through a symbolic link', async () => {
+        const linkedRoot = path.join(base, 'root-link');
+        await fs.symlink(root, linkedRoot);
+        assert.equal(await checkPathAllowed(path.join(root, 'docs'), [linkedRoot], 'Folder'), null);
+    });
+
+    it('refuses output paths that leave the output folder or are links', async () => {
+        await assertSafeOutputPath(path.join(root, 'docs', 'out.txt'), root);
+        await assert.rejects(assertSafeOutputPath(path.join(root, 'linked', 'out.txt'), root), /leads out/);
+        await assert.rejects(assertSafeOutputPath(path.join(root, '..', 'out.txt'), root), /leads out/);
+        await assert.rejects(assertSafeOutputPath(path.join(root, 'docs', 'secret.txt'), root), /symbolic link/);
+    });
+
+    describe('replace policy', () => {
+        let input;
+        let output;
+
+        before(async () => {
+            input = path.join(base, 'in');
+            output = path.join(base, 'in_redacted');
+            await fs.mkdir(input);
+            await fs.writeFile(path.join(input, 'a.html'), '<p>Mail ann@example.com</p>');
+        });
+
+        beforeEach(async () => {
+            await fs.rm(output, { recursive: true, force: true });
+            await fs.mkdir(path.join(output, 'old'), { recursive: true });
+            await fs.writeFile(path.join(output, 'stale.html'), '<p>Mail bob@example.com</p>');
+            await fs.writeFile(path.join(output, 'old', 'b.html'), '<p>old</p>');
+            await fs.symlink(outside, path.join(output, 'linked'));
+        });
+
+        it('asks for a folder with contents to be emptied', async () => {
+            assert.deepEqual(await resolveOverwrite(output, 'replace'), { outputFolder: output, exists: true, replace: true });
+            assert.match((await resolveOverwrite(output, 'fail')).error, /already exists/);
+        });
+
+        it('empties the folder without following links', async () => {
+            await clearOutputFolder(output);
+            assert.deepEqual(await fs.readdir(output), []);
+            assert.equal(await fs.readFile(path.join(outside, 'secret.txt'), 'utf8'), 'secret');
+        });
+
+        it('leaves no output of an earlier run behind', async () => {
+            const result = await processHTMLFilesForRedaction(input, output, null, null, { overwrite: 'replace' });
+
+            assert.equal(result.success, true);
+            assert.deepEqual((await fs.readdir(output)).sort(), ['.redaction-manifest.json', 'a.html']);
+            assert.equal(await fs.readFile(path.join(output, 'a.html'), 'utf8'), '<p>Mail [REDACTED]</p>');
+        });
+
+        it('lists the removals in a dry run', async () => {
+            const result = await processHTMLFilesForRedaction(input, output, null, null, { overwrite: 'replace', dryRun: true });
+            const plan = result.planned.map(({ file, action }) => `${action} ${file}`).sort();
+
+            assert.deepEqual(plan, ['create a.html', 'delete linked', `delete ${path.join('old', 'b.html')}`, 'delete stale.html']);
+            assert.equal(await fs.readFile(path.join(output, 'stale.html'), 'utf8'), '<p>Mail bob@example.com</p>');
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTermMatcher } = require('../services/termMatcher');
+
+/**
+ * Lists every occurrence a matcher reports
+ * @param {string[]} terms - Terms to find
+ * @param {string} text - Text to search
+ * @returns {string[]} Occurrences as "offset:term", in the order reported
+ */
+function findAll(terms, text) {
+    const matcher = createTermMatcher(terms);
+    const hits = [];
+    matcher.findAll(text, (start, termIndex) => hits.push(`${start}:${matcher.terms[termIndex]}`));
+    return hits.sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+}
+
+/**
+ * Lists every occurrence by searching for each term on its own
+ * @param {string[]} terms - Terms to find
+ * @param {string} text - Text to search
+ * @returns {string[]} Occurrences as "offset:term"
+ */
+function findEach(terms, text) {
+    const hits = [];
+    [...new Set(terms)].forEach(term => {
+        for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + 1)) {
+            hits.push(`${i}:${term}`);
+        }
+    });
+    return hits.sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+}
+
+describe('createTermMatcher', () => {
+    it('ignores duplicates and empty terms', () => {
+        assert.deepEqual(createTermMatcher(['ann', '', 'ann', null, 'bo']).terms, ['ann', 'bo']);
+    });
+
+    it('reports overlapping terms', () => {
+        assert.deepEqual(findAll(['she', 'he', 'hers', 'his'], 'ushers'), ['1:she', '2:he', '2:hers']);
+        assert.deepEqual(findAll(['aa'], 'aaaa'), ['0:aa', '1:aa', '2:aa']);
+    });
+
+    it('follows output links to terms that are suffixes of other terms', () => {
+        const terms = ['anna smith', 'na smith', 'smith', 'h'];
+        assert.deepEqual(findAll(terms, 'Dear anna smith,'), findEach(terms, 'Dear anna smith,'));
+        assert.deepEqual(findAll(terms, 'Dear anna smith,'), ['5:anna smith', '7:na smith', '10:smith', '14:h']);
+    });
+
+    it('falls back along failure links after a partial match', () => {
+        const terms = ['abcd', 'bce', 'cef'];
+        assert.deepEqual(findAll(terms, 'xabcefabcd'), ['2:bce', '3:cef', '6:abcd']);
+    });
+
+    it('finds terms outside the Basic Multilingual Plane by code unit offset', () => {
+        const text = 'ok 😀 Zoë 𝔘𝔫𝔦 😀😀';
+        const terms = ['😀', '𝔫𝔦', 'Zoë', '😀😀'];
+        assert.deepEqual(findAll(terms, text), findEach(terms, text));
+        assert.deepEqual(findAll(['𝔫'], '𝔘'), []);
+    });
+
+    it('agrees with searching for each term on its own', () => {
+        const terms = ['ab', 'abab', 'bab', 'b', 'babb', 'aab'];
+        const text = 'aababbabababbaab';
+        assert.deepEqual(findAll(terms, text), findEach(terms, text));
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { redactSensitiveContentWithTokens } = require('../services/redaction');
+const { VAULT_EXTENSION, createVault, openVault, restoreContent, restoreRedactedFile } = require('../services/vault');
+
+const PASSPHRASE = 'correct horse battery';
+const CONTENT = 'Contact a@example.com or call (415) 555-2671.';
+
+describe('vault', () => {
+    let redacted;
+    let vault;
+
+    before(async () => {
+        redacted = redactSensitiveContentWithTokens(CONTENT);
+        vault = await createVault(redacted.tokens, PASSPHRASE, { file: 'contact.txt' });
+    });
+
+    it('round-trips the original content', async () => {
+        assert.notEqual(redacted.content, CONTENT);
+        const tokens = await openVault(JSON.parse(JSON.stringify(vault)), PASSPHRASE);
+        const result = restoreContent(redacted.content, tokens);
+
+        assert.equal(result.content, CONTENT);
+        assert.equal(result.restored.length, redacted.tokens.length);
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('keeps the values encrypted', () => {
+        assert.equal(vault.file, 'contact.txt');
+        assert.equal(JSON.stringify(vault).includes('a@example.com'), false);
+    });
+
+    it('rejects a wrong passphrase and short passphrases', async () => {
+        await assert.rejects(openVault(vault, 'wrong passphrase'), /Invalid passphrase/);
+        await assert.rejects(createVault(redacted.tokens, 'short'), /at least/);
+    });
+
+    it('restores only the chosen tokens', async () => {
+        const tokens = await openVault(vault, PASSPHRASE);
+        const [first] = tokens;
+        const result = restoreContent(redacted.content, tokens, [first.id, 'unknown-id']);
+
+        assert.deepEqual(result.restored, [first.id]);
+        assert.deepEqual(result.unknown, ['unknown-id']);
+        assert.ok(result.content.includes(first.original));
+    });
+
+    it('reports tokens whose replacement was edited', async () => {
+        const tokens = await openVault(vault, PASSPHRASE);
+        const [first] = tokens;
+        // Same length, so the other tokens keep their positions
+        const edited = redacted.content.slice(0, first.start)
+            + 'x'.repeat(first.replacement.length)
+            + redacted.content.slice(first.start + first.replacement.length);
+        const result = restoreContent(edited, tokens);
+
+        assert.deepEqual(result.conflicts, [first.id]);
+    });
+
+    describe('restoreRedactedFile', () => {
+        let folder;
+        let redactedPath;
+
+        before(async () => {
+            folder = await fs.mkdtemp(path.join(os.tmpdir(), 'redactor-vault-'));
+            redactedPath = path.join(folder, 'contact.txt');
+            await fs.writeFile(redactedPath, redacted.content);
+            await fs.writeFile(`${redactedPath}${VAULT_EXTENSION}`, JSON.stringify(vault));
+        });
+
+        after(() => fs.rm(folder, { recursive: true, force: true }));
+
+        it('writes the restored file next to its vault', async () => {
+            const outputPath = path.join(folder, 'contact.restored.txt');
+            const result = await restoreRedactedFile(redactedPath, PASSPHRASE, { outputPath });
+
+            assert.equal(result.outputPath, outputPath);
+            assert.equal(await fs.readFile(outputPath, 'utf8'), CONTENT);
+        });
+
+        it('never overwrites an existing file', async () => {
+            await assert.rejects(
+                restoreRedactedFile(redactedPath, PASSPHRASE, { outputPath: redactedPath }),
+                { code: 'EEXIST' }
+            );
+            assert.equal(await fs.readFile(redactedPath, 'utf8'), redacted.content);
+        });
+    });
+});
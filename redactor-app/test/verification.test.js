@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redactSensitiveContentWithTokens } = require('../services/redaction');
+const { verifyRedaction } = require('../services/verification');
+
+const CONTENT = 'Mail a@example.com, SSN 123-45-6789.';
+
+/**
+ * Redacts content and verifies the result, as a run does
+ * @param {string} content - Original content
+ * @param {Object} options - Redaction options
+ * @param {Function} edit - Changes the redacted content before it is verified
+ * @returns {Object} Verification result
+ */
+function redactAndVerify(content, options, edit = output => output) {
+    const { content: redacted, tokens } = redactSensitiveContentWithTokens(content, null, null, options);
+    return verifyRedaction(content, edit(redacted), tokens, null, null, options);
+}
+
+describe('verifyRedaction', () => {
+    it('passes a fully redacted file', () => {
+        assert.deepEqual(redactAndVerify(CONTENT, { format: 'text' }), { status: 'passed', findings: [] });
+    });
+
+    it('reports redacted values left elsewhere in the output', () => {
+        const result = redactAndVerify(CONTENT, { format: 'text' }, output => `${output} Copy: a@example.com`);
+
+        assert.equal(result.status, 'failed');
+        assert.deepEqual(result.findings.map(({ kind, detector, text }) => ({ kind, detector, text })), [
+            { kind: 'residual', detector: 'email', text: 'a@example.com' }
+        ]);
+    });
+
+    it('reports values no detector of the run looked for', () => {
+        const result = redactAndVerify(CONTENT, { format: 'text', detectors: ['email'] });
+
+        assert.equal(result.status, 'failed');
+        assert.deepEqual(result.findings, [
+            { kind: 'missed', detector: 'ssn', line: 1, column: 22, text: '123-45-6789' }
+        ]);
+    });
+
+    it('leaves allowlisted values alone', () => {
+        const options = { format: 'text', detectors: ['email'], allowlist: { values: ['123-45-6789'] } };
+        assert.equal(redactAndVerify(CONTENT, options).status, 'passed');
+    });
+
+    it('reports pieces of a value beside a replacement', () => {
+        const content = 'Card 4111 1111 1111 1111 paid';
+        const tokens = [{ id: 't1', start: 5, replacement: '[REDACTED]', original: '4111 1111 1111' }];
+        const result = verifyRedaction(content, 'Card [REDACTED] 1111 paid', tokens, null, null, { format: 'text' });
+
+        assert.deepEqual(result.findings.map(({ kind, text }) => ({ kind, text })), [{ kind: 'fragment', text: '1111' }]);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { foldText, createVisibleTextViews } = require('../services/visibleText');
+const { getFormat } = require('../services/formats');
+const { redactSensitiveContent } = require('../services/redaction');
+
+const NORMALIZE = { format: 'html', normalize: true };
+
+describe('foldText', () => {
+    it('folds case, diacritics, invisible characters and whitespace', () => {
+        assert.equal(foldText('  J\u00f6hn\u00ad   SMITH\u200b '), 'john smith');
+    });
+});
+
+describe('createVisibleTextViews', () => {
+    const content = '<p>Call John&nbsp;<b>Smith</b> today</p><div>Next</div>';
+    const views = createVisibleTextViews(content, [{ start: 0, end: content.length, kind: 'source' }], getFormat('html'));
+
+    it('reads inline elements and entities as one block of text', () => {
+        assert.deepEqual(views.map(view => view.text), ['Call John Smith today', 'Next']);
+        assert.equal(views[0].folded, 'call john smith today');
+    });
+
+    it('maps a phrase back to the source of its words', () => {
+        const start = views[0].folded.indexOf('john smith');
+        const fragments = views[0].mapFragments(start, start + 'john smith'.length);
+
+        assert.deepEqual(fragments.map(fragment => content.slice(fragment.start, fragment.end)), ['John', 'Smith']);
+        assert.deepEqual(fragments.map(fragment => fragment.range.kind), ['text', 'text']);
+    });
+});
+
+describe('normalized matching', () => {
+    it('redacts a term split across tags and &nbsp;', () => {
+        const output = redactSensitiveContent('<p>Call John&nbsp;<b>Smith</b> today</p>', null, 'john smith', NORMALIZE);
+        assert.equal(output, '<p>Call [REDACTED]&nbsp;<b></b> today</p>');
+    });
+
+    it('matches regardless of case and diacritics', () => {
+        const output = redactSensitiveContent('<p>Call JÖHN SMITH today</p>', null, 'john smith', NORMALIZE);
+        assert.equal(output, '<p>Call [REDACTED] today</p>');
+    });
+
+    it('finds detector matches split across tags', () => {
+        const output = redactSensitiveContent('<p>SSN 123-<b>45</b>-6789</p>', null, null, NORMALIZE);
+        assert.equal(output, '<p>SSN [REDACTED]<b></b></p>');
+    });
+
+    it('does not match across block elements', () => {
+        const content = '<p>John</p><p>Smith</p>';
+        assert.equal(redactSensitiveContent(content, null, 'john smith', NORMALIZE), content);
+    });
+
+    it('is off unless asked for', () => {
+        const content = '<p>Call John&nbsp;<b>Smith</b> today</p>';
+        assert.equal(redactSensitiveContent(content, null, 'john smith', { format: 'html' }), content);
+    });
+});